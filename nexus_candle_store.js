@@ -0,0 +1,227 @@
+/**
+ * NEXUS 4.0 - PERSISTENT CANDLE STORE
+ *
+ * Rolling per-asset, per-timeframe candle history on disk so restarts don't
+ * have to re-download everything, plus gap detection so minutes missed during
+ * a WebSocket outage can be backfilled over REST instead of silently lost.
+ *
+ * Layout: <dir>/<asset>_<timeframe>.json  (JSON array of closed candles, oldest first)
+ *
+ * Candle timestamps are kline CLOSE times, matching the trading engine.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const INTERVAL_MS = {
+    '1m': 60000,
+    '3m': 180000,
+    '5m': 300000,
+    '15m': 900000,
+    '30m': 1800000,
+    '1h': 3600000,
+    '2h': 7200000,
+    '4h': 14400000,
+    '1d': 86400000
+};
+
+// ============================================
+// CANDLE HELPERS
+// ============================================
+
+/**
+ * Merge candles by timestamp (incoming wins), sort oldest first and trim
+ * @param {Array} existing - Current candles
+ * @param {Array} incoming - Candles to merge in
+ * @param {number} maxCandles - Maximum candles to keep (newest kept)
+ * @returns {Array} Merged candles
+ */
+function mergeCandles(existing, incoming, maxCandles = Infinity) {
+    const byTime = new Map();
+    for (const c of existing || []) byTime.set(c.timestamp, c);
+    for (const c of incoming || []) {
+        const current = byTime.get(c.timestamp);
+        // Never let a forming candle overwrite a closed one
+        if (current && current.closed && c.closed === false) continue;
+        byTime.set(c.timestamp, c);
+    }
+    const merged = Array.from(byTime.values()).sort((a, b) => a.timestamp - b.timestamp);
+    return merged.length > maxCandles ? merged.slice(-maxCandles) : merged;
+}
+
+/**
+ * Find missing candle intervals in a series
+ * @param {Array} candles - Candles sorted oldest first (close-time timestamps)
+ * @param {number} intervalMs - Timeframe length in ms
+ * @param {number|null} now - If given, also report the tail gap up to this time
+ * @returns {Array} Gaps as { startTime, endTime, missing } where startTime/endTime
+ *                  bound the OPEN times of the missing candles (REST klines params)
+ */
+function findCandleGaps(candles, intervalMs, now = null) {
+    const gaps = [];
+    const closed = (candles || []).filter(c => c.closed !== false && Number.isFinite(c.timestamp));
+    if (closed.length === 0 || !intervalMs) return gaps;
+
+    for (let i = 1; i < closed.length; i++) {
+        const delta = closed[i].timestamp - closed[i - 1].timestamp;
+        const missing = Math.round(delta / intervalMs) - 1;
+        if (missing > 0) {
+            gaps.push({
+                startTime: closed[i - 1].timestamp + 1,
+                endTime: closed[i].timestamp - intervalMs,
+                missing
+            });
+        }
+    }
+
+    if (now !== null) {
+        const last = closed[closed.length - 1];
+        const missing = Math.floor((now - last.timestamp) / intervalMs);
+        if (missing > 0) {
+            gaps.push({
+                startTime: last.timestamp + 1,
+                endTime: null,
+                missing
+            });
+        }
+    }
+
+    return gaps;
+}
+
+// ============================================
+// CANDLE STORE
+// ============================================
+class CandleStore {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory for candle files
+     * @param {number} [options.maxCandles=1000] - Candles kept per series
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.maxCandles = options.maxCandles || 1000;
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+        this.series = {};   // { asset: { timeframe: [candles] } }
+        this.dirty = new Set();
+    }
+
+    filePath(asset, timeframe) {
+        return path.join(this.dir, `${asset}_${timeframe}.json`);
+    }
+
+    get(asset, timeframe) {
+        return this.series[asset]?.[timeframe] || [];
+    }
+
+    async load(asset, timeframe) {
+        try {
+            const raw = await fs.readFile(this.filePath(asset, timeframe), 'utf8');
+            const parsed = JSON.parse(raw);
+            const candles = Array.isArray(parsed)
+                ? parsed.filter(c => c && Number.isFinite(c.timestamp) && Number.isFinite(c.close))
+                : [];
+            this.setSeries(asset, timeframe, mergeCandles([], candles, this.maxCandles));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.warn(`[CANDLE STORE] Could not read ${asset} ${timeframe} - starting empty`, { error: err.message });
+            }
+            this.setSeries(asset, timeframe, []);
+        }
+        return this.get(asset, timeframe);
+    }
+
+    async loadAll(assets, timeframes) {
+        for (const asset of assets) {
+            for (const timeframe of timeframes) {
+                await this.load(asset, timeframe);
+            }
+        }
+        return this.series;
+    }
+
+    setSeries(asset, timeframe, candles) {
+        if (!this.series[asset]) this.series[asset] = {};
+        this.series[asset][timeframe] = candles;
+    }
+
+    /**
+     * Add a closed candle (forming candles are ignored)
+     */
+    append(asset, timeframe, candle) {
+        if (!candle || candle.closed === false) return;
+        const series = this.get(asset, timeframe);
+        const last = series[series.length - 1];
+
+        if (!last || candle.timestamp > last.timestamp) {
+            series.push(candle);
+            if (series.length > this.maxCandles) series.splice(0, series.length - this.maxCandles);
+            this.setSeries(asset, timeframe, series);
+        } else {
+            this.setSeries(asset, timeframe, mergeCandles(series, [candle], this.maxCandles));
+        }
+        this.dirty.add(`${asset}|${timeframe}`);
+    }
+
+    merge(asset, timeframe, candles) {
+        const closed = (candles || []).filter(c => c.closed !== false);
+        if (closed.length === 0) return;
+        this.setSeries(asset, timeframe, mergeCandles(this.get(asset, timeframe), closed, this.maxCandles));
+        this.dirty.add(`${asset}|${timeframe}`);
+    }
+
+    /**
+     * Replace a series outright (e.g. stored candles that can't be joined to a fresh download)
+     */
+    replace(asset, timeframe, candles) {
+        const closed = (candles || []).filter(c => c.closed !== false);
+        this.setSeries(asset, timeframe, mergeCandles([], closed, this.maxCandles));
+        this.dirty.add(`${asset}|${timeframe}`);
+    }
+
+    /**
+     * Drop an asset's series from memory (it left the universe). Files on disk stay as
+     * they are; unwritten changes for the asset are discarded.
+     */
+    reset(asset) {
+        delete this.series[asset];
+        for (const key of this.dirty) {
+            if (key.startsWith(`${asset}|`)) this.dirty.delete(key);
+        }
+    }
+
+    /**
+     * Write changed series to disk (tmp file + rename so a crash never leaves half a file)
+     */
+    async flush() {
+        if (this.dirty.size === 0) return 0;
+
+        const pending = Array.from(this.dirty);
+        this.dirty.clear();
+        let written = 0;
+
+        try {
+            await fs.mkdir(this.dir, { recursive: true });
+        } catch (err) {
+            this.logger.error('[CANDLE STORE] Failed to create candle directory', { error: err.message });
+        }
+
+        for (const key of pending) {
+            const [asset, timeframe] = key.split('|');
+            const file = this.filePath(asset, timeframe);
+            try {
+                await fs.writeFile(`${file}.tmp`, JSON.stringify(this.get(asset, timeframe)), 'utf8');
+                await fs.rename(`${file}.tmp`, file);
+                written++;
+            } catch (err) {
+                this.dirty.add(key);
+                this.logger.error(`[CANDLE STORE] Failed to write ${asset} ${timeframe}`, { error: err.message });
+            }
+        }
+
+        return written;
+    }
+}
+
+module.exports = { CandleStore, findCandleGaps, mergeCandles, INTERVAL_MS };
@@ -0,0 +1,289 @@
+/**
+ * NEXUS 4.0 - DECLARATIVE CONFLUENCE RULES
+ *
+ * The confluence score is defined in a JSON rule file instead of code. The
+ * engine reduces a setup to flat "facts" (obQuality: 74, liquiditySweep:
+ * 'with', mtfAlignment: 'partial', ...) and the rule file says what each fact
+ * is worth:
+ *
+ *   factors  - each has an optional gate (`when`) and an ordered list of
+ *              options; the first option whose `when` matches scores its
+ *              points (an else-if chain). An option may `block` the trade.
+ *   ratings  - score bands, highest first, each with a size multiplier and a
+ *              risk adjustment; the last band has no `min` and catches the rest.
+ *
+ * Conditions: { fact, equals | notEquals | in | min (>=) | max (<=) | below (<) | exists } or
+ * { all: [...] } / { any: [...] } / { not: {...} }. Labels and block reasons
+ * may reference facts as {factName}.
+ *
+ * The file is re-read when its modification time changes (checked at most
+ * every checkIntervalMs, on use). A file that fails to parse, validate or
+ * score a setup without any facts is logged and ignored - the last good rule
+ * set stays active.
+ */
+
+const fs = require('fs');
+
+const OPERATORS = ['equals', 'notEquals', 'in', 'min', 'max', 'below', 'exists'];
+
+// ============================================
+// CONFLUENCE RULE SET
+// ============================================
+class ConfluenceRuleSet {
+    /**
+     * @param {object} options
+     * @param {string} options.file - Path to the JSON rule file
+     * @param {number} [options.checkIntervalMs=5000] - Minimum time between modification checks
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.file = options.file;
+        this.checkIntervalMs = options.checkIntervalMs !== undefined ? options.checkIntervalMs : 5000;
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+
+        this.rules = null;
+        this.maxScore = 0;
+        this.mtimeMs = null;
+        this.loadedAt = null;
+        this.lastCheck = 0;
+        this.lastError = null;
+
+        // No rule set to fall back on at startup - fail loudly
+        const rules = this.parse(fs.readFileSync(this.file, 'utf8'));
+        this.mtimeMs = fs.statSync(this.file).mtimeMs;
+        this.activate(rules);
+    }
+
+    // ============================================
+    // LOADING
+    // ============================================
+
+    parse(text) {
+        const rules = JSON.parse(text);
+        this.validate(rules);
+        // Catch what validation can't see before the rules go live
+        try {
+            this.score(rules, {});
+        } catch (err) {
+            throw new Error(`rules fail on a setup without facts: ${err.message}`);
+        }
+        return rules;
+    }
+
+    validate(rules) {
+        if (!rules || typeof rules !== 'object') throw new Error('rule file must hold an object');
+        if (rules.minScore !== undefined && !Number.isFinite(rules.minScore)) {
+            throw new Error('minScore must be a number');
+        }
+        if (!Array.isArray(rules.factors) || rules.factors.length === 0) {
+            throw new Error('factors must be a non-empty array');
+        }
+        const ids = new Set();
+        for (const factor of rules.factors) {
+            if (!factor.id) throw new Error('every factor needs an id');
+            if (ids.has(factor.id)) throw new Error(`duplicate factor id "${factor.id}"`);
+            ids.add(factor.id);
+            if (factor.when) this.validateCondition(factor.when, factor.id);
+            if (!Array.isArray(factor.options) || factor.options.length === 0) {
+                throw new Error(`factor "${factor.id}" needs at least one option`);
+            }
+            for (const option of factor.options) {
+                if (option.when) this.validateCondition(option.when, factor.id);
+                if (!option.block && !Number.isFinite(option.points)) {
+                    throw new Error(`factor "${factor.id}" has an option without numeric points`);
+                }
+            }
+        }
+
+        if (!Array.isArray(rules.ratings) || rules.ratings.length === 0) {
+            throw new Error('ratings must be a non-empty array');
+        }
+        rules.ratings.forEach((band, i) => {
+            const last = i === rules.ratings.length - 1;
+            if (!band.rating || !Number.isFinite(band.sizeMultiplier)) {
+                throw new Error(`rating band ${i} needs a rating and a numeric sizeMultiplier`);
+            }
+            if (band.riskAdjustmentPct !== undefined && !Number.isFinite(band.riskAdjustmentPct)) {
+                throw new Error(`rating "${band.rating}" has a non-numeric riskAdjustmentPct`);
+            }
+            if (last ? band.min !== undefined : !Number.isFinite(band.min)) {
+                throw new Error(last ? 'the last rating band must not have a min' : `rating "${band.rating}" needs a numeric min`);
+            }
+            if (i > 0 && !last && band.min >= rules.ratings[i - 1].min) {
+                throw new Error(`rating "${band.rating}" must have a lower min than "${rules.ratings[i - 1].rating}"`);
+            }
+        });
+    }
+
+    validateCondition(cond, factorId) {
+        if (!cond || typeof cond !== 'object' || Array.isArray(cond)) {
+            throw new Error(`factor "${factorId}": condition must be an object`);
+        }
+        if (cond.all || cond.any) {
+            const list = cond.all || cond.any;
+            if (!Array.isArray(list)) throw new Error(`factor "${factorId}": all/any must be an array`);
+            list.forEach(c => this.validateCondition(c, factorId));
+            return;
+        }
+        if (cond.not) {
+            this.validateCondition(cond.not, factorId);
+            return;
+        }
+        if (!cond.fact) throw new Error(`factor "${factorId}": condition without a fact`);
+        const ops = Object.keys(cond).filter(k => k !== 'fact');
+        if (ops.length === 0 || ops.some(op => !OPERATORS.includes(op))) {
+            throw new Error(`factor "${factorId}": unknown operator in condition on "${cond.fact}"`);
+        }
+        if (cond.in !== undefined && !Array.isArray(cond.in)) {
+            throw new Error(`factor "${factorId}": "in" on "${cond.fact}" must be an array`);
+        }
+        for (const op of ['min', 'max', 'below']) {
+            if (cond[op] !== undefined && !Number.isFinite(cond[op])) {
+                throw new Error(`factor "${factorId}": "${op}" on "${cond.fact}" must be a number`);
+            }
+        }
+        if (cond.exists !== undefined && typeof cond.exists !== 'boolean') {
+            throw new Error(`factor "${factorId}": "exists" on "${cond.fact}" must be true or false`);
+        }
+    }
+
+    activate(rules) {
+        this.rules = rules;
+        // Best case: every factor at its highest-scoring option
+        this.maxScore = rules.factors.reduce((sum, f) => sum + Math.max(0, ...f.options.map(o => o.points || 0)), 0);
+        this.loadedAt = Date.now();
+        this.lastError = null;
+        this.logger.info(`[CONFLUENCE RULES] Loaded ${rules.factors.length} factors, ${rules.ratings.length} ratings (max score ${this.maxScore}) from ${this.file}`);
+    }
+
+    /**
+     * Reload the file if it changed since the last load
+     */
+    refresh() {
+        const now = Date.now();
+        if (now - this.lastCheck < this.checkIntervalMs) return;
+        this.lastCheck = now;
+
+        let mtimeMs;
+        try {
+            mtimeMs = fs.statSync(this.file).mtimeMs;
+        } catch (err) {
+            this.fail(`cannot stat rule file: ${err.message}`);
+            return;
+        }
+        if (mtimeMs === this.mtimeMs) return;
+        this.mtimeMs = mtimeMs;
+
+        try {
+            this.activate(this.parse(fs.readFileSync(this.file, 'utf8')));
+        } catch (err) {
+            this.fail(err.message);
+        }
+    }
+
+    fail(message) {
+        if (message === this.lastError) return;
+        this.lastError = message;
+        this.logger.error(`[CONFLUENCE RULES] Rule file rejected, keeping the previous rules: ${message}`);
+    }
+
+    // ============================================
+    // EVALUATION
+    // ============================================
+
+    matches(cond, facts) {
+        if (!cond) return true;
+        if (cond.all) return cond.all.every(c => this.matches(c, facts));
+        if (cond.any) return cond.any.some(c => this.matches(c, facts));
+        if (cond.not) return !this.matches(cond.not, facts);
+
+        const value = facts[cond.fact];
+        const present = value !== null && value !== undefined;
+        if (cond.exists !== undefined && present !== cond.exists) return false;
+        if (cond.equals !== undefined && value !== cond.equals) return false;
+        if (cond.notEquals !== undefined && value === cond.notEquals) return false;
+        if (cond.in !== undefined && !cond.in.includes(value)) return false;
+        if (cond.min !== undefined && !(present && value >= cond.min)) return false;
+        if (cond.max !== undefined && !(present && value <= cond.max)) return false;
+        if (cond.below !== undefined && !(present && value < cond.below)) return false;
+        return true;
+    }
+
+    format(template, facts) {
+        return String(template || '').replace(/\{(\w+)\}/g, (m, name) => (facts[name] ?? m));
+    }
+
+    /**
+     * Score one setup
+     * @param {object} facts - Flat fact values for the setup
+     * @returns {object} { score, rawScore, maxScore, rating, sizeMultiplier, riskAdjustmentPct,
+     *                     tradeable, factors (labels), breakdown [{ id, label, points }], blockReason }
+     */
+    evaluate(facts) {
+        this.refresh();
+        return this.score(this.rules, facts);
+    }
+
+    score(rules, facts) {
+        let rawScore = 0;
+        let blockReason = null;
+        const factors = [];
+        const breakdown = [];
+
+        for (const factor of rules.factors) {
+            if (!this.matches(factor.when, facts)) continue;
+            const option = factor.options.find(o => this.matches(o.when, facts));
+            if (!option) continue;
+
+            const label = this.format(option.label || factor.id, facts);
+            const points = option.points || 0;
+            rawScore += points;
+            factors.push(label);
+            breakdown.push({ id: factor.id, label, points });
+            if (option.block && !blockReason) blockReason = this.format(option.reason || label, facts);
+        }
+
+        const score = Math.max(rawScore, rules.minScore !== undefined ? rules.minScore : 0);
+        const band = rules.ratings.find(b => b.min === undefined || score >= b.min);
+        const sizeMultiplier = blockReason ? 0 : band.sizeMultiplier;
+
+        return {
+            score,
+            rawScore,
+            maxScore: this.maxScore,
+            rating: band.rating,
+            sizeMultiplier,
+            riskAdjustmentPct: band.riskAdjustmentPct || 0,
+            tradeable: sizeMultiplier > 0,
+            factors,
+            breakdown,
+            blockReason
+        };
+    }
+
+    /**
+     * @returns {object|null} Rating band by name
+     */
+    getRating(rating) {
+        this.refresh();
+        return this.rules.ratings.find(b => b.rating === rating) || null;
+    }
+
+    getStatus() {
+        return {
+            file: this.file,
+            version: this.rules.version || null,
+            loadedAt: this.loadedAt,
+            lastError: this.lastError,
+            maxScore: this.maxScore,
+            factors: this.rules.factors.map(f => ({
+                id: f.id,
+                description: f.description || null,
+                options: f.options.map(o => ({ label: o.label || f.id, points: o.points || 0, block: !!o.block }))
+            })),
+            ratings: this.rules.ratings
+        };
+    }
+}
+
+module.exports = { ConfluenceRuleSet };
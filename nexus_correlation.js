@@ -0,0 +1,139 @@
+/**
+ * NEXUS 4.0 - ROLLING CORRELATION MATRIX
+ *
+ * Pearson correlation of log returns between every pair of assets, computed
+ * from candle closes over a rolling window. Series are aligned on candle
+ * timestamps so a missing candle on one asset never shifts the other.
+ *
+ * Used for exposure control: a BTC long next to an ETH long at 0.9
+ * correlation is one doubled bet, not two independent ones.
+ */
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Pearson correlation of two equal-length series
+ * @returns {number|null} Null if either series has no variance
+ */
+function pearson(a, b) {
+    const n = Math.min(a.length, b.length);
+    if (n < 2) return null;
+
+    let meanA = 0;
+    let meanB = 0;
+    for (let i = 0; i < n; i++) {
+        meanA += a[i];
+        meanB += b[i];
+    }
+    meanA /= n;
+    meanB /= n;
+
+    let cov = 0;
+    let varA = 0;
+    let varB = 0;
+    for (let i = 0; i < n; i++) {
+        const da = a[i] - meanA;
+        const db = b[i] - meanB;
+        cov += da * db;
+        varA += da * da;
+        varB += db * db;
+    }
+
+    if (varA === 0 || varB === 0) return null;
+    return cov / Math.sqrt(varA * varB);
+}
+
+/**
+ * Log returns of two candle series over the timestamps both have
+ * @param {Array} candlesA - [{ timestamp, close }]
+ * @param {Array} candlesB - [{ timestamp, close }]
+ * @param {number} lookback - Max returns used (most recent)
+ * @returns {object} { a, b } return arrays of equal length
+ */
+function alignedReturns(candlesA, candlesB, lookback) {
+    const closesB = new Map((candlesB || []).map(c => [c.timestamp, c.close]));
+    const shared = (candlesA || [])
+        .filter(c => closesB.has(c.timestamp) && c.close > 0 && closesB.get(c.timestamp) > 0)
+        .slice(-(lookback + 1));
+
+    const a = [];
+    const b = [];
+    for (let i = 1; i < shared.length; i++) {
+        const prev = shared[i - 1];
+        const cur = shared[i];
+        a.push(Math.log(cur.close / prev.close));
+        b.push(Math.log(closesB.get(cur.timestamp) / closesB.get(prev.timestamp)));
+    }
+    return { a, b };
+}
+
+// ============================================
+// CORRELATION MATRIX
+// ============================================
+class CorrelationMatrix {
+    /**
+     * @param {object} options
+     * @param {number} [options.lookback=96] - Returns per pair (96 x 15m = 24h)
+     * @param {number} [options.minOverlap=48] - Fewer shared returns than this leaves the pair unknown
+     */
+    constructor(options = {}) {
+        this.lookback = options.lookback || 96;
+        this.minOverlap = options.minOverlap || 48;
+
+        this.matrix = {};       // asset -> asset -> { correlation, samples }
+        this.updatedAt = null;
+    }
+
+    /**
+     * Recompute every pair
+     * @param {object} seriesByAsset - { asset: [{ timestamp, close }] }
+     * @param {number} [now] - Update time (ms)
+     */
+    update(seriesByAsset, now = Date.now()) {
+        const assets = Object.keys(seriesByAsset);
+        const matrix = {};
+        for (const asset of assets) matrix[asset] = { [asset]: { correlation: 1, samples: null } };
+
+        for (let i = 0; i < assets.length; i++) {
+            for (let j = i + 1; j < assets.length; j++) {
+                const { a, b } = alignedReturns(seriesByAsset[assets[i]], seriesByAsset[assets[j]], this.lookback);
+                const correlation = a.length >= this.minOverlap ? pearson(a, b) : null;
+                const entry = { correlation, samples: a.length };
+                matrix[assets[i]][assets[j]] = entry;
+                matrix[assets[j]][assets[i]] = entry;
+            }
+        }
+
+        this.matrix = matrix;
+        this.updatedAt = now;
+        return matrix;
+    }
+
+    /**
+     * @returns {number|null} Correlation, or null while there is not enough shared history
+     */
+    get(assetA, assetB) {
+        return this.matrix[assetA]?.[assetB]?.correlation ?? null;
+    }
+
+    /**
+     * Drop an asset's row and column (it left the universe)
+     */
+    reset(asset) {
+        delete this.matrix[asset];
+        for (const row of Object.values(this.matrix)) delete row[asset];
+    }
+
+    getStatus() {
+        return {
+            lookback: this.lookback,
+            minOverlap: this.minOverlap,
+            updatedAt: this.updatedAt,
+            matrix: this.matrix
+        };
+    }
+}
+
+module.exports = { CorrelationMatrix, pearson, alignedReturns };
@@ -0,0 +1,105 @@
+/**
+ * NEXUS 4.0 - DEALING RANGE (PREMIUM / DISCOUNT / OTE)
+ *
+ * The dealing range runs from the latest swing low to the latest swing high.
+ * Its midpoint (equilibrium) splits it into:
+ *
+ *   discount - lower half, where longs are bought cheap
+ *   premium  - upper half, where shorts are sold expensive
+ *
+ * The optimal trade entry (OTE) band is the 62-79% retracement of the last leg:
+ * measured down from the high after a rally (long OTE, inside discount) and up
+ * from the low after a sell-off (short OTE, inside premium).
+ *
+ * positionPct places price in the range: 0 = swing low, 100 = swing high,
+ * outside 0..100 = price has left the range.
+ */
+
+const { formatPrice } = require('./nexus_price_format');
+
+// ============================================
+// DEALING RANGE ANALYZER
+// ============================================
+class DealingRangeAnalyzer {
+    /**
+     * @param {object} options
+     * @param {number} [options.oteLow=0.62] - Shallow edge of the OTE retracement
+     * @param {number} [options.oteHigh=0.79] - Deep edge of the OTE retracement
+     * @param {number} [options.equilibriumBand=0.05] - Range fraction either side of 50% treated as equilibrium
+     * @param {number} [options.rejectDepth=0.75] - Wrong-side entries at least this deep into premium/discount are rejected
+     */
+    constructor(options = {}) {
+        this.oteLow = options.oteLow || 0.62;
+        this.oteHigh = options.oteHigh || 0.79;
+        this.equilibriumBand = options.equilibriumBand !== undefined ? options.equilibriumBand : 0.05;
+        this.rejectDepth = options.rejectDepth || 0.75;
+    }
+
+    /**
+     * Place a price in the range between two swings
+     * @param {object} swingHigh - { price, timestamp }
+     * @param {object} swingLow - { price, timestamp }
+     * @param {number} price - Current price
+     * @returns {object|null} Null without both swings or with an inverted range
+     */
+    analyze(swingHigh, swingLow, price) {
+        if (!swingHigh || !swingLow || !(price > 0)) return null;
+
+        const high = swingHigh.price;
+        const low = swingLow.price;
+        const size = high - low;
+        if (!(size > 0)) return null;
+
+        const equilibrium = low + size / 2;
+        const positionPct = ((price - low) / size) * 100;
+
+        let zone = 'equilibrium';
+        if (positionPct > 50 + this.equilibriumBand * 100) zone = 'premium';
+        else if (positionPct < 50 - this.equilibriumBand * 100) zone = 'discount';
+
+        // Low before high = the last leg was a rally, so the OTE is a long retracement
+        const leg = swingLow.timestamp <= swingHigh.timestamp ? 'up' : 'down';
+        const ote = leg === 'up'
+            ? { direction: 'bullish', top: high - size * this.oteLow, bottom: high - size * this.oteHigh }
+            : { direction: 'bearish', top: low + size * this.oteHigh, bottom: low + size * this.oteLow };
+
+        return {
+            high,
+            low,
+            equilibrium,
+            size,
+            leg,
+            positionPct,
+            zone,
+            outsideRange: price > high || price < low,
+            ote,
+            inOte: price >= ote.bottom && price <= ote.top
+        };
+    }
+
+    /**
+     * Check an entry direction against the range
+     * @param {object|null} range - From analyze()
+     * @param {string} direction - 'bullish' | 'bearish'
+     * @returns {object} { action: 'ALLOW'|'PENALIZE'|'REJECT', inOte, reason }
+     */
+    evaluate(range, direction) {
+        if (!range) return { action: 'ALLOW', inOte: false, reason: 'No dealing range' };
+
+        const bullish = direction === 'bullish';
+        const inOte = range.inOte && range.ote.direction === direction;
+        const wrongZone = bullish ? range.zone === 'premium' : range.zone === 'discount';
+        const depth = bullish ? range.positionPct / 100 : 1 - range.positionPct / 100;
+        const where = `${range.zone} (${range.positionPct.toFixed(0)}% of ${formatPrice(range.low)}-${formatPrice(range.high)})`;
+
+        if (wrongZone && depth >= this.rejectDepth) {
+            return { action: 'REJECT', inOte, reason: `${bullish ? 'Long' : 'Short'} deep in ${where}` };
+        }
+        if (wrongZone) {
+            return { action: 'PENALIZE', inOte, reason: `${bullish ? 'Long' : 'Short'} in ${where}` };
+        }
+        return { action: 'ALLOW', inOte, reason: inOte ? `OTE ${where}` : `${bullish ? 'Long' : 'Short'} in ${where}` };
+    }
+}
+
+module.exports = { DealingRangeAnalyzer };
@@ -0,0 +1,192 @@
+/**
+ * NEXUS 4.0 - FAIR VALUE GAP FILL TRACKING
+ *
+ * Keeps every detected FVG under a stable ID (asset, timeframe, type and the
+ * middle candle's timestamp) and walks each closed candle after the gap formed
+ * exactly once:
+ *
+ *   unfilled         - no candle has traded back into the gap
+ *   partially_filled - price entered the gap (fillPct = deepest fill so far)
+ *   filled           - price traded through the whole gap
+ *   inverted         - a candle closed beyond the far side; the gap now acts
+ *                      against its original direction
+ *
+ * ceTouched flags a touch of consequent encroachment (the 50% level), where
+ * most gaps either hold or fail.
+ */
+
+const { formatPrice } = require('./nexus_price_format');
+
+const STATUS_RANK = { unfilled: 0, partially_filled: 1, filled: 2, inverted: 3 };
+
+// ============================================
+// FAIR VALUE GAP REGISTRY
+// ============================================
+class FairValueGapRegistry {
+    /**
+     * @param {object} options
+     * @param {number} [options.ceLevel=0.5] - Consequent encroachment as a fraction of the gap
+     * @param {number} [options.retainMs=86400000] - How long filled/inverted gaps stay listed
+     * @param {number} [options.maxPerSeries=100] - Gaps kept per asset/timeframe (oldest dropped first)
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.ceLevel = options.ceLevel || 0.5;
+        this.retainMs = options.retainMs || 24 * 60 * 60 * 1000;
+        this.maxPerSeries = options.maxPerSeries || 100;
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+
+        this.series = {};   // "asset|timeframe" -> Map(id -> entry)
+    }
+
+    static makeId(asset, timeframe, fvg) {
+        return `${asset}_${timeframe}_${fvg.type === 'bullish' ? 'bull' : 'bear'}_fvg_${fvg.timestamp}`;
+    }
+
+    /**
+     * Register freshly detected gaps, advance every tracked gap over the
+     * candles, and copy the fill state onto the detected objects.
+     * @param {string} asset - Asset key
+     * @param {string} timeframe - Timeframe label used for detection
+     * @param {Array} detected - FVGs from detectFairValueGaps (mutated: id, fillStatus, fillPct, ceTouched, testCount, valid)
+     * @param {Array} candles - Candle window the gaps were detected in
+     * @returns {Array} Every tracked gap for this asset/timeframe
+     */
+    sync(asset, timeframe, detected, candles) {
+        const key = `${asset}|${timeframe}`;
+        if (!this.series[key]) this.series[key] = new Map();
+        const series = this.series[key];
+
+        for (const fvg of detected) {
+            const id = FairValueGapRegistry.makeId(asset, timeframe, fvg);
+            if (!series.has(id)) {
+                series.set(id, {
+                    id,
+                    asset,
+                    timeframe,
+                    type: fvg.type,
+                    top: fvg.top,
+                    bottom: fvg.bottom,
+                    timestamp: fvg.timestamp,
+                    status: 'unfilled',
+                    fillPct: 0,
+                    ceTouched: false,
+                    testCount: 0,
+                    inGap: false,
+                    // Tracking starts after the third candle - it defines the gap's edge
+                    lastCandleTime: fvg.formedAt || fvg.timestamp,
+                    statusChangedAt: fvg.formedAt || fvg.timestamp
+                });
+            }
+        }
+
+        const closed = (candles || []).filter(c => c.closed !== false);
+        for (const entry of series.values()) {
+            this.advance(entry, closed);
+        }
+        this.prune(series, closed.length > 0 ? closed[closed.length - 1].timestamp : null);
+
+        for (const fvg of detected) {
+            const entry = series.get(FairValueGapRegistry.makeId(asset, timeframe, fvg));
+            if (!entry) continue;
+            fvg.id = entry.id;
+            fvg.fillStatus = entry.status;
+            fvg.fillPct = entry.fillPct;
+            fvg.ceTouched = entry.ceTouched;
+            fvg.testCount = entry.testCount;
+            fvg.valid = entry.status === 'unfilled' || entry.status === 'partially_filled';
+        }
+
+        return Array.from(series.values());
+    }
+
+    /**
+     * Walk the candles this gap has not seen yet
+     */
+    advance(entry, candles) {
+        const size = entry.top - entry.bottom;
+        const bullish = entry.type === 'bullish';
+
+        for (const c of candles) {
+            if (c.timestamp <= entry.lastCandleTime) continue;
+            entry.lastCandleTime = c.timestamp;
+            if (entry.status === 'inverted') continue;
+
+            if (bullish ? c.close < entry.bottom : c.close > entry.top) {
+                entry.fillPct = 100;
+                entry.ceTouched = true;
+                this.setStatus(entry, 'inverted', c.timestamp);
+                continue;
+            }
+
+            // Bullish gaps fill from the top down, bearish from the bottom up
+            const depth = bullish ? entry.top - c.low : c.high - entry.bottom;
+            if (depth <= 0) {
+                entry.inGap = false;
+                continue;
+            }
+
+            if (!entry.inGap) {
+                entry.inGap = true;
+                entry.testCount++;
+            }
+            const fill = size > 0 ? Math.min(1, depth / size) : 1;
+            entry.fillPct = Math.max(entry.fillPct, fill * 100);
+            if (fill >= this.ceLevel) entry.ceTouched = true;
+
+            const status = fill >= 1 ? 'filled' : 'partially_filled';
+            if (STATUS_RANK[status] > STATUS_RANK[entry.status]) this.setStatus(entry, status, c.timestamp);
+        }
+    }
+
+    setStatus(entry, status, time) {
+        const previous = entry.status;
+        entry.status = status;
+        entry.statusChangedAt = time;
+        if (status === 'filled' || status === 'inverted') {
+            this.logger.info(`[FVG REGISTRY] ${entry.asset.toUpperCase()} ${entry.timeframe} ${entry.type} FVG ${formatPrice(entry.bottom)}-${formatPrice(entry.top)} ${previous} -> ${status}`);
+        }
+    }
+
+    prune(series, now) {
+        if (now !== null) {
+            for (const [id, entry] of series) {
+                const done = entry.status === 'filled' || entry.status === 'inverted';
+                if (done && now - entry.statusChangedAt > this.retainMs) series.delete(id);
+            }
+        }
+        if (series.size > this.maxPerSeries) {
+            const oldest = Array.from(series.values()).sort((a, b) => a.timestamp - b.timestamp);
+            for (const entry of oldest.slice(0, series.size - this.maxPerSeries)) series.delete(entry.id);
+        }
+    }
+
+    /**
+     * @returns {Array} Tracked gaps for one asset/timeframe, newest first
+     */
+    get(asset, timeframe) {
+        const series = this.series[`${asset}|${timeframe}`];
+        return series ? Array.from(series.values()).sort((a, b) => b.timestamp - a.timestamp) : [];
+    }
+
+    /**
+     * Forget every timeframe of an asset (it left the universe; a later return starts fresh)
+     */
+    reset(asset) {
+        for (const key of Object.keys(this.series)) {
+            if (key.startsWith(`${asset}|`)) delete this.series[key];
+        }
+    }
+
+    getStatus() {
+        const series = {};
+        for (const [key, entries] of Object.entries(this.series)) {
+            const counts = { unfilled: 0, partially_filled: 0, filled: 0, inverted: 0 };
+            for (const entry of entries.values()) counts[entry.status]++;
+            series[key] = { counts, gaps: Array.from(entries.values()).sort((a, b) => b.timestamp - a.timestamp) };
+        }
+        return { ceLevel: this.ceLevel, series };
+    }
+}
+
+module.exports = { FairValueGapRegistry };
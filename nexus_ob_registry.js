@@ -0,0 +1,288 @@
+/**
+ * NEXUS 4.0 - ORDER BLOCK LIFECYCLE REGISTRY
+ *
+ * Order blocks are re-detected from the candle window on every scan. The
+ * registry keeps each one under a stable ID (asset, timeframe, type and the
+ * OB candle's timestamp) and walks every closed candle after it exactly once:
+ *
+ *   fresh               - price has left the zone and not come back
+ *   tested              - price returned into the zone (testedCount = visits)
+ *   partially_mitigated - a retest reached past partialMitigation of the zone
+ *   mitigated           - a retest wicked through the whole zone
+ *   invalidated         - a candle closed through the far side of the zone
+ *
+ * Mitigated and invalidated blocks are kept for a while for the API, then pruned.
+ *
+ * An invalidated block flips polarity instead of disappearing. A bullish OB
+ * that failed becomes a bearish zone (and vice versa):
+ *
+ *   breaker    - price made a new extreme beyond the pre-OB swing first (took
+ *                liquidity), then broke the block
+ *   mitigation - no new extreme was made (failure swing), then broke the block
+ *
+ * Flipped zones run through the same fresh/tested/mitigated/invalidated
+ * lifecycle from the other side; they do not flip a second time.
+ */
+
+const { formatPrice } = require('./nexus_price_format');
+
+const STATUS_RANK = { fresh: 0, tested: 1, partially_mitigated: 2, mitigated: 3, invalidated: 4 };
+
+// ============================================
+// ORDER BLOCK REGISTRY
+// ============================================
+class OrderBlockRegistry {
+    /**
+     * @param {object} options
+     * @param {number} [options.partialMitigation=0.5] - Zone fraction a retest must reach to count as partial mitigation
+     * @param {number} [options.retainMs=86400000] - How long mitigated/invalidated blocks stay listed
+     * @param {number} [options.maxPerSeries=100] - Blocks kept per asset/timeframe (oldest dropped first)
+     * @param {number} [options.extremeLookback=10] - Candles before the OB searched for the swing a breaker must exceed
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.partialMitigation = options.partialMitigation || 0.5;
+        this.extremeLookback = options.extremeLookback || 10;
+        this.retainMs = options.retainMs || 24 * 60 * 60 * 1000;
+        this.maxPerSeries = options.maxPerSeries || 100;
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+
+        this.series = {};   // "asset|timeframe" -> Map(id -> entry)
+    }
+
+    static makeId(asset, timeframe, ob) {
+        return `${asset}_${timeframe}_${ob.type === 'bullish' ? 'bull' : 'bear'}_ob_${ob.timestamp}`;
+    }
+
+    /**
+     * Highest high (bullish OB) / lowest low (bearish OB) shortly before and at the block
+     */
+    priorExtreme(ob, candles) {
+        const before = (candles || []).filter(c => c.timestamp <= ob.timestamp).slice(-this.extremeLookback);
+        if (before.length === 0) return ob.type === 'bullish' ? ob.high : ob.low;
+        return ob.type === 'bullish'
+            ? Math.max(...before.map(c => c.high))
+            : Math.min(...before.map(c => c.low));
+    }
+
+    /**
+     * Register freshly detected blocks, advance every tracked block over the
+     * candles, and copy the lifecycle onto the detected objects.
+     * @param {string} asset - Asset key
+     * @param {string} timeframe - Timeframe label used for detection
+     * @param {Array} detected - Order blocks from detectOrderBlocks (mutated: id, freshnessStatus, testedCount, ...)
+     * @param {Array} candles - Candle window the blocks were detected in
+     * @returns {Array} Every tracked block for this asset/timeframe
+     */
+    sync(asset, timeframe, detected, candles) {
+        const key = `${asset}|${timeframe}`;
+        if (!this.series[key]) this.series[key] = new Map();
+        const series = this.series[key];
+
+        for (const ob of detected) {
+            const id = OrderBlockRegistry.makeId(asset, timeframe, ob);
+            if (!series.has(id)) {
+                series.set(id, {
+                    id,
+                    asset,
+                    timeframe,
+                    kind: 'order_block',
+                    type: ob.type,
+                    high: ob.high,
+                    low: ob.low,
+                    timestamp: ob.timestamp,
+                    status: 'fresh',
+                    testedCount: 0,
+                    penetration: 0,           // Deepest retest as a fraction of the zone (1 = far edge)
+                    leftZone: false,          // Retests only count once price has moved away
+                    inZone: false,
+                    lastCandleTime: ob.timestamp,
+                    lastTestTime: null,
+                    statusChangedAt: ob.timestamp,
+                    priorExtreme: this.priorExtreme(ob, candles),
+                    extremeAfter: null,       // Furthest price reached in the OB's direction since it formed
+                    flippedTo: null
+                });
+            }
+        }
+
+        const closed = (candles || []).filter(c => c.closed !== false);
+        // Blocks flipped during this pass are appended to the map and advanced in the same loop
+        for (const entry of series.values()) {
+            this.advance(entry, closed, series);
+        }
+        this.prune(series, closed.length > 0 ? closed[closed.length - 1].timestamp : null);
+
+        for (const ob of detected) {
+            const entry = series.get(OrderBlockRegistry.makeId(asset, timeframe, ob));
+            if (!entry) continue;
+            ob.id = entry.id;
+            ob.freshnessStatus = entry.status;
+            ob.testedCount = entry.testedCount;
+            ob.mitigationPct = entry.penetration * 100;
+            ob.lastTestTime = entry.lastTestTime;
+            ob.valid = entry.status !== 'mitigated' && entry.status !== 'invalidated';
+        }
+
+        return Array.from(series.values());
+    }
+
+    /**
+     * Walk the candles this block has not seen yet
+     */
+    advance(entry, candles, series) {
+        const range = entry.high - entry.low;
+        const bullish = entry.type === 'bullish';
+
+        for (const c of candles) {
+            if (c.timestamp <= entry.lastCandleTime) continue;
+            entry.lastCandleTime = c.timestamp;
+            if (entry.status === 'invalidated') continue;
+
+            if (entry.kind === 'order_block') {
+                const extreme = bullish ? c.high : c.low;
+                if (entry.extremeAfter === null || (bullish ? extreme > entry.extremeAfter : extreme < entry.extremeAfter)) {
+                    entry.extremeAfter = extreme;
+                }
+            }
+
+            // Close beyond the far edge - the zone failed
+            if (bullish ? c.close < entry.low : c.close > entry.high) {
+                this.setStatus(entry, 'invalidated', c.timestamp);
+                if (entry.kind === 'order_block' && series) this.flip(entry, c, series);
+                continue;
+            }
+
+            const outside = bullish ? c.low > entry.high : c.high < entry.low;
+            if (outside) {
+                entry.leftZone = true;
+                entry.inZone = false;
+                continue;
+            }
+            if (!entry.leftZone) continue;
+
+            // Candle reached back into the zone
+            if (!entry.inZone) {
+                entry.inZone = true;
+                entry.testedCount++;
+                entry.lastTestTime = c.timestamp;
+            }
+            const depth = bullish ? entry.high - c.low : c.high - entry.low;
+            const penetration = range > 0 ? Math.min(1, Math.max(0, depth / range)) : 1;
+            entry.penetration = Math.max(entry.penetration, penetration);
+
+            let status = 'tested';
+            if (entry.penetration >= 1) status = 'mitigated';
+            else if (entry.penetration >= this.partialMitigation) status = 'partially_mitigated';
+            if (STATUS_RANK[status] > STATUS_RANK[entry.status]) this.setStatus(entry, status, c.timestamp);
+        }
+    }
+
+    /**
+     * Turn a failed order block into an opposite-polarity breaker or mitigation block
+     * @param {object} entry - Invalidated order block
+     * @param {object} candle - Candle that closed through it
+     * @param {Map} series - Series the new zone is added to
+     */
+    flip(entry, candle, series) {
+        const bullish = entry.type === 'bullish';
+        const newExtreme = entry.extremeAfter !== null &&
+            (bullish ? entry.extremeAfter > entry.priorExtreme : entry.extremeAfter < entry.priorExtreme);
+        const kind = newExtreme ? 'breaker' : 'mitigation';
+        const type = bullish ? 'bearish' : 'bullish';
+        const id = `${entry.asset}_${entry.timeframe}_${type === 'bullish' ? 'bull' : 'bear'}_${kind}_${entry.timestamp}`;
+
+        series.set(id, {
+            id,
+            asset: entry.asset,
+            timeframe: entry.timeframe,
+            kind,
+            type,
+            high: entry.high,
+            low: entry.low,
+            timestamp: candle.timestamp,
+            originId: entry.id,
+            originTimestamp: entry.timestamp,
+            breakDisplacement: bullish ? entry.low - candle.close : candle.close - entry.high,
+            status: 'fresh',
+            testedCount: 0,
+            penetration: 0,
+            leftZone: false,
+            inZone: false,
+            lastCandleTime: candle.timestamp,
+            lastTestTime: null,
+            statusChangedAt: candle.timestamp
+        });
+        entry.flippedTo = id;
+        this.logger.info(`[OB REGISTRY] ${entry.asset.toUpperCase()} ${entry.timeframe} ${entry.type} OB ${formatPrice(entry.low)}-${formatPrice(entry.high)} flipped to ${type} ${kind} block`);
+    }
+
+    setStatus(entry, status, time) {
+        const previous = entry.status;
+        entry.status = status;
+        entry.statusChangedAt = time;
+        if (status === 'mitigated' || status === 'invalidated') {
+            const label = entry.kind === 'order_block' ? 'OB' : `${entry.kind} block`;
+            this.logger.info(`[OB REGISTRY] ${entry.asset.toUpperCase()} ${entry.timeframe} ${entry.type} ${label} ${formatPrice(entry.low)}-${formatPrice(entry.high)} ${previous} -> ${status}`);
+        }
+    }
+
+    prune(series, now) {
+        if (now !== null) {
+            for (const [id, entry] of series) {
+                const done = entry.status === 'mitigated' || entry.status === 'invalidated';
+                if (done && now - entry.statusChangedAt > this.retainMs) series.delete(id);
+            }
+        }
+        if (series.size > this.maxPerSeries) {
+            const oldest = Array.from(series.values()).sort((a, b) => a.timestamp - b.timestamp);
+            for (const entry of oldest.slice(0, series.size - this.maxPerSeries)) series.delete(entry.id);
+        }
+    }
+
+    /**
+     * @returns {Array} Tracked blocks for one asset/timeframe, newest first
+     */
+    get(asset, timeframe) {
+        const series = this.series[`${asset}|${timeframe}`];
+        return series ? Array.from(series.values()).sort((a, b) => b.timestamp - a.timestamp) : [];
+    }
+
+    /**
+     * @returns {Array} Breaker / mitigation blocks still able to hold, newest first
+     */
+    getFlipped(asset, timeframe) {
+        return this.get(asset, timeframe)
+            .filter(e => e.kind !== 'order_block' && e.status !== 'mitigated' && e.status !== 'invalidated');
+    }
+
+    /**
+     * Forget every timeframe of an asset (it left the universe; a later return starts fresh)
+     */
+    reset(asset) {
+        for (const key of Object.keys(this.series)) {
+            if (key.startsWith(`${asset}|`)) delete this.series[key];
+        }
+    }
+
+    getStatus() {
+        const series = {};
+        for (const [key, entries] of Object.entries(this.series)) {
+            const all = Array.from(entries.values()).sort((a, b) => b.timestamp - a.timestamp);
+            const blocks = all.filter(e => e.kind === 'order_block');
+            const flipped = all.filter(e => e.kind !== 'order_block');
+
+            const counts = { fresh: 0, tested: 0, partially_mitigated: 0, mitigated: 0, invalidated: 0 };
+            for (const entry of blocks) counts[entry.status]++;
+            const flippedCounts = { breaker: 0, mitigation: 0 };
+            for (const entry of flipped) {
+                if (entry.status !== 'mitigated' && entry.status !== 'invalidated') flippedCounts[entry.kind]++;
+            }
+
+            series[key] = { counts, blocks, flippedCounts, flipped };
+        }
+        return { partialMitigation: this.partialMitigation, extremeLookback: this.extremeLookback, series };
+    }
+}
+
+module.exports = { OrderBlockRegistry };
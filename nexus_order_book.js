@@ -0,0 +1,263 @@
+/**
+ * NEXUS 4.0 - LOCAL ORDER BOOK
+ *
+ * Keeps a local copy of a Binance order book from a REST depth snapshot plus
+ * the <symbol>@depth diff stream, following Binance's sync procedure:
+ *   1. Buffer diff events while the snapshot is being fetched
+ *   2. Drop buffered events with u <= snapshot lastUpdateId
+ *   3. The first applied event must straddle lastUpdateId + 1
+ *   4. Every later event must start at previous u + 1, otherwise resync
+ *
+ * On top of the book it computes a liquidity summary (spread, depth near
+ * the mid, bid/ask imbalance, largest walls) and walks the book to estimate
+ * the fill price of a market order.
+ */
+
+// ============================================
+// ORDER BOOK
+// ============================================
+class OrderBook {
+    /**
+     * @param {object} options
+     * @param {string} options.symbol - Exchange symbol (BTCUSDT)
+     * @param {number} [options.maxLevels=1000] - Levels kept per side (far levels are pruned)
+     * @param {number} [options.maxBufferedEvents=1000] - Diff events kept while waiting for a snapshot
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.symbol = options.symbol;
+        this.maxLevels = options.maxLevels || 1000;
+        this.maxBufferedEvents = options.maxBufferedEvents || 1000;
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+
+        this.bids = new Map();   // price -> quantity
+        this.asks = new Map();
+        this.lastUpdateId = null;
+        this.synced = false;
+        this.buffer = [];
+        this.lastEventTime = null;
+        this.resyncCount = 0;
+    }
+
+    /**
+     * Drop the book and wait for a new snapshot
+     */
+    reset() {
+        this.bids.clear();
+        this.asks.clear();
+        this.lastUpdateId = null;
+        this.synced = false;
+        this.buffer = [];
+    }
+
+    /**
+     * Load a REST depth snapshot and replay buffered diffs on top of it
+     * @param {object} snapshot - { lastUpdateId, bids: [[price, qty]], asks: [[price, qty]] }
+     * @returns {boolean} True if the book is in sync afterwards
+     */
+    applySnapshot(snapshot) {
+        if (!snapshot || !Number.isFinite(Number(snapshot.lastUpdateId))) return false;
+
+        this.bids.clear();
+        this.asks.clear();
+        this.applyLevels(this.bids, snapshot.bids);
+        this.applyLevels(this.asks, snapshot.asks);
+        this.lastUpdateId = Number(snapshot.lastUpdateId);
+        this.synced = true;
+
+        const buffered = this.buffer;
+        this.buffer = [];
+        let first = true;
+        for (const event of buffered) {
+            if (event.u <= this.lastUpdateId) continue;
+            if (first && event.U > this.lastUpdateId + 1) {
+                // Snapshot is older than everything we buffered - need a fresh one
+                this.reset();
+                return false;
+            }
+            first = false;
+            this.applyEvent(event);
+        }
+
+        return this.synced;
+    }
+
+    /**
+     * Handle one depthUpdate message
+     * @returns {string} 'applied' | 'buffered' | 'stale' | 'resync'
+     */
+    handleDiff(event) {
+        if (!event || !Number.isFinite(event.U) || !Number.isFinite(event.u)) return 'stale';
+        this.lastEventTime = event.E || Date.now();
+
+        if (!this.synced) {
+            this.buffer.push(event);
+            if (this.buffer.length > this.maxBufferedEvents) this.buffer.shift();
+            return 'buffered';
+        }
+
+        if (event.u <= this.lastUpdateId) return 'stale';
+
+        if (event.U > this.lastUpdateId + 1) {
+            this.logger.warn(`[ORDER BOOK] ${this.symbol} missed updates (${this.lastUpdateId} -> ${event.U}) - resyncing`);
+            this.resyncCount++;
+            this.reset();
+            this.buffer.push(event);
+            return 'resync';
+        }
+
+        this.applyEvent(event);
+        return 'applied';
+    }
+
+    applyEvent(event) {
+        this.applyLevels(this.bids, event.b);
+        this.applyLevels(this.asks, event.a);
+        this.lastUpdateId = event.u;
+
+        // Diffs keep adding levels far from the touch - trim once a side doubles
+        if (this.bids.size > this.maxLevels * 2) this.prune('bids');
+        if (this.asks.size > this.maxLevels * 2) this.prune('asks');
+    }
+
+    prune(side) {
+        const book = side === 'bids' ? this.bids : this.asks;
+        for (const level of this.getLevels(side).slice(this.maxLevels)) {
+            book.delete(level.price);
+        }
+    }
+
+    applyLevels(side, levels) {
+        for (const [p, q] of levels || []) {
+            const price = parseFloat(p);
+            const qty = parseFloat(q);
+            if (!Number.isFinite(price) || !Number.isFinite(qty)) continue;
+            if (qty === 0) {
+                side.delete(price);
+            } else {
+                side.set(price, qty);
+            }
+        }
+    }
+
+    /**
+     * Sorted levels, best first
+     * @param {string} side - 'bids' or 'asks'
+     * @param {number} [limit] - Max levels
+     * @returns {Array} [{ price, qty }]
+     */
+    getLevels(side, limit = Infinity) {
+        const book = side === 'bids' ? this.bids : this.asks;
+        const levels = Array.from(book, ([price, qty]) => ({ price, qty }))
+            .sort((a, b) => (side === 'bids' ? b.price - a.price : a.price - b.price));
+        return levels.length > limit ? levels.slice(0, limit) : levels;
+    }
+
+    getBestBid() {
+        let best = null;
+        for (const price of this.bids.keys()) if (best === null || price > best) best = price;
+        return best;
+    }
+
+    getBestAsk() {
+        let best = null;
+        for (const price of this.asks.keys()) if (best === null || price < best) best = price;
+        return best;
+    }
+
+    /**
+     * Liquidity summary around the mid price
+     * @param {number} [bandPct=0.5] - Depth is summed within +/- this % of mid
+     * @returns {object|null} Null until the book is synced and two-sided
+     */
+    getSummary(bandPct = 0.5) {
+        if (!this.synced) return null;
+        const bestBid = this.getBestBid();
+        const bestAsk = this.getBestAsk();
+        if (bestBid === null || bestAsk === null) return null;
+
+        const mid = (bestBid + bestAsk) / 2;
+        const spread = bestAsk - bestBid;
+        const band = mid * (bandPct / 100);
+
+        let bidDepth = 0;
+        let askDepth = 0;
+        let bidWall = null;
+        let askWall = null;
+
+        for (const [price, qty] of this.bids) {
+            if (price < mid - band) continue;
+            const notional = price * qty;
+            bidDepth += notional;
+            if (!bidWall || notional > bidWall.notional) bidWall = { price, qty, notional };
+        }
+        for (const [price, qty] of this.asks) {
+            if (price > mid + band) continue;
+            const notional = price * qty;
+            askDepth += notional;
+            if (!askWall || notional > askWall.notional) askWall = { price, qty, notional };
+        }
+
+        const totalDepth = bidDepth + askDepth;
+
+        return {
+            symbol: this.symbol,
+            bestBid,
+            bestAsk,
+            mid,
+            spread,
+            spreadBps: mid > 0 ? (spread / mid) * 10000 : null,
+            bandPct,
+            bidDepth,
+            askDepth,
+            // +1 = all bids, -1 = all asks
+            imbalance: totalDepth > 0 ? (bidDepth - askDepth) / totalDepth : 0,
+            bidWall,
+            askWall,
+            lastUpdateId: this.lastUpdateId,
+            lastEventTime: this.lastEventTime
+        };
+    }
+
+    /**
+     * Walk the book to estimate a market order fill
+     * @param {string} side - 'BUY' (consumes asks) or 'SELL' (consumes bids)
+     * @param {number} quantity - Base asset quantity
+     * @returns {object|null} { avgPrice, filledQty, remainingQty, worstPrice, levelsUsed, slippageBps, fullyFilled }
+     */
+    estimateFill(side, quantity) {
+        if (!this.synced || !(quantity > 0)) return null;
+        const levels = this.getLevels(side === 'BUY' ? 'asks' : 'bids');
+        if (levels.length === 0) return null;
+
+        const reference = levels[0].price;
+        let remaining = quantity;
+        let cost = 0;
+        let worstPrice = reference;
+        let levelsUsed = 0;
+
+        for (const level of levels) {
+            if (remaining <= 0) break;
+            const take = Math.min(remaining, level.qty);
+            cost += take * level.price;
+            remaining -= take;
+            worstPrice = level.price;
+            levelsUsed++;
+        }
+
+        const filledQty = quantity - remaining;
+        const avgPrice = filledQty > 0 ? cost / filledQty : reference;
+
+        return {
+            avgPrice,
+            filledQty,
+            remainingQty: remaining,
+            worstPrice,
+            levelsUsed,
+            slippageBps: (Math.abs(avgPrice - reference) / reference) * 10000,
+            fullyFilled: remaining <= 0
+        };
+    }
+}
+
+module.exports = { OrderBook };
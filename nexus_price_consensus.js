@@ -0,0 +1,150 @@
+/**
+ * NEXUS 4.0 - MULTI-VENUE PRICE CONSENSUS
+ *
+ * Collects the latest price per asset from several venues (Binance spot,
+ * Binance futures, Coinbase...) and derives a consensus price:
+ *   - Only fresh quotes count (each venue has its own staleness limit)
+ *   - Consensus = median of the fresh quotes
+ *   - A venue more than divergenceBps away from the median is flagged
+ *   - The consensus is trustworthy when enough venues agree and every
+ *     required venue (the one we actually fill on) is fresh and agrees
+ */
+
+// ============================================
+// HELPERS
+// ============================================
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+// ============================================
+// PRICE CONSENSUS
+// ============================================
+class PriceConsensus {
+    /**
+     * @param {object} options
+     * @param {object} options.venues - { venueName: { staleMs } }
+     * @param {number} [options.divergenceBps=30] - Max distance from the median before a venue is flagged
+     * @param {number} [options.minVenues=2] - Agreeing fresh venues needed for a trustworthy consensus
+     * @param {Array<string>} [options.requiredVenues=[]] - Venues that must be fresh and agree
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.venues = options.venues || {};
+        this.divergenceBps = options.divergenceBps || 30;
+        this.minVenues = options.minVenues || 2;
+        this.requiredVenues = options.requiredVenues || [];
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+
+        this.quotes = {};          // asset -> venue -> { price, time }
+        this.lastTrusted = {};     // asset -> last trustworthy state (for transition logging)
+    }
+
+    /**
+     * Record a venue quote
+     * @param {string} venue - Venue name (must be configured)
+     * @param {string} asset - Asset key
+     * @param {number} price - Last/mark price
+     * @param {number} [time] - Quote time (ms), defaults to now
+     */
+    update(venue, asset, price, time = Date.now()) {
+        if (!this.venues[venue] || !Number.isFinite(price) || price <= 0) return;
+        if (!this.quotes[asset]) this.quotes[asset] = {};
+        const current = this.quotes[asset][venue];
+        // Out-of-order quotes never replace newer ones
+        if (current && current.time > time) return;
+        this.quotes[asset][venue] = { price, time };
+    }
+
+    /**
+     * @param {string} asset - Asset key
+     * @param {number} [now] - Evaluation time (ms)
+     * @returns {object} { price, trustworthy, reason, freshVenues, agreeingVenues, divergentVenues, venues }
+     */
+    getConsensus(asset, now = Date.now()) {
+        const venues = {};
+        const fresh = [];
+
+        for (const [venue, cfg] of Object.entries(this.venues)) {
+            const quote = this.quotes[asset]?.[venue];
+            const ageMs = quote ? now - quote.time : null;
+            const isFresh = !!quote && ageMs <= (cfg.staleMs || 10000);
+            venues[venue] = { price: quote ? quote.price : null, ageMs, fresh: isFresh, deviationBps: null, divergent: false };
+            if (isFresh) fresh.push(venue);
+        }
+
+        const price = median(fresh.map(v => venues[v].price));
+        const agreeing = [];
+        const divergent = [];
+
+        for (const venue of fresh) {
+            const deviationBps = price ? ((venues[venue].price - price) / price) * 10000 : null;
+            venues[venue].deviationBps = deviationBps;
+            if (deviationBps !== null && Math.abs(deviationBps) > this.divergenceBps) {
+                venues[venue].divergent = true;
+                divergent.push(venue);
+            } else {
+                agreeing.push(venue);
+            }
+        }
+
+        let reason = null;
+        const missingRequired = this.requiredVenues.filter(v => !venues[v]?.fresh);
+        const divergentRequired = this.requiredVenues.filter(v => venues[v]?.divergent);
+        if (fresh.length < this.minVenues) {
+            reason = `Only ${fresh.length} fresh venue(s)`;
+        } else if (agreeing.length < this.minVenues) {
+            reason = `Only ${agreeing.length} venue(s) agree within ${this.divergenceBps} bps`;
+        } else if (missingRequired.length > 0) {
+            reason = `No fresh quote from ${missingRequired.join(', ')}`;
+        } else if (divergentRequired.length > 0) {
+            reason = `${divergentRequired.join(', ')} diverging from consensus`;
+        }
+
+        // Consensus price comes from the agreeing venues only
+        const consensusPrice = agreeing.length > 0 ? median(agreeing.map(v => venues[v].price)) : price;
+
+        const result = {
+            price: consensusPrice,
+            trustworthy: reason === null,
+            reason,
+            freshVenues: fresh,
+            agreeingVenues: agreeing,
+            divergentVenues: divergent,
+            venues,
+            timestamp: now
+        };
+
+        this.logTransition(asset, result);
+        return result;
+    }
+
+    /**
+     * Forget an asset's quotes (it left the universe)
+     */
+    reset(asset) {
+        delete this.quotes[asset];
+        delete this.lastTrusted[asset];
+    }
+
+    logTransition(asset, result) {
+        const previous = this.lastTrusted[asset];
+        if (previous === result.trustworthy) return;
+        this.lastTrusted[asset] = result.trustworthy;
+
+        if (!result.trustworthy) {
+            this.logger.warn(`[CONSENSUS] ${asset.toUpperCase()} price consensus lost - ${result.reason}`, {
+                venues: Object.fromEntries(Object.entries(result.venues).map(([v, q]) => [v, q.price]))
+            });
+        } else if (previous === false) {
+            this.logger.info(`[CONSENSUS] ${asset.toUpperCase()} price consensus restored at ${result.price}`, {
+                venues: result.agreeingVenues
+            });
+        }
+    }
+}
+
+module.exports = { PriceConsensus, median };
@@ -0,0 +1,55 @@
+/**
+ * NEXUS 4.0 - PRICE FORMATTING
+ *
+ * Prices are shown (and rounded) to the symbol's tick size from exchangeInfo,
+ * so a 0.15 DOGE level keeps its 0.15234 instead of collapsing to 0.15. Where
+ * the tick size is unknown the price keeps 5 significant digits (at least 2
+ * decimals), which is enough to tell levels apart on any asset.
+ *
+ * Formatting is for logs, reasons and stored display fields only - trade
+ * levels stay raw numbers.
+ */
+
+const SIGNIFICANT_DIGITS = 5;
+const MAX_DECIMALS = 12;
+
+/**
+ * Decimals needed to write a tick size exactly (0.1 -> 1, 0.5 -> 1, 0.00001 -> 5, 10 -> 0)
+ * @param {number} tickSize
+ * @returns {number}
+ */
+function tickDecimals(tickSize) {
+    if (!(tickSize > 0)) return null;
+    let decimals = 0;
+    while (decimals < MAX_DECIMALS && Math.abs(Math.round(tickSize * 10 ** decimals) - tickSize * 10 ** decimals) > 1e-9) {
+        decimals++;
+    }
+    return decimals;
+}
+
+/**
+ * Round a price to the nearest tick
+ * @param {number} price
+ * @param {number} [tickSize] - Price unchanged without one
+ * @returns {number}
+ */
+function roundToTick(price, tickSize) {
+    if (!Number.isFinite(price) || !(tickSize > 0)) return price;
+    return parseFloat((Math.round(price / tickSize) * tickSize).toFixed(tickDecimals(tickSize)));
+}
+
+/**
+ * @param {number} price
+ * @param {number} [tickSize] - Symbol tick size; significant-digit fallback without one
+ * @returns {string}
+ */
+function formatPrice(price, tickSize) {
+    if (!Number.isFinite(price)) return String(price);
+    if (tickSize > 0) return roundToTick(price, tickSize).toFixed(tickDecimals(tickSize));
+
+    const magnitude = price === 0 ? 0 : Math.floor(Math.log10(Math.abs(price)));
+    const decimals = Math.min(MAX_DECIMALS, Math.max(2, SIGNIFICANT_DIGITS - 1 - magnitude));
+    return price.toFixed(decimals);
+}
+
+module.exports = { formatPrice, roundToTick, tickDecimals };
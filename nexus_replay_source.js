@@ -0,0 +1,315 @@
+/**
+ * NEXUS 4.0 - HISTORICAL REPLAY MARKET DATA SOURCE
+ *
+ * Streams recorded klines from local files into the trading engine through the
+ * same message path the Binance WebSocket uses, so a trading day can be
+ * reproduced exactly on a machine with no network access.
+ *
+ * Supported inputs:
+ *   - CSV in Binance kline dump format (data.binance.vision), header optional:
+ *       open_time,open,high,low,close,volume,close_time,quote_volume,count,
+ *       taker_buy_volume,taker_buy_quote_volume,ignore
+ *     Symbol and interval come from the file name (BTCUSDT-1m-2025-12-01.csv)
+ *     unless given explicitly.
+ *   - JSONL with one object per line, either a raw stream message
+ *     ({ e: 'kline', s, k: {...} }, optionally wrapped as { stream, data })
+ *     or a flat candle ({ symbol, interval, openTime, open, high, low, close, closeTime }).
+ *
+ * Usage from the engine:
+ *   NEXUS_MARKET_DATA=replay \
+ *   NEXUS_REPLAY_FILES=/data/BTCUSDT-1m-2025-12-01.csv,/data/ETHUSDT-1m-2025-12-01.csv \
+ *   NEXUS_REPLAY_SPEED=60 node nexus_vps_trading_engine.js
+ *
+ * Speed is a multiplier of real time (1 = real time, 60 = one hour per minute,
+ * 0 = as fast as possible).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { INTERVAL_MS } = require('./nexus_candle_store');
+
+// ============================================
+// FILE PARSING
+// ============================================
+
+/**
+ * Parse "BTCUSDT-1m-2025-12-01.csv" style names into symbol and interval
+ * @param {string} filePath - Path to a replay file
+ * @returns {object} { symbol, interval } (either may be null)
+ */
+function parseFileName(filePath) {
+    const base = path.basename(filePath).replace(/\.(csv|jsonl|json)$/i, '');
+    const parts = base.split(/[-_]/);
+    const symbol = parts[0] && /^[A-Za-z0-9]+$/.test(parts[0]) ? parts[0].toUpperCase() : null;
+    const interval = parts.find(p => INTERVAL_MS[p]) || null;
+    return { symbol, interval };
+}
+
+/**
+ * Build a closed kline stream message in Binance format
+ */
+function buildKlineMessage(symbol, interval, c) {
+    const openTime = Number(c.openTime);
+    const closeTime = Number(c.closeTime) || openTime + (INTERVAL_MS[interval] || 60000) - 1;
+    return {
+        e: 'kline',
+        E: closeTime,
+        s: symbol,
+        k: {
+            t: openTime,
+            T: closeTime,
+            s: symbol,
+            i: interval,
+            o: String(c.open),
+            h: String(c.high),
+            l: String(c.low),
+            c: String(c.close),
+            v: c.volume !== undefined ? String(c.volume) : '0',
+            n: c.trades !== undefined ? Number(c.trades) : 0,
+            x: true,
+            q: c.quoteVolume !== undefined ? String(c.quoteVolume) : '0',
+            V: c.takerBuyVolume !== undefined ? String(c.takerBuyVolume) : '0',
+            Q: c.takerBuyQuoteVolume !== undefined ? String(c.takerBuyQuoteVolume) : '0'
+        }
+    };
+}
+
+function parseCsvLine(line, symbol, interval) {
+    const cols = line.split(',').map(s => s.trim());
+    const openTime = Number(cols[0]);
+    // Skip header rows and anything that isn't a kline
+    if (!Number.isFinite(openTime) || cols.length < 5) return null;
+
+    // Newer Binance dumps use microsecond timestamps
+    const toMs = (t) => (t > 1e14 ? Math.floor(t / 1000) : t);
+
+    return buildKlineMessage(symbol, interval, {
+        openTime: toMs(openTime),
+        open: cols[1],
+        high: cols[2],
+        low: cols[3],
+        close: cols[4],
+        volume: cols[5],
+        closeTime: cols[6] ? toMs(Number(cols[6])) : null,
+        quoteVolume: cols[7],
+        trades: cols[8],
+        takerBuyVolume: cols[9],
+        takerBuyQuoteVolume: cols[10]
+    });
+}
+
+function parseJsonLine(line, symbol, interval) {
+    let raw;
+    try {
+        raw = JSON.parse(line);
+    } catch (e) {
+        return null;
+    }
+
+    const msg = raw && raw.stream ? raw.data : raw;
+    if (!msg || typeof msg !== 'object') return null;
+
+    // Raw stream message - replay it untouched
+    if (msg.e) {
+        return msg;
+    }
+
+    // Flat candle record
+    const sym = (msg.symbol || msg.s || symbol || '').toUpperCase();
+    const tf = msg.interval || msg.i || interval;
+    if (!sym || !tf || msg.open === undefined) return null;
+
+    return buildKlineMessage(sym, tf, {
+        openTime: msg.openTime ?? msg.t ?? msg.timestamp,
+        open: msg.open,
+        high: msg.high,
+        low: msg.low,
+        close: msg.close,
+        volume: msg.volume,
+        closeTime: msg.closeTime ?? msg.T,
+        quoteVolume: msg.quoteVolume,
+        trades: msg.trades,
+        takerBuyVolume: msg.takerBuyVolume,
+        takerBuyQuoteVolume: msg.takerBuyQuoteVolume
+    });
+}
+
+/**
+ * Get the time a message would have arrived on the live stream
+ */
+function getEventTime(msg) {
+    if (msg.e === 'kline' && msg.k) return Number(msg.k.T) || Number(msg.E) || 0;
+    return Number(msg.E) || Number(msg.T) || 0;
+}
+
+/**
+ * Load all events from one replay file
+ * @param {string|object} spec - File path, or { path, symbol, interval }
+ * @returns {Promise<Array>} Stream messages
+ */
+async function loadReplayFile(spec) {
+    const filePath = typeof spec === 'string' ? spec : spec.path;
+    const fromName = parseFileName(filePath);
+    const symbol = (spec.symbol || fromName.symbol || '').toUpperCase() || null;
+    const interval = spec.interval || fromName.interval;
+    const isCsv = /\.csv$/i.test(filePath);
+
+    if (isCsv && (!symbol || !interval)) {
+        throw new Error(`Cannot determine symbol/interval for ${filePath} - name it SYMBOL-INTERVAL-*.csv or pass them explicitly`);
+    }
+
+    const events = [];
+    const rl = readline.createInterface({
+        input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+    });
+
+    for await (const line of rl) {
+        if (!line.trim()) continue;
+        const msg = isCsv ? parseCsvLine(line, symbol, interval) : parseJsonLine(line, symbol, interval);
+        if (msg) events.push(msg);
+    }
+
+    return events;
+}
+
+// ============================================
+// REPLAY SOURCE
+// ============================================
+class ReplayMarketDataSource {
+    /**
+     * @param {object} options
+     * @param {Array<string|object>} options.files - Replay files
+     * @param {number} [options.speed=1] - Real-time multiplier, 0 = no pacing
+     * @param {number} [options.startTime] - Skip events before this time (ms)
+     * @param {number} [options.endTime] - Stop after this time (ms)
+     * @param {object} [options.logger] - Logger with info/warn/error/success
+     */
+    constructor(options = {}) {
+        this.files = options.files || [];
+        this.speed = Number.isFinite(options.speed) && options.speed >= 0 ? options.speed : 1;
+        this.startTime = options.startTime || null;
+        this.endTime = options.endTime || null;
+        this.logger = options.logger || {
+            info: console.log,
+            warn: console.warn,
+            error: console.error,
+            success: console.log
+        };
+
+        this.events = [];
+        this.currentTime = null;
+        this.position = 0;
+        this.isRunning = false;
+        this.finished = false;
+    }
+
+    async load() {
+        if (this.files.length === 0) {
+            throw new Error('No replay files configured');
+        }
+
+        let events = [];
+        for (const spec of this.files) {
+            const fileEvents = await loadReplayFile(spec);
+            this.logger.info(`[REPLAY] Loaded ${fileEvents.length} events from ${typeof spec === 'string' ? spec : spec.path}`);
+            events = events.concat(fileEvents);
+        }
+
+        events = events.filter(msg => {
+            const t = getEventTime(msg);
+            if (!t) return false;
+            if (this.startTime && t < this.startTime) return false;
+            if (this.endTime && t > this.endTime) return false;
+            return true;
+        });
+
+        // Stable sort keeps file order for events closing at the same time
+        this.events = events
+            .map((msg, idx) => ({ msg, idx, time: getEventTime(msg) }))
+            .sort((a, b) => a.time - b.time || a.idx - b.idx)
+            .map(e => e.msg);
+
+        if (this.events.length > 0) {
+            this.currentTime = getEventTime(this.events[0]);
+        }
+
+        return this.events.length;
+    }
+
+    /**
+     * Replay every event through onMessage, pacing by event time
+     * @param {function} onMessage - Called with each stream message (may return a Promise)
+     * @param {function} [onAdvance] - Called after each message with the replay time
+     */
+    async start(onMessage, onAdvance = null) {
+        if (this.isRunning) return;
+        if (this.events.length === 0) await this.load();
+
+        this.isRunning = true;
+        this.finished = false;
+        const startedAt = Date.now();
+        this.logger.info(`[REPLAY] Starting replay of ${this.events.length} events at ${this.speed === 0 ? 'max' : this.speed + 'x'} speed`, {
+            from: this.events.length ? new Date(getEventTime(this.events[0])).toISOString() : null,
+            to: this.events.length ? new Date(getEventTime(this.events[this.events.length - 1])).toISOString() : null
+        });
+
+        while (this.isRunning && this.position < this.events.length) {
+            const msg = this.events[this.position];
+            const eventTime = getEventTime(msg);
+
+            if (this.speed > 0 && this.currentTime !== null && eventTime > this.currentTime) {
+                const waitMs = (eventTime - this.currentTime) / this.speed;
+                await new Promise(resolve => setTimeout(resolve, waitMs));
+                if (!this.isRunning) break;
+            }
+
+            this.currentTime = Math.max(this.currentTime || 0, eventTime);
+            this.position++;
+
+            try {
+                await onMessage(msg);
+                if (onAdvance) await onAdvance(this.currentTime);
+            } catch (error) {
+                this.logger.error('[REPLAY] Event handler error', { error: error.message, eventTime });
+            }
+
+            // Yield to the event loop so the API server stays responsive at max speed
+            if (this.speed === 0 && this.position % 500 === 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+
+        if (this.position >= this.events.length) {
+            this.finished = true;
+            this.logger.success(`[REPLAY] ✅ Replay complete - ${this.events.length} events in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+        }
+        this.isRunning = false;
+    }
+
+    stop() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Current replay clock (time of the last dispatched event)
+     */
+    getCurrentTime() {
+        return this.currentTime || Date.now();
+    }
+
+    getStatus() {
+        return {
+            source: 'replay',
+            running: this.isRunning,
+            finished: this.finished,
+            speed: this.speed,
+            processed: this.position,
+            total: this.events.length,
+            currentTime: this.currentTime
+        };
+    }
+}
+
+module.exports = { ReplayMarketDataSource, loadReplayFile, parseFileName };
@@ -0,0 +1,279 @@
+/**
+ * NEXUS 4.0 - MARKET SESSION CALENDAR
+ *
+ * Sessions and killzones are defined in the local time of the market they
+ * belong to ("LONDON opens 07:00 Europe/London"), so London and New York keep
+ * their real opening times through daylight saving changes - the UTC hour of
+ * the open moves, the local hour does not.
+ *
+ * Each session runs from its open until its close or the next session's open,
+ * whichever comes first, so every moment has exactly one label ('CLOSED' when
+ * nothing is open). A session does not open on its weekend days (none by
+ * default - crypto trades through the weekend; [0, 6] follows FX hours) or
+ * on a date an override closes; overrides can also move a single day's
+ * open/close (early closes). Killzones only count while their own session is
+ * open.
+ *
+ * Lookups binary-search a timeline of UTC intervals. A timestamp outside it
+ * grows the timeline (up to maxTimelineDays) rather than re-centring it, so
+ * scoring that alternates between zones weeks old and "now" keeps hitting
+ * the same timeline. A lookup further away than that gets a second timeline
+ * of its own instead of evicting the first.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CACHED_TIMELINES = 2;   // "now" plus one far-off window
+
+const DEFAULT_SESSIONS = [
+    { name: 'SYDNEY', timeZone: 'Australia/Sydney', open: '07:00', close: '16:00' },
+    { name: 'ASIA', timeZone: 'Asia/Tokyo', open: '09:00', close: '16:00' },
+    { name: 'LONDON', timeZone: 'Europe/London', open: '07:00', close: '16:30', active: true },
+    { name: 'NEW_YORK', timeZone: 'America/New_York', open: '07:00', close: '17:00', active: true }
+];
+
+const DEFAULT_KILLZONES = [
+    { name: 'ASIA_KZ', session: 'ASIA', timeZone: 'Asia/Tokyo', start: '09:00', end: '12:00' },
+    { name: 'LONDON_KZ', session: 'LONDON', timeZone: 'Europe/London', start: '08:00', end: '11:00' },
+    { name: 'NEW_YORK_KZ', session: 'NEW_YORK', timeZone: 'America/New_York', start: '08:00', end: '12:00' }
+];
+
+// ============================================
+// SESSION CALENDAR
+// ============================================
+class SessionCalendar {
+    /**
+     * @param {object} options
+     * @param {Array} [options.sessions] - [{ name, timeZone, open: 'HH:MM', close: 'HH:MM', active }]
+     * @param {Array} [options.killzones] - [{ name, session, timeZone, start: 'HH:MM', end: 'HH:MM' }]
+     * @param {Array} [options.weekendDays=[]] - Local weekdays (0 = Sunday) no session opens on
+     * @param {Array} [options.overrides=[]] - [{ date: 'YYYY-MM-DD', session, closed }] or
+     *                                         [{ date, session, open, close }]; date in the session's zone,
+     *                                         session omitted = every session
+     * @param {number} [options.timelineDays=7] - Days either side of a lookup covered by one timeline build
+     * @param {number} [options.maxTimelineDays=45] - Longest span one timeline grows to; lookups beyond it get a second one
+     */
+    constructor(options = {}) {
+        this.sessions = options.sessions || DEFAULT_SESSIONS;
+        this.killzones = options.killzones || DEFAULT_KILLZONES;
+        this.weekendDays = options.weekendDays || [];
+        this.overrides = options.overrides || [];
+        this.timelineDays = options.timelineDays || 7;
+        this.maxTimelineDays = options.maxTimelineDays || 45;
+
+        this.formatters = {};   // timeZone -> Intl.DateTimeFormat
+        this.timelines = [];    // [{ from, to, sessions, killzones }], most recently used first
+    }
+
+    // ============================================
+    // TIME ZONE HELPERS
+    // ============================================
+
+    /**
+     * Wall-clock date and time of a timestamp in a time zone
+     * @returns {object} { year, month, day, hour, minute }
+     */
+    wallClock(time, timeZone) {
+        if (!this.formatters[timeZone]) {
+            this.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric'
+            });
+        }
+        const parts = {};
+        for (const p of this.formatters[timeZone].formatToParts(time)) {
+            if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+        }
+        return parts;
+    }
+
+    /**
+     * UTC timestamp of a local date and time in a time zone
+     * @param {object} date - { year, month, day }
+     * @param {string} clock - 'HH:MM'
+     * @param {string} timeZone - IANA zone
+     */
+    zonedTime(date, clock, timeZone) {
+        const [hour, minute] = clock.split(':').map(Number);
+        const wall = Date.UTC(date.year, date.month - 1, date.day, hour, minute);
+
+        // Offset at the guess, then again at the corrected time in case a DST change sits between
+        let time = wall - this.offset(wall, timeZone);
+        time = wall - this.offset(time, timeZone);
+        return time;
+    }
+
+    offset(time, timeZone) {
+        const w = this.wallClock(time, timeZone);
+        return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute) - Math.floor(time / 60000) * 60000;
+    }
+
+    // ============================================
+    // TIMELINE
+    // ============================================
+
+    /**
+     * Opening hours of one session on one local date, after weekends and overrides
+     * @returns {object|null} { name, active, start, end } or null when closed that day
+     */
+    occurrence(session, date) {
+        const key = `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+        const override = this.overrides.find(o => o.date === key && (!o.session || o.session === session.name));
+        if (override && override.closed) return null;
+
+        const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+        if (!override && this.weekendDays.includes(weekday)) return null;
+
+        const open = override?.open || session.open;
+        const close = override?.close || session.close;
+        const start = this.zonedTime(date, open, session.timeZone);
+        let end = this.zonedTime(date, close, session.timeZone);
+        if (end <= start) end += DAY_MS;   // Closes after local midnight
+        return { name: session.name, active: !!session.active, start, end };
+    }
+
+    /**
+     * Local dates in a zone whose occurrences can touch [from, to]
+     */
+    localDates(from, to, timeZone) {
+        const dates = [];
+        for (let t = from - DAY_MS; t <= to + DAY_MS; t += DAY_MS) {
+            const w = this.wallClock(t, timeZone);
+            const last = dates[dates.length - 1];
+            if (!last || last.year !== w.year || last.month !== w.month || last.day !== w.day) {
+                dates.push({ year: w.year, month: w.month, day: w.day });
+            }
+        }
+        return dates;
+    }
+
+    buildTimeline(from, to) {
+        const opens = [];
+        for (const session of this.sessions) {
+            for (const date of this.localDates(from, to, session.timeZone)) {
+                const o = this.occurrence(session, date);
+                if (o) opens.push(o);
+            }
+        }
+        opens.sort((a, b) => a.start - b.start);
+
+        // The next open ends the running session early
+        const sessions = opens.map((o, i) => ({
+            ...o,
+            end: i + 1 < opens.length ? Math.min(o.end, opens[i + 1].start) : o.end
+        })).filter(s => s.end > s.start);
+
+        const killzones = [];
+        for (const kz of this.killzones) {
+            for (const date of this.localDates(from, to, kz.timeZone)) {
+                const start = this.zonedTime(date, kz.start, kz.timeZone);
+                let end = this.zonedTime(date, kz.end, kz.timeZone);
+                if (end <= start) end += DAY_MS;
+                const parent = sessions.find(s => s.name === kz.session && start >= s.start && start < s.end);
+                if (parent) killzones.push({ name: kz.name, session: kz.session, start, end: Math.min(end, parent.end) });
+            }
+        }
+        killzones.sort((a, b) => a.start - b.start);
+
+        return { from, to, sessions, killzones };
+    }
+
+    /**
+     * Cached timeline covering [from, to], grown or built when none does
+     */
+    ensureTimeline(from, to = from) {
+        // Margin keeps occurrences that started before the window from being cut off
+        const hit = this.timelines.find(t => from >= t.from + DAY_MS && to <= t.to - DAY_MS);
+        if (hit) {
+            this.timelines = [hit, ...this.timelines.filter(t => t !== hit)];
+            return hit;
+        }
+
+        let start = from - this.timelineDays * DAY_MS;
+        let end = to + this.timelineDays * DAY_MS;
+        // Grow a timeline the lookup is near; too far from all of them, it gets its own
+        const maxSpan = this.maxTimelineDays * DAY_MS;
+        const near = this.timelines.find(t => Math.max(end, t.to) - Math.min(start, t.from) <= maxSpan);
+        if (near) {
+            start = Math.min(start, near.from);
+            end = Math.max(end, near.to);
+        }
+        const timeline = this.buildTimeline(start, end);
+        this.timelines = [timeline, ...this.timelines.filter(t => t !== near)].slice(0, CACHED_TIMELINES);
+        return timeline;
+    }
+
+    /**
+     * Interval containing a timestamp in a sorted, non-overlapping list
+     */
+    findInterval(list, time) {
+        let lo = 0;
+        let hi = list.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (time < list[mid].start) hi = mid - 1;
+            else if (time >= list[mid].end) lo = mid + 1;
+            else return list[mid];
+        }
+        return null;
+    }
+
+    // ============================================
+    // LOOKUPS
+    // ============================================
+
+    /**
+     * Session and killzone labels for a timestamp
+     * @param {number} time - Epoch ms
+     * @returns {object} { name, active, start, end, killzone, inKillzone }
+     */
+    getSession(time) {
+        const timeline = this.ensureTimeline(time);
+        const session = this.findInterval(timeline.sessions, time);
+        const killzone = this.findInterval(timeline.killzones, time);
+        return {
+            name: session ? session.name : 'CLOSED',
+            active: session ? session.active : false,
+            start: session ? session.start : null,
+            end: session ? session.end : null,
+            killzone: killzone ? killzone.name : null,
+            inKillzone: !!killzone
+        };
+    }
+
+    /**
+     * UTC intervals of every session and killzone in a window, for clients that
+     * can't resolve time zones themselves
+     * @param {number} from - Epoch ms
+     * @param {number} to - Epoch ms
+     * @returns {object} { from, to, sessions: [{ name, active, start, end }], killzones: [{ name, session, start, end }] }
+     */
+    getSchedule(from, to) {
+        const timeline = this.ensureTimeline(from, to);
+        const inWindow = i => i.end > from && i.start < to;
+        return {
+            from,
+            to,
+            sessions: timeline.sessions.filter(inWindow),
+            killzones: timeline.killzones.filter(inWindow)
+        };
+    }
+
+    getStatus(time) {
+        return {
+            now: this.getSession(time),
+            sessions: this.sessions,
+            killzones: this.killzones,
+            weekendDays: this.weekendDays,
+            overrides: this.overrides,
+            schedule: this.getSchedule(time - DAY_MS, time + 2 * DAY_MS)
+        };
+    }
+}
+
+module.exports = { SessionCalendar, DEFAULT_SESSIONS, DEFAULT_KILLZONES };
@@ -0,0 +1,218 @@
+/**
+ * NEXUS 4.0 - TRADING SESSIONS, KILLZONES AND SESSION SWEEPS
+ *
+ * Session labels come from a SessionCalendar (nexus_session_calendar.js), which
+ * gives every timestamp exactly one session and knows the killzones - the
+ * high-volume windows inside them where most displacement starts.
+ *
+ * Per asset, closed candles are walked once to record each session's high and
+ * low. Against the previous session's extremes (and the Asian range, once it
+ * has closed) every new candle is checked for:
+ *
+ *   sweep - wick beyond the extreme, close back inside: stops taken, reversal
+ *   break - close beyond the extreme: the level is simply taken
+ *
+ * Each level is only reported once.
+ */
+
+const { SessionCalendar } = require('./nexus_session_calendar');
+const { formatPrice } = require('./nexus_price_format');
+
+// ============================================
+// SESSION TRACKER
+// ============================================
+class SessionTracker {
+    /**
+     * @param {object} options
+     * @param {SessionCalendar} [options.calendar] - Session calendar (default calendar when omitted)
+     * @param {string} [options.asianSession='ASIA'] - Session whose range is tracked as the Asian range
+     * @param {number} [options.maxSessions=12] - Completed sessions kept per asset
+     * @param {number} [options.maxSweeps=50] - Sweep/break events kept per asset
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.calendar = options.calendar || new SessionCalendar();
+        this.asianSession = options.asianSession || 'ASIA';
+        this.maxSessions = options.maxSessions || 12;
+        this.maxSweeps = options.maxSweeps || 50;
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+
+        this.assets = {};   // asset -> { current, history, asianRange, taken, sweeps, lastCandleTime }
+    }
+
+    getState(asset) {
+        if (!this.assets[asset]) {
+            this.assets[asset] = {
+                current: null,
+                history: [],        // Completed sessions, newest last
+                asianRange: null,
+                taken: new Set(),   // "levelStart_side" already swept or broken
+                sweeps: [],
+                lastCandleTime: null
+            };
+        }
+        return this.assets[asset];
+    }
+
+    /**
+     * Process the closed candles this asset has not seen yet
+     * @param {string} asset - Asset key
+     * @param {Array} candles - Candle window, oldest first
+     * @returns {Array} Sweep/break events added by this update
+     */
+    update(asset, candles) {
+        const state = this.getState(asset);
+        const added = [];
+
+        for (const c of candles || []) {
+            if (c.closed === false) continue;
+            if (state.lastCandleTime !== null && c.timestamp <= state.lastCandleTime) continue;
+            state.lastCandleTime = c.timestamp;
+
+            const session = this.calendar.getSession(c.timestamp);
+            if (session.start === null) continue;
+
+            if (!state.current || state.current.start !== session.start) {
+                this.roll(state, session);
+            }
+
+            for (const level of this.referenceLevels(state)) {
+                added.push(...this.checkLevel(state, asset, level, c, session));
+            }
+
+            state.current.high = Math.max(state.current.high, c.high);
+            state.current.low = Math.min(state.current.low, c.low);
+            state.current.candles++;
+        }
+
+        if (state.sweeps.length > this.maxSweeps) state.sweeps.splice(0, state.sweeps.length - this.maxSweeps);
+        return added;
+    }
+
+    /**
+     * Close the running session and open the next one
+     */
+    roll(state, session) {
+        const done = state.current;
+        if (done && done.candles > 0) {
+            done.complete = true;
+            state.history.push(done);
+            if (state.history.length > this.maxSessions) state.history.shift();
+            if (done.name === this.asianSession) state.asianRange = done;
+
+            // Levels of sessions that dropped out of the history can no longer be checked
+            const oldest = Math.min(state.history[0].start, state.asianRange ? state.asianRange.start : Infinity);
+            for (const key of state.taken) {
+                if (parseInt(key, 10) < oldest) state.taken.delete(key);
+            }
+        }
+        state.current = {
+            name: session.name,
+            start: session.start,
+            end: session.end,
+            high: -Infinity,
+            low: Infinity,
+            candles: 0,
+            complete: false
+        };
+    }
+
+    /**
+     * Levels a candle in the running session is checked against
+     */
+    referenceLevels(state) {
+        const levels = [];
+        const previous = state.history[state.history.length - 1];
+        if (previous) levels.push({ reference: 'previous_session', range: previous });
+        if (state.asianRange && state.asianRange !== previous && state.current.name !== this.asianSession) {
+            levels.push({ reference: 'asian_range', range: state.asianRange });
+        }
+        return levels;
+    }
+
+    checkLevel(state, asset, level, candle, session) {
+        const { range } = level;
+        const events = [];
+
+        for (const side of ['high', 'low']) {
+            const key = `${range.start}_${side}`;
+            if (state.taken.has(key)) continue;
+
+            const price = range[side];
+            const beyond = side === 'high' ? candle.high > price : candle.low < price;
+            if (!beyond) continue;
+
+            const closedBeyond = side === 'high' ? candle.close > price : candle.close < price;
+            const type = closedBeyond ? 'break' : 'sweep';
+            // A swept high sends price down; a broken high carries it up
+            const direction = (side === 'high') === (type === 'sweep') ? 'bearish' : 'bullish';
+
+            state.taken.add(key);
+            const event = {
+                asset,
+                type,
+                side,
+                direction,
+                reference: level.reference,
+                referenceSession: range.name,
+                level: price,
+                extreme: side === 'high' ? candle.high : candle.low,
+                close: candle.close,
+                timestamp: candle.timestamp,
+                session: session.name,
+                killzone: session.killzone
+            };
+            state.sweeps.push(event);
+            events.push(event);
+
+            if (type === 'sweep') {
+                this.logger.info(`[SESSIONS] ${asset.toUpperCase()} ${range.name} ${side} ${formatPrice(price)} swept in ${session.name}${session.killzone ? ` (${session.killzone})` : ''}`);
+            }
+        }
+        return events;
+    }
+
+    /**
+     * @param {string} asset - Asset key
+     * @param {number} [sinceMs] - Only events at or after this time
+     * @returns {object|null} Most recent sweep (close back inside) for the asset
+     */
+    getLatestSweep(asset, sinceMs = 0) {
+        const sweeps = this.assets[asset]?.sweeps || [];
+        for (let i = sweeps.length - 1; i >= 0; i--) {
+            if (sweeps[i].timestamp < sinceMs) break;
+            if (sweeps[i].type === 'sweep') return sweeps[i];
+        }
+        return null;
+    }
+
+    /**
+     * @returns {object} { current, previous, asianRange, sweeps (newest first) } for one asset
+     */
+    getSnapshot(asset) {
+        const state = this.assets[asset];
+        if (!state) return { current: null, previous: null, asianRange: null, sweeps: [] };
+        return {
+            current: state.current,
+            previous: state.history[state.history.length - 1] || null,
+            asianRange: state.asianRange,
+            sweeps: [...state.sweeps].reverse()
+        };
+    }
+
+    /**
+     * Forget an asset (it left the universe; a later return starts fresh)
+     */
+    reset(asset) {
+        delete this.assets[asset];
+    }
+
+    getStatus() {
+        return {
+            asianSession: this.asianSession,
+            assets: Object.fromEntries(Object.keys(this.assets).map(asset => [asset, this.getSnapshot(asset)]))
+        };
+    }
+}
+
+module.exports = { SessionTracker };
@@ -0,0 +1,328 @@
+/**
+ * NEXUS 4.0 - MARKET DATA STREAM SUPERVISOR
+ *
+ * Owns one combined-stream WebSocket and keeps it alive:
+ *   - Per-stream staleness: every stream in the URL must keep delivering, so a
+ *     socket that is open but silent (or silent on one stream) gets restarted;
+ *     a stream that stays silent across restarts is retried with the same backoff
+ *   - Ping/pong heartbeat to catch half-open TCP connections
+ *   - Exponential backoff with jitter between reconnects, retrying forever
+ *   - onDown after repeated failures (start a REST fallback), onRecovered on
+ *     the first message after the stream comes back (stop the fallback)
+ *
+ * A connection only counts as healthy once data flows - an open socket that
+ * never delivers keeps the backoff growing.
+ */
+
+const WebSocket = require('ws');
+
+/**
+ * Exponential backoff with +/- jitter
+ * @param {number} attempt - 1-based attempt number
+ * @param {object} options - { baseDelayMs, maxDelayMs, jitter (0..1) }
+ * @returns {number} Delay in ms
+ */
+function computeBackoff(attempt, options = {}) {
+    const base = options.baseDelayMs || 1000;
+    const max = options.maxDelayMs || 60000;
+    const jitter = options.jitter !== undefined ? options.jitter : 0.3;
+    const exp = Math.min(max, base * Math.pow(2, Math.max(0, attempt - 1)));
+    const jittered = exp * (1 + (Math.random() * 2 - 1) * jitter);
+    return Math.round(Math.min(max, Math.max(base / 2, jittered)));
+}
+
+/**
+ * Stream names from a combined-stream URL (...stream?streams=a/b/c)
+ */
+function parseStreamNames(url) {
+    const match = /[?&]streams=([^&]+)/.exec(url || '');
+    return match ? match[1].split('/').filter(Boolean) : [];
+}
+
+// ============================================
+// STREAM SUPERVISOR
+// ============================================
+class StreamSupervisor {
+    /**
+     * @param {object} options
+     * @param {string} options.name - Label used in logs and status
+     * @param {string} options.url - Combined-stream WebSocket URL
+     * @param {function} options.onMessage - Called with each parsed message
+     * @param {function} [options.onOpen] - Called with (isReconnect) when the socket opens
+     * @param {function} [options.onDown] - Called once when reconnects keep failing
+     * @param {function} [options.onRecovered] - Called when data flows again after onDown
+     * @param {object} [options.staleAfterMs] - { streamSubstring: ms, default: ms }
+     * @param {number} [options.baseDelayMs=1000]
+     * @param {number} [options.maxDelayMs=60000]
+     * @param {number} [options.jitter=0.3]
+     * @param {number} [options.fallbackAfterAttempts=5] - Failed attempts before onDown
+     * @param {number} [options.checkIntervalMs=5000] - Watchdog period
+     * @param {number} [options.pingIntervalMs=30000]
+     * @param {number} [options.pongTimeoutMs=10000]
+     * @param {object} [options.logger] - Logger with info/warn/error/success
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'stream';
+        this.url = options.url;
+        this.streams = options.streams || parseStreamNames(options.url);
+        this.onMessage = options.onMessage || (() => {});
+        this.onOpen = options.onOpen || null;
+        this.onDown = options.onDown || null;
+        this.onRecovered = options.onRecovered || null;
+        this.staleAfterMs = options.staleAfterMs || {};
+        this.backoff = {
+            baseDelayMs: options.baseDelayMs || 1000,
+            maxDelayMs: options.maxDelayMs || 60000,
+            jitter: options.jitter !== undefined ? options.jitter : 0.3
+        };
+        this.fallbackAfterAttempts = options.fallbackAfterAttempts || 5;
+        this.checkIntervalMs = options.checkIntervalMs || 5000;
+        this.pingIntervalMs = options.pingIntervalMs || 30000;
+        this.pongTimeoutMs = options.pongTimeoutMs || 10000;
+        this.logger = options.logger || {
+            info: console.log,
+            warn: console.warn,
+            error: console.error,
+            success: console.log
+        };
+
+        this.ws = null;
+        this.stopped = true;
+        this.attempts = 0;
+        this.down = false;
+        this.connectedAt = null;
+        this.lastMessageAt = {};
+        this.pingSentAt = null;
+        this.lastPongAt = null;
+        this.reconnectTimer = null;
+        this.watchdogTimer = null;
+        this.staleStrikes = 0;          // Stale restarts since every stream last delivered
+        this.staleRestartAt = null;     // When the pending stale restart fires
+        this.stats = { connects: 0, reconnects: 0, staleRestarts: 0, heartbeatFailures: 0, lastError: null, lastDisconnectAt: null };
+    }
+
+    start() {
+        if (!this.stopped) return;
+        this.stopped = false;
+        this.connect();
+        this.watchdogTimer = setInterval(() => this.check(), this.checkIntervalMs);
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.watchdogTimer);
+        this.reconnectTimer = null;
+        this.watchdogTimer = null;
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            ws.close();
+        }
+    }
+
+    /**
+     * Switch to a different stream set (e.g. after the symbol universe changed).
+     * A running supervisor reconnects straight away, without backoff.
+     * @returns {boolean} True if the URL changed
+     */
+    setUrl(url) {
+        if (url === this.url) return false;
+        this.url = url;
+        this.streams = parseStreamNames(url);
+        this.lastMessageAt = {};
+        this.staleStrikes = 0;
+        this.staleRestartAt = null;
+        if (this.stopped) return true;
+
+        this.logger.info(`[STREAM] ${this.name} stream set changed - reconnecting (${this.streams.length} streams)`);
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            ws.close();
+        }
+        this.connect();
+        return true;
+    }
+
+    isConnected() {
+        return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    connect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.stopped) return;
+
+        let ws;
+        try {
+            ws = new WebSocket(this.url, { handshakeTimeout: 15000 });
+        } catch (error) {
+            this.stats.lastError = error.message;
+            this.logger.error(`[STREAM] ${this.name} connection failed`, { error: error.message });
+            this.scheduleReconnect();
+            return;
+        }
+        this.ws = ws;
+
+        ws.on('open', () => {
+            if (this.ws !== ws) return;
+            const isReconnect = this.stats.connects > 0;
+            this.stats.connects++;
+            this.connectedAt = Date.now();
+            this.lastMessageAt = {};
+            this.pingSentAt = null;
+            this.lastPongAt = this.connectedAt;
+            this.logger.success(`[STREAM] ${this.name} WebSocket connected${isReconnect ? ' (reconnect)' : ''}`);
+            if (this.onOpen) this.onOpen(isReconnect);
+        });
+
+        ws.on('message', (data) => {
+            if (this.ws !== ws) return;
+            let msg;
+            try {
+                msg = JSON.parse(data.toString());
+            } catch (error) {
+                this.logger.error(`[STREAM] ${this.name} unparseable message`, { error: error.message });
+                return;
+            }
+
+            this.lastMessageAt[msg.stream || 'default'] = Date.now();
+
+            // Data is flowing - the connection has proven itself
+            if (this.attempts > 0) this.attempts = 0;
+            if (this.down) {
+                this.down = false;
+                this.logger.success(`[STREAM] ${this.name} data flowing again`);
+                if (this.onRecovered) this.onRecovered();
+            }
+
+            try {
+                this.onMessage(msg);
+            } catch (error) {
+                this.logger.error(`[STREAM] ${this.name} message handler error`, { error: error.message });
+            }
+        });
+
+        ws.on('pong', () => {
+            this.lastPongAt = Date.now();
+        });
+
+        ws.on('error', (err) => {
+            this.stats.lastError = err.message;
+            this.logger.error(`[STREAM] ${this.name} WebSocket error`, { error: err.message });
+        });
+
+        ws.on('close', (code) => {
+            if (this.ws !== ws) return;
+            this.ws = null;
+            this.connectedAt = null;
+            this.stats.lastDisconnectAt = Date.now();
+            if (this.stopped) return;
+            this.logger.warn(`[STREAM] ${this.name} WebSocket closed (code ${code})`);
+            this.scheduleReconnect();
+        });
+    }
+
+    scheduleReconnect() {
+        if (this.stopped || this.reconnectTimer) return;
+        this.attempts++;
+        this.stats.reconnects++;
+
+        if (!this.down && this.attempts >= this.fallbackAfterAttempts) {
+            this.down = true;
+            this.logger.warn(`[STREAM] ${this.name} down after ${this.attempts} attempts - falling back, still retrying`);
+            if (this.onDown) this.onDown();
+        }
+
+        const delay = computeBackoff(this.attempts, this.backoff);
+        this.logger.info(`[STREAM] ${this.name} reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${this.attempts})`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    staleThreshold(stream) {
+        for (const [key, ms] of Object.entries(this.staleAfterMs)) {
+            if (key !== 'default' && stream.includes(key)) return ms;
+        }
+        return this.staleAfterMs.default || 30000;
+    }
+
+    /**
+     * Watchdog tick: restart the socket if any stream went quiet or the heartbeat failed
+     */
+    check(now = Date.now()) {
+        if (!this.isConnected()) return;
+        const ws = this.ws;
+
+        const stale = this.streams.filter(stream => {
+            const last = this.lastMessageAt[stream] || this.connectedAt;
+            return now - last > this.staleThreshold(stream);
+        });
+        if (stale.length > 0) {
+            // The other streams keep resetting the reconnect backoff, so a stream that stays
+            // silent would be restarted on every staleness - back off between those restarts too
+            if (this.staleRestartAt === null) {
+                const delay = this.staleStrikes > 0 ? computeBackoff(this.staleStrikes, this.backoff) : 0;
+                this.staleRestartAt = now + delay;
+                if (delay > 0) {
+                    this.logger.warn(`[STREAM] ${this.name} streams still stale after ${this.staleStrikes} restart(s) - restarting in ${(delay / 1000).toFixed(1)}s`, { stale });
+                }
+            }
+            if (now >= this.staleRestartAt) {
+                this.staleStrikes++;
+                this.staleRestartAt = null;
+                this.stats.staleRestarts++;
+                this.logger.warn(`[STREAM] ${this.name} stale streams - restarting connection`, { stale });
+                ws.terminate();
+                return;
+            }
+        } else {
+            this.staleRestartAt = null;
+            if (this.streams.every(stream => this.lastMessageAt[stream])) this.staleStrikes = 0;
+        }
+
+        if (this.pingSentAt && this.lastPongAt < this.pingSentAt && now - this.pingSentAt > this.pongTimeoutMs) {
+            this.stats.heartbeatFailures++;
+            this.logger.warn(`[STREAM] ${this.name} no pong in ${this.pongTimeoutMs}ms - restarting connection`);
+            ws.terminate();
+            return;
+        }
+
+        if (!this.pingSentAt || now - this.pingSentAt >= this.pingIntervalMs) {
+            this.pingSentAt = now;
+            try {
+                ws.ping();
+            } catch (error) {
+                this.stats.lastError = error.message;
+            }
+        }
+    }
+
+    getStatus(now = Date.now()) {
+        const streams = {};
+        for (const stream of this.streams) {
+            const last = this.lastMessageAt[stream] || null;
+            const staleAfterMs = this.staleThreshold(stream);
+            streams[stream] = {
+                lastMessageAt: last,
+                ageMs: last ? now - last : null,
+                staleAfterMs,
+                stale: !last || now - last > staleAfterMs
+            };
+        }
+
+        return {
+            name: this.name,
+            connected: this.isConnected(),
+            down: this.down,
+            attempts: this.attempts,
+            staleStrikes: this.staleStrikes,
+            connectedAt: this.connectedAt,
+            lastPongAt: this.lastPongAt,
+            stats: { ...this.stats },
+            streams
+        };
+    }
+}
+
+module.exports = { StreamSupervisor, computeBackoff, parseStreamNames };
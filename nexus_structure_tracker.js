@@ -0,0 +1,200 @@
+/**
+ * NEXUS 4.0 - MARKET STRUCTURE EVENT TRACKER
+ *
+ * Turns swing points into timestamped structure events, per asset/timeframe:
+ *
+ *   BOS   - break of structure: the latest swing broken in the trend's direction
+ *   CHoCH - change of character: the first break against the current trend
+ *
+ * A break counts when a candle BODY closes beyond the swing. A wick through the
+ * swing that closes back inside is recorded too (confirmed: false) but does not
+ * move the trend. Each closed candle is processed exactly once, and a swing is
+ * only used once the candles that confirm it have closed, so events match what
+ * was knowable at the time.
+ *
+ * History is a rolling list per series; queries like "bullish CHoCH within the
+ * last 10 candles" count candles processed, not wall time.
+ */
+
+const { formatPrice } = require('./nexus_price_format');
+
+// ============================================
+// STRUCTURE TRACKER
+// ============================================
+class StructureTracker {
+    /**
+     * @param {object} options
+     * @param {number} [options.maxEvents=200] - Events kept per asset/timeframe
+     * @param {boolean} [options.requireBodyClose=true] - False lets a wick through a swing count as a break
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.maxEvents = options.maxEvents || 200;
+        this.requireBodyClose = options.requireBodyClose !== undefined ? options.requireBodyClose : true;
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+
+        this.series = {};   // "asset|timeframe" -> { trend, candleCount, lastCandleTime, broken, wicked, events }
+    }
+
+    getSeries(asset, timeframe) {
+        const key = `${asset}|${timeframe}`;
+        if (!this.series[key]) {
+            this.series[key] = {
+                trend: 'neutral',
+                candleCount: 0,
+                lastCandleTime: null,
+                broken: new Set(),      // Swing timestamps already broken by a close
+                wicked: new Set(),      // Swing timestamps already wicked through
+                events: []
+            };
+        }
+        return this.series[key];
+    }
+
+    /**
+     * Process the closed candles this series has not seen yet
+     * @param {string} asset - Asset key
+     * @param {string} timeframe - Timeframe of the candles
+     * @param {Array} candles - Candle window, oldest first
+     * @param {Array} swingHighs - From findSwingHighs on the same window ({ price, index, timestamp })
+     * @param {Array} swingLows - From findSwingLows on the same window
+     * @param {number} lookback - Swing lookback - a swing is confirmed this many candles after it
+     * @returns {Array} Events added by this update
+     */
+    update(asset, timeframe, candles, swingHighs, swingLows, lookback) {
+        const state = this.getSeries(asset, timeframe);
+        const added = [];
+        if (!candles || candles.length === 0) return added;
+
+        for (let i = 0; i < candles.length; i++) {
+            const c = candles[i];
+            if (c.closed === false) continue;
+            if (state.lastCandleTime !== null && c.timestamp <= state.lastCandleTime) continue;
+            state.lastCandleTime = c.timestamp;
+            state.candleCount++;
+
+            const high = this.latestConfirmed(swingHighs, i, lookback);
+            const low = this.latestConfirmed(swingLows, i, lookback);
+
+            if (high && !state.broken.has(high.timestamp) && c.high > high.price) {
+                const event = this.checkBreak(state, asset, timeframe, 'bullish', high, c);
+                if (event) added.push(event);
+            }
+            if (low && !state.broken.has(low.timestamp) && c.low < low.price) {
+                const event = this.checkBreak(state, asset, timeframe, 'bearish', low, c);
+                if (event) added.push(event);
+            }
+        }
+
+        // Swings that scrolled out of the window can no longer be referenced
+        const oldest = candles[0].timestamp;
+        for (const set of [state.broken, state.wicked]) {
+            for (const ts of set) if (ts < oldest) set.delete(ts);
+        }
+        if (state.events.length > this.maxEvents) state.events.splice(0, state.events.length - this.maxEvents);
+
+        return added;
+    }
+
+    /**
+     * Most recent swing whose confirming candles closed before candle i
+     */
+    latestConfirmed(swings, i, lookback) {
+        for (let k = (swings || []).length - 1; k >= 0; k--) {
+            if (swings[k].index + lookback < i) return swings[k];
+        }
+        return null;
+    }
+
+    checkBreak(state, asset, timeframe, direction, swing, candle) {
+        const closedBeyond = direction === 'bullish' ? candle.close > swing.price : candle.close < swing.price;
+        const confirmed = closedBeyond || !this.requireBodyClose;
+
+        if (!confirmed) {
+            if (state.wicked.has(swing.timestamp)) return null;
+            state.wicked.add(swing.timestamp);
+        } else {
+            state.broken.add(swing.timestamp);
+        }
+
+        const opposing = direction === 'bullish' ? 'bearish' : 'bullish';
+        const event = {
+            asset,
+            timeframe,
+            type: state.trend === opposing ? 'CHoCH' : 'BOS',
+            direction,
+            confirmed,
+            confirmation: closedBeyond ? 'close' : 'wick',
+            level: swing.price,
+            swingTimestamp: swing.timestamp,
+            timestamp: candle.timestamp,
+            close: candle.close,
+            candleSeq: state.candleCount
+        };
+        state.events.push(event);
+
+        if (confirmed) {
+            const previous = state.trend;
+            state.trend = direction;
+            if (event.type === 'CHoCH') {
+                this.logger.info(`[STRUCTURE] ${asset.toUpperCase()} ${timeframe} ${direction} CHoCH at ${formatPrice(swing.price)} (${previous} -> ${direction})`);
+            }
+        }
+        return event;
+    }
+
+    /**
+     * Query the event history, newest first
+     * @param {string} asset - Asset key
+     * @param {string} timeframe - Timeframe
+     * @param {object} [filter]
+     * @param {string} [filter.type] - 'BOS' | 'CHoCH'
+     * @param {string} [filter.direction] - 'bullish' | 'bearish'
+     * @param {number} [filter.withinCandles] - Only events from the last N processed candles
+     * @param {boolean} [filter.includeWicks=false] - Include unconfirmed wick breaks
+     * @returns {Array} Events
+     */
+    getEvents(asset, timeframe, filter = {}) {
+        const state = this.series[`${asset}|${timeframe}`];
+        if (!state) return [];
+
+        return state.events.filter(e =>
+            (filter.includeWicks || e.confirmed) &&
+            (!filter.type || e.type === filter.type) &&
+            (!filter.direction || e.direction === filter.direction) &&
+            (filter.withinCandles === undefined || state.candleCount - e.candleSeq < filter.withinCandles)
+        ).reverse();
+    }
+
+    getLatest(asset, timeframe, filter = {}) {
+        return this.getEvents(asset, timeframe, filter)[0] || null;
+    }
+
+    getTrend(asset, timeframe) {
+        return this.series[`${asset}|${timeframe}`]?.trend || 'neutral';
+    }
+
+    /**
+     * Forget every timeframe of an asset (it left the universe; a later return starts fresh)
+     */
+    reset(asset) {
+        for (const key of Object.keys(this.series)) {
+            if (key.startsWith(`${asset}|`)) delete this.series[key];
+        }
+    }
+
+    getStatus() {
+        const series = {};
+        for (const [key, state] of Object.entries(this.series)) {
+            series[key] = {
+                trend: state.trend,
+                candlesProcessed: state.candleCount,
+                lastCandleTime: state.lastCandleTime,
+                events: [...state.events].reverse()
+            };
+        }
+        return { requireBodyClose: this.requireBodyClose, series };
+    }
+}
+
+module.exports = { StructureTracker };
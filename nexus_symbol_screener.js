@@ -0,0 +1,285 @@
+/**
+ * NEXUS 4.0 - USDT PERPETUAL SYMBOL SCREENER
+ *
+ * Ranks Binance USDT-M perpetuals so the engine can rotate the most tradeable
+ * ones into its scan set:
+ *   1. exchangeInfo  -> every trading USDT perpetual
+ *   2. 24h tickers   -> quote volume (liquidity), minimum volume filter
+ *   3. book tickers  -> top-of-book spread
+ *   4. klines        -> ATR% for the most liquid candidates only (one request each)
+ *
+ * Each metric is turned into a percentile rank across the candidates and the
+ * weighted sum is the score. Candidates outside the volume / spread / ATR
+ * limits stay in the ranking with the reasons they were excluded.
+ *
+ * Symbols without a spot market are skipped - the engine reads candles, depth
+ * and trades from the spot streams.
+ */
+
+const axios = require('axios');
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * ATR as a percentage of the last close
+ * @param {Array} klines - Raw Binance klines [openTime, open, high, low, close, ...]
+ * @param {number} period - ATR period
+ * @returns {number|null} Null if there are not enough klines
+ */
+function computeAtrPct(klines, period = 14) {
+    if (!Array.isArray(klines) || klines.length < period + 1) return null;
+    const candles = klines.map(k => ({ high: parseFloat(k[2]), low: parseFloat(k[3]), close: parseFloat(k[4]) }));
+    const recent = candles.slice(-(period + 1));
+
+    let sum = 0;
+    for (let i = 1; i < recent.length; i++) {
+        const { high, low } = recent[i];
+        const prevClose = recent[i - 1].close;
+        sum += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+    }
+
+    const lastClose = recent[recent.length - 1].close;
+    return lastClose > 0 ? (sum / period / lastClose) * 100 : null;
+}
+
+/**
+ * Percentile rank (0..1) of each value - ties share their average rank
+ */
+function percentileRanks(values) {
+    if (values.length <= 1) return values.map(() => 1);
+    const sorted = [...values].sort((a, b) => a - b);
+    return values.map(v => (sorted.indexOf(v) + sorted.lastIndexOf(v)) / 2 / (values.length - 1));
+}
+
+function formatUsd(value) {
+    if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+    if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+    return `$${Math.round(value).toLocaleString()}`;
+}
+
+// ============================================
+// SYMBOL SCREENER
+// ============================================
+class SymbolScreener {
+    /**
+     * @param {object} options
+     * @param {string} options.futuresApi - e.g. https://fapi.binance.com/fapi/v1
+     * @param {string} [options.spotPriceUrl] - Spot ticker/price URL; candidates need a spot market when set
+     * @param {function} [options.fetchJson] - (url, params) => Promise<data>, defaults to axios
+     * @param {number} [options.topN=5] - Symbols selected for scanning
+     * @param {number} [options.retainBuffer=2] - Current symbols are kept while ranked within topN + retainBuffer
+     * @param {number} [options.candidatePool=30] - Most liquid candidates that get ATR klines fetched
+     * @param {number} [options.minQuoteVolume=100000000] - Minimum 24h quote volume (USDT)
+     * @param {number} [options.maxSpreadBps=5] - Maximum top-of-book spread
+     * @param {number} [options.minAtrPct=0.3] - ATR% band - too quiet to trade below this
+     * @param {number} [options.maxAtrPct=5] - ATR% band - too wild to trade above this
+     * @param {string} [options.atrInterval='1h']
+     * @param {number} [options.atrPeriod=14]
+     * @param {object} [options.weights] - { liquidity, volatility, spread }
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.futuresApi = options.futuresApi;
+        this.spotPriceUrl = options.spotPriceUrl || null;
+        this.fetchJson = options.fetchJson || ((url, params) => axios.get(url, { params, timeout: 10000 }).then(res => res.data));
+        this.topN = options.topN || 5;
+        this.retainBuffer = options.retainBuffer !== undefined ? options.retainBuffer : 2;
+        this.candidatePool = options.candidatePool || 30;
+        this.minQuoteVolume = options.minQuoteVolume !== undefined ? options.minQuoteVolume : 100000000;
+        this.maxSpreadBps = options.maxSpreadBps || 5;
+        this.minAtrPct = options.minAtrPct !== undefined ? options.minAtrPct : 0.3;
+        this.maxAtrPct = options.maxAtrPct || 5;
+        this.atrInterval = options.atrInterval || '1h';
+        this.atrPeriod = options.atrPeriod || 14;
+        this.weights = options.weights || { liquidity: 0.5, volatility: 0.3, spread: 0.2 };
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+
+        this.ranking = [];
+        this.lastRunAt = null;
+        this.lastDurationMs = null;
+        this.lastError = null;
+        this.universeSize = 0;
+    }
+
+    /**
+     * Trading USDT perpetuals (with a spot market when spotPriceUrl is set)
+     * @returns {Promise<Array<string>>} Symbols
+     */
+    async fetchUniverse() {
+        const info = await this.fetchJson(`${this.futuresApi}/exchangeInfo`);
+        let symbols = (info?.symbols || [])
+            .filter(s => s.contractType === 'PERPETUAL' && s.quoteAsset === 'USDT' && s.status === 'TRADING')
+            .map(s => s.symbol);
+
+        if (this.spotPriceUrl) {
+            const spot = await this.fetchJson(this.spotPriceUrl);
+            const spotSymbols = new Set((spot || []).map(t => t.symbol));
+            symbols = symbols.filter(symbol => spotSymbols.has(symbol));
+        }
+
+        return symbols;
+    }
+
+    /**
+     * Rank the universe
+     * @returns {Promise<Array>} [{ symbol, rank, score, eligible, quoteVolume, spreadBps, atrPct, reasons }]
+     */
+    async run() {
+        const startedAt = Date.now();
+        try {
+            const universe = new Set(await this.fetchUniverse());
+            this.universeSize = universe.size;
+
+            const [tickers, books] = await Promise.all([
+                this.fetchJson(`${this.futuresApi}/ticker/24hr`),
+                this.fetchJson(`${this.futuresApi}/ticker/bookTicker`)
+            ]);
+            const bookBySymbol = new Map((books || []).map(b => [b.symbol, b]));
+
+            const pool = (tickers || [])
+                .filter(t => universe.has(t.symbol))
+                .map(t => ({ symbol: t.symbol, quoteVolume: parseFloat(t.quoteVolume) || 0 }))
+                .filter(c => c.quoteVolume >= this.minQuoteVolume)
+                .sort((a, b) => b.quoteVolume - a.quoteVolume)
+                .slice(0, this.candidatePool);
+
+            for (const candidate of pool) {
+                const book = bookBySymbol.get(candidate.symbol);
+                const bid = parseFloat(book?.bidPrice);
+                const ask = parseFloat(book?.askPrice);
+                const mid = (bid + ask) / 2;
+                candidate.spreadBps = bid > 0 && ask > 0 ? ((ask - bid) / mid) * 10000 : null;
+
+                try {
+                    const klines = await this.fetchJson(`${this.futuresApi}/klines`, {
+                        symbol: candidate.symbol,
+                        interval: this.atrInterval,
+                        limit: this.atrPeriod + 1
+                    });
+                    candidate.atrPct = computeAtrPct(klines, this.atrPeriod);
+                } catch (error) {
+                    candidate.atrPct = null;
+                    this.logger.warn(`[SCREENER] ATR klines failed for ${candidate.symbol}`, { error: error.message });
+                }
+            }
+
+            this.ranking = this.score(pool);
+            this.lastRunAt = Date.now();
+            this.lastDurationMs = this.lastRunAt - startedAt;
+            this.lastError = null;
+
+            this.logger.info(`[SCREENER] Ranked ${pool.length} of ${universe.size} USDT perpetuals`, {
+                top: this.ranking.filter(r => r.eligible).slice(0, this.topN).map(r => `${r.symbol} (${r.score.toFixed(0)})`)
+            });
+            return this.ranking;
+        } catch (error) {
+            this.lastError = error.message;
+            throw error;
+        }
+    }
+
+    /**
+     * Score candidates (percentile rank per metric, weighted) and record the reasons
+     */
+    score(candidates) {
+        const eligible = [];
+        const excluded = [];
+
+        for (const c of candidates) {
+            const reasons = [];
+            if (c.spreadBps === null) reasons.push('no book ticker');
+            else if (c.spreadBps > this.maxSpreadBps) reasons.push(`spread ${c.spreadBps.toFixed(1)} bps above ${this.maxSpreadBps}`);
+            if (c.atrPct === null) reasons.push(`no ${this.atrInterval} ATR`);
+            else if (c.atrPct < this.minAtrPct) reasons.push(`ATR ${c.atrPct.toFixed(2)}% below ${this.minAtrPct}%`);
+            else if (c.atrPct > this.maxAtrPct) reasons.push(`ATR ${c.atrPct.toFixed(2)}% above ${this.maxAtrPct}%`);
+
+            if (reasons.length > 0) {
+                excluded.push({ ...c, eligible: false, score: 0, reasons });
+            } else {
+                eligible.push(c);
+            }
+        }
+
+        const liquidity = percentileRanks(eligible.map(c => Math.log10(c.quoteVolume)));
+        const volatility = percentileRanks(eligible.map(c => c.atrPct));
+        const spread = percentileRanks(eligible.map(c => -c.spreadBps));
+        const totalWeight = (this.weights.liquidity || 0) + (this.weights.volatility || 0) + (this.weights.spread || 0) || 1;
+
+        const scored = eligible.map((c, i) => {
+            const components = {
+                liquidity: liquidity[i] * 100,
+                volatility: volatility[i] * 100,
+                spread: spread[i] * 100
+            };
+            const score = (components.liquidity * (this.weights.liquidity || 0) +
+                components.volatility * (this.weights.volatility || 0) +
+                components.spread * (this.weights.spread || 0)) / totalWeight;
+
+            return {
+                ...c,
+                eligible: true,
+                score,
+                components,
+                reasons: [
+                    `24h volume ${formatUsd(c.quoteVolume)}`,
+                    `${this.atrInterval} ATR ${c.atrPct.toFixed(2)}%`,
+                    `spread ${c.spreadBps.toFixed(2)} bps`
+                ]
+            };
+        }).sort((a, b) => b.score - a.score);
+
+        return [...scored, ...excluded].map((entry, i) => ({ rank: i + 1, ...entry }));
+    }
+
+    /**
+     * Choose the scan set from the ranking
+     * @param {object} [options]
+     * @param {Array<string>} [options.current] - Symbols scanned now
+     * @param {Array<string>} [options.pinned] - Symbols that must stay (open trades, manual picks)
+     * @param {Array<string>} [options.exclude] - Symbols that can't be added (e.g. no exchangeInfo)
+     * @returns {object} { selected, added, removed, pinned }
+     */
+    select(options = {}) {
+        const current = options.current || [];
+        const exclude = options.exclude || [];
+        const pinned = [...new Set(options.pinned || [])].filter(symbol => current.includes(symbol) || !exclude.includes(symbol));
+        const eligible = this.ranking.filter(r => r.eligible && !exclude.includes(r.symbol)).map(r => r.symbol);
+
+        // Current symbols hold their slot while they rank just outside the top N - avoids churn
+        const retained = eligible
+            .slice(0, this.topN + this.retainBuffer)
+            .filter(symbol => current.includes(symbol))
+            .slice(0, this.topN);
+        const selected = [...retained];
+        for (const symbol of eligible) {
+            if (selected.length >= this.topN) break;
+            if (!selected.includes(symbol)) selected.push(symbol);
+        }
+
+        const extra = pinned.filter(symbol => !selected.includes(symbol));
+        selected.push(...extra);
+
+        return {
+            selected,
+            added: selected.filter(symbol => !current.includes(symbol)),
+            removed: current.filter(symbol => !selected.includes(symbol)),
+            pinned: extra
+        };
+    }
+
+    getStatus() {
+        return {
+            lastRunAt: this.lastRunAt,
+            durationMs: this.lastDurationMs,
+            lastError: this.lastError,
+            universeSize: this.universeSize,
+            topN: this.topN,
+            weights: this.weights,
+            ranking: this.ranking
+        };
+    }
+}
+
+module.exports = { SymbolScreener, computeAtrPct };
@@ -0,0 +1,204 @@
+/**
+ * NEXUS 4.0 - BAD TICK FILTER
+ *
+ * Validates incoming prices before they reach price history or trade
+ * management. A price is rejected when it is:
+ *   - not a positive finite number
+ *   - too far from the rolling median of recently accepted prices
+ *   - too far from an external reference (e.g. the multi-venue consensus)
+ *
+ * The median only covers the last windowMs of prices, so it tracks a trending
+ * market instead of lagging behind it; sparse feeds (e.g. one kline close per
+ * minute) never reach minSamples and pass through unfiltered.
+ *
+ * Median outliers are quarantined rather than dropped for good: if the next
+ * few ticks confirm the new level, the move was real (a fast market, not a
+ * bad print) and the window is re-seeded at the new price.
+ */
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+// ============================================
+// TICK FILTER
+// ============================================
+class TickFilter {
+    /**
+     * @param {object} options
+     * @param {number} [options.windowSize=50] - Max accepted prices kept for the rolling median
+     * @param {number} [options.windowMs=60000] - Max age of prices in the rolling median
+     * @param {number} [options.minSamples=5] - Below this many samples everything is accepted
+     * @param {number} [options.maxDeviationPct=1.5] - Max distance from the rolling median
+     * @param {number} [options.maxReferenceDeviationPct=1.0] - Max distance from the reference price
+     * @param {number} [options.confirmTicks=3] - Consecutive ticks at the new level that release a quarantine
+     * @param {number} [options.recentRejections=50] - Rejections kept for the API
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.windowSize = options.windowSize || 50;
+        this.windowMs = options.windowMs || 60000;
+        this.minSamples = options.minSamples || 5;
+        this.maxDeviationPct = options.maxDeviationPct || 1.5;
+        this.maxReferenceDeviationPct = options.maxReferenceDeviationPct || 1.0;
+        this.confirmTicks = options.confirmTicks || 3;
+        this.recentLimit = options.recentRejections || 50;
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+
+        this.windows = {};      // asset -> [{ price, time }] accepted
+        this.quarantine = {};   // asset -> [{ price, time }] held back
+        this.counters = {};     // asset -> counters
+        this.recent = [];       // latest rejections, newest last
+    }
+
+    getCounters(asset) {
+        if (!this.counters[asset]) {
+            this.counters[asset] = { accepted: 0, rejected: 0, invalid: 0, medianOutliers: 0, referenceOutliers: 0, quarantineReleases: 0 };
+        }
+        return this.counters[asset];
+    }
+
+    /**
+     * Validate one price
+     * @param {string} asset - Asset key
+     * @param {number} price - Incoming price
+     * @param {object} [context] - { source, time, reference } - reference = independent price to compare with
+     * @returns {object} { accepted, reason, median, deviationPct, released }
+     */
+    check(asset, price, context = {}) {
+        const counters = this.getCounters(asset);
+        const source = context.source || 'unknown';
+        const time = context.time || Date.now();
+
+        if (!Number.isFinite(price) || price <= 0) {
+            counters.invalid++;
+            return this.reject(asset, price, { reason: 'invalid', source, time });
+        }
+
+        const window = this.windows[asset] || (this.windows[asset] = []);
+        while (window.length > 0 && time - window[0].time > this.windowMs) window.shift();
+        const mid = window.length >= this.minSamples ? median(window.map(w => w.price)) : null;
+        const deviationPct = mid ? (Math.abs(price - mid) / mid) * 100 : 0;
+
+        const reference = Number.isFinite(context.reference) && context.reference > 0 ? context.reference : null;
+        const referenceDeviationPct = reference ? (Math.abs(price - reference) / reference) * 100 : 0;
+        if (reference && referenceDeviationPct > this.maxReferenceDeviationPct) {
+            counters.referenceOutliers++;
+            return this.reject(asset, price, { reason: 'reference', source, time, median: mid, reference, deviationPct: referenceDeviationPct });
+        }
+
+        if (mid && deviationPct > this.maxDeviationPct) {
+            return this.quarantinePrice(asset, price, { source, time, median: mid, deviationPct });
+        }
+
+        // Back inside the band - whatever was quarantined was a spike
+        this.quarantine[asset] = [];
+        this.accept(asset, price, time);
+        return { accepted: true, reason: null, median: mid, deviationPct, released: false };
+    }
+
+    /**
+     * Same bounds as check() without recording anything - for prices that
+     * repeat one already checked (e.g. the close of each timeframe's kline)
+     * @param {string} asset - Asset key
+     * @param {number} price - Incoming price
+     * @param {object} [context] - { time, reference }
+     * @returns {boolean} True when check() would accept the price outright
+     */
+    isPlausible(asset, price, context = {}) {
+        if (!Number.isFinite(price) || price <= 0) return false;
+
+        const time = context.time || Date.now();
+        const reference = Number.isFinite(context.reference) && context.reference > 0 ? context.reference : null;
+        if (reference && (Math.abs(price - reference) / reference) * 100 > this.maxReferenceDeviationPct) return false;
+
+        const window = (this.windows[asset] || []).filter(w => time - w.time <= this.windowMs);
+        const mid = window.length >= this.minSamples ? median(window.map(w => w.price)) : null;
+        return !mid || (Math.abs(price - mid) / mid) * 100 <= this.maxDeviationPct;
+    }
+
+    accept(asset, price, time) {
+        const window = this.windows[asset] || (this.windows[asset] = []);
+        window.push({ price, time });
+        if (window.length > this.windowSize) window.shift();
+        this.getCounters(asset).accepted++;
+    }
+
+    quarantinePrice(asset, price, info) {
+        const held = this.quarantine[asset] || (this.quarantine[asset] = []);
+
+        // Only consecutive ticks near the same new level count as confirmation
+        const anchor = held.length > 0 ? median(held.map(h => h.price)) : price;
+        if ((Math.abs(price - anchor) / anchor) * 100 > this.maxDeviationPct) held.length = 0;
+        held.push({ price, time: info.time });
+
+        if (held.length >= this.confirmTicks) {
+            const counters = this.getCounters(asset);
+            counters.quarantineReleases++;
+            this.logger.warn(`[TICK FILTER] ${asset.toUpperCase()} level shift confirmed by ${held.length} ticks - accepting ${price}`, {
+                previousMedian: info.median,
+                deviationPct: info.deviationPct.toFixed(2)
+            });
+            this.windows[asset] = held.slice();
+            counters.accepted++;
+            this.quarantine[asset] = [];
+            return { accepted: true, reason: 'quarantine_released', median: info.median, deviationPct: info.deviationPct, released: true };
+        }
+
+        this.getCounters(asset).medianOutliers++;
+        return this.reject(asset, price, { reason: 'median', ...info });
+    }
+
+    reject(asset, price, info) {
+        const counters = this.getCounters(asset);
+        counters.rejected++;
+
+        const entry = {
+            asset,
+            price,
+            reason: info.reason,
+            source: info.source,
+            median: info.median ?? null,
+            reference: info.reference ?? null,
+            deviationPct: info.deviationPct ?? null,
+            time: info.time || Date.now()
+        };
+        this.recent.push(entry);
+        if (this.recent.length > this.recentLimit) this.recent.shift();
+
+        this.logger.warn(`[TICK FILTER] ${asset.toUpperCase()} rejected ${info.source} price ${price} (${info.reason})`, {
+            median: entry.median,
+            reference: entry.reference,
+            deviationPct: entry.deviationPct !== null ? entry.deviationPct.toFixed(2) : null,
+            rejected: counters.rejected
+        });
+
+        return { accepted: false, reason: info.reason, median: entry.median, deviationPct: entry.deviationPct, released: false };
+    }
+
+    /**
+     * Forget an asset's window, quarantine and counters (it left the universe)
+     */
+    reset(asset) {
+        delete this.windows[asset];
+        delete this.quarantine[asset];
+        delete this.counters[asset];
+    }
+
+    getStats() {
+        const assets = {};
+        for (const [asset, counters] of Object.entries(this.counters)) {
+            assets[asset] = {
+                ...counters,
+                median: median((this.windows[asset] || []).map(w => w.price)),
+                quarantined: (this.quarantine[asset] || []).length
+            };
+        }
+        return { assets, recentRejections: this.recent.slice() };
+    }
+}
+
+module.exports = { TickFilter };
@@ -0,0 +1,205 @@
+/**
+ * NEXUS 4.0 - VOLATILITY REGIME MODEL
+ *
+ * Classifies each asset's volatility against its own history instead of fixed
+ * thresholds, so a quiet day on a volatile alt and a busy day on BTC both read
+ * correctly:
+ *
+ *   ATR     - Wilder-smoothed true range (gaps between candles included)
+ *   ATR%    - ATR / close, comparable across price levels
+ *   rank    - percentile of the latest ATR% within a long rolling window
+ *
+ *   LOW < lowPct <= NORMAL < highPct <= HIGH < extremePct <= EXTREME
+ *
+ * A new regime has to hold for confirmCandles closed candles before it
+ * replaces the current one, so a single wide candle doesn't flip the regime
+ * back and forth. Every confirmed change is kept as an event.
+ */
+
+const REGIME_ORDER = ['LOW', 'NORMAL', 'HIGH', 'EXTREME'];
+
+// ============================================
+// VOLATILITY REGIME MODEL
+// ============================================
+class VolatilityRegimeModel {
+    /**
+     * @param {object} options
+     * @param {number} [options.atrPeriod=14] - Wilder ATR period
+     * @param {number} [options.window=672] - ATR% samples the percentile is ranked against
+     * @param {number} [options.minSamples=96] - Samples needed before a regime is reported
+     * @param {object} [options.percentiles] - { low: 25, high: 75, extreme: 95 } regime boundaries
+     * @param {number} [options.confirmCandles=3] - Closed candles a new regime must hold
+     * @param {number} [options.maxChanges=50] - Regime changes kept per asset
+     * @param {object} [options.logger] - Logger with info/warn/error
+     */
+    constructor(options = {}) {
+        this.atrPeriod = options.atrPeriod || 14;
+        this.window = options.window || 672;
+        this.minSamples = options.minSamples || 96;
+        this.percentiles = { low: 25, high: 75, extreme: 95, ...(options.percentiles || {}) };
+        this.confirmCandles = options.confirmCandles || 3;
+        this.maxChanges = options.maxChanges || 50;
+        this.logger = options.logger || { info: console.log, warn: console.warn, error: console.error };
+
+        this.assets = {};   // asset -> { atr, prevClose, samples, regime, pending, changes, ... }
+    }
+
+    getState(asset) {
+        if (!this.assets[asset]) {
+            this.assets[asset] = {
+                atr: null,
+                trSeed: [],         // True ranges until the first ATR can be averaged
+                prevClose: null,
+                samples: [],        // Rolling ATR% history, oldest first
+                atrPct: null,
+                percentile: null,
+                regime: 'NORMAL',
+                since: null,
+                pending: null,      // { regime, count } - candidate regime not yet confirmed
+                candleCount: 0,
+                changeSeq: null,    // candleCount at the last confirmed change
+                changes: [],
+                lastCandleTime: null
+            };
+        }
+        return this.assets[asset];
+    }
+
+    /**
+     * Process the closed candles this asset has not seen yet
+     * @param {string} asset - Asset key
+     * @param {Array} candles - Candle window, oldest first
+     * @returns {object|null} Regime change confirmed by this update, if any
+     */
+    update(asset, candles) {
+        const state = this.getState(asset);
+        let change = null;
+
+        for (const c of candles || []) {
+            if (c.closed === false) continue;
+            if (state.lastCandleTime !== null && c.timestamp <= state.lastCandleTime) continue;
+            state.lastCandleTime = c.timestamp;
+
+            const tr = state.prevClose === null
+                ? c.high - c.low
+                : Math.max(c.high - c.low, Math.abs(c.high - state.prevClose), Math.abs(c.low - state.prevClose));
+            state.prevClose = c.close;
+
+            if (state.atr === null) {
+                state.trSeed.push(tr);
+                if (state.trSeed.length < this.atrPeriod) continue;
+                state.atr = state.trSeed.reduce((sum, v) => sum + v, 0) / this.atrPeriod;
+                state.trSeed = [];
+            } else {
+                state.atr = (state.atr * (this.atrPeriod - 1) + tr) / this.atrPeriod;
+            }
+            if (!(c.close > 0)) continue;
+
+            state.candleCount++;
+            state.atrPct = (state.atr / c.close) * 100;
+            state.samples.push(state.atrPct);
+            if (state.samples.length > this.window) state.samples.shift();
+            if (state.samples.length < this.minSamples) continue;
+
+            state.percentile = this.rank(state.samples, state.atrPct);
+            change = this.classify(state, asset, c) || change;
+        }
+
+        return change;
+    }
+
+    /**
+     * Share of the window at or below a value, 0-100
+     */
+    rank(samples, value) {
+        let below = 0;
+        for (const s of samples) if (s <= value) below++;
+        return (below / samples.length) * 100;
+    }
+
+    classify(state, asset, candle) {
+        const p = state.percentile;
+        let regime = 'NORMAL';
+        if (p >= this.percentiles.extreme) regime = 'EXTREME';
+        else if (p >= this.percentiles.high) regime = 'HIGH';
+        else if (p < this.percentiles.low) regime = 'LOW';
+
+        if (state.since === null) {
+            // First classification once the window is full enough - no change event
+            state.regime = regime;
+            state.since = candle.timestamp;
+            return null;
+        }
+        if (regime === state.regime) {
+            state.pending = null;
+            return null;
+        }
+
+        state.pending = state.pending && state.pending.regime === regime
+            ? { regime, count: state.pending.count + 1 }
+            : { regime, count: 1 };
+        if (state.pending.count < this.confirmCandles) return null;
+
+        const change = {
+            asset,
+            from: state.regime,
+            to: regime,
+            direction: REGIME_ORDER.indexOf(regime) > REGIME_ORDER.indexOf(state.regime) ? 'expansion' : 'contraction',
+            atrPct: state.atrPct,
+            percentile: p,
+            timestamp: candle.timestamp
+        };
+        state.regime = regime;
+        state.since = candle.timestamp;
+        state.pending = null;
+        state.changeSeq = state.candleCount;
+        state.changes.push(change);
+        if (state.changes.length > this.maxChanges) state.changes.shift();
+
+        this.logger.info(`[VOL REGIME] ${asset.toUpperCase()} ${change.from} -> ${change.to} (ATR ${state.atrPct.toFixed(3)}%, p${p.toFixed(0)})`);
+        return change;
+    }
+
+    /**
+     * Current regime for one asset
+     * @param {string} asset - Asset key
+     * @param {number} [recentCandles] - Report lastChange only if confirmed within this many candles
+     * @returns {object} { regime, ready, atr, atrPct, percentile, samples, since, lastChange }
+     */
+    get(asset, recentCandles) {
+        const state = this.assets[asset];
+        if (!state) {
+            return { regime: 'NORMAL', ready: false, atr: null, atrPct: null, percentile: null, samples: 0, since: null, lastChange: null };
+        }
+        const lastChange = state.changes[state.changes.length - 1] || null;
+        const recent = recentCandles === undefined || (state.changeSeq !== null && state.candleCount - state.changeSeq < recentCandles);
+        return {
+            regime: state.regime,
+            ready: state.since !== null,
+            atr: state.atr,
+            atrPct: state.atrPct,
+            percentile: state.percentile,
+            samples: state.samples.length,
+            since: state.since,
+            lastChange: recent ? lastChange : null
+        };
+    }
+
+    /**
+     * Forget an asset (it left the universe). Without this a returning asset's first
+     * true range would run against a days-old close and fake an EXTREME expansion.
+     */
+    reset(asset) {
+        delete this.assets[asset];
+    }
+
+    getStatus() {
+        const assets = {};
+        for (const [asset, state] of Object.entries(this.assets)) {
+            assets[asset] = { ...this.get(asset), pending: state.pending, changes: [...state.changes].reverse() };
+        }
+        return { window: this.window, percentiles: this.percentiles, confirmCandles: this.confirmCandles, assets };
+    }
+}
+
+module.exports = { VolatilityRegimeModel, REGIME_ORDER };
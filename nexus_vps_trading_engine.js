@@ -7,16 +7,41 @@
  * 
  * Run: pm2 start nexus_vps_trading_engine.js --name nexus-trading
  * 
+ * Offline replay (no network needed, see nexus_replay_source.js):
+ *   NEXUS_MARKET_DATA=replay NEXUS_REPLAY_FILES=a.csv,b.csv NEXUS_REPLAY_SPEED=60 node nexus_vps_trading_engine.js
+ * 
+ * Symbol universe (default BTCUSDT,ETHUSDT):
+ *   NEXUS_SYMBOLS=BTCUSDT,ETHUSDT,SOLUSDT,BNBUSDT node nexus_vps_trading_engine.js
+ * or let the screener pick the top USDT perpetuals (see nexus_symbol_screener.js):
+ *   NEXUS_SCREENER=true NEXUS_SCREENER_TOP_N=5 node nexus_vps_trading_engine.js
+ * 
  * Dependencies:
  *   npm install ws express axios
  */
 
-const WebSocket = require('ws');
 const express = require('express');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { ReplayMarketDataSource } = require('./nexus_replay_source');
+const { CandleStore, findCandleGaps, mergeCandles, INTERVAL_MS } = require('./nexus_candle_store');
+const { OrderBook } = require('./nexus_order_book');
+const { StreamSupervisor } = require('./nexus_stream_supervisor');
+const { PriceConsensus } = require('./nexus_price_consensus');
+const { TickFilter } = require('./nexus_tick_filter');
+const { formatPrice, tickDecimals } = require('./nexus_price_format');
+const { SymbolScreener } = require('./nexus_symbol_screener');
+const { CorrelationMatrix } = require('./nexus_correlation');
+const { OrderBlockRegistry } = require('./nexus_ob_registry');
+const { FairValueGapRegistry } = require('./nexus_fvg_registry');
+const { DealingRangeAnalyzer } = require('./nexus_dealing_range');
+const { StructureTracker } = require('./nexus_structure_tracker');
+const { ZoneMap } = require('./nexus_zone_map');
+const { SessionCalendar } = require('./nexus_session_calendar');
+const { SessionTracker } = require('./nexus_sessions');
+const { VolatilityRegimeModel } = require('./nexus_volatility_regime');
+const { ConfluenceRuleSet } = require('./nexus_confluence_rules');
 
 // ============================================
 // PAPER TRADING STATE
@@ -66,20 +91,26 @@ const CONFIG = {
     DATA_FILE: '/opt/nexus/data/trades.json',
     LOG_FILE: '/opt/nexus/logs/trading_engine.log',
     SCAN_INTERVAL_MS: 3000,
-    MIN_BTC_POSITION: 0.0001,
-    MIN_ETH_POSITION: 0.01,
+    
+    // Trading Universe
+    // Symbols come from NEXUS_SYMBOLS (comma separated), e.g. NEXUS_SYMBOLS=BTCUSDT,ETHUSDT,SOLUSDT,BNBUSDT
+    // The asset key used throughout the engine is the lowercase base asset (SOLUSDT -> sol)
+    SYMBOLS: (process.env.NEXUS_SYMBOLS || 'BTCUSDT,ETHUSDT').split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+    // Optional per-symbol settings - precision is fetched from exchangeInfo at startup,
+    // these only apply until then (or if it fails). minPosition defaults to minQty.
+    SYMBOL_SETTINGS: {
+        BTCUSDT: { minQty: 0.001, stepSize: 0.001, pricePrecision: 2, minPosition: 0.0001, fallbackPrice: 90000 },
+        ETHUSDT: { minQty: 0.01, stepSize: 0.01, pricePrecision: 2, minPosition: 0.01, fallbackPrice: 3000 }
+    },
+    DEFAULT_SYMBOL_SETTINGS: { minQty: 0.001, stepSize: 0.001, pricePrecision: 2 },
     
     // Account Management
     STARTING_CAPITAL: 10000,
     RISK_PERCENT_BASE: 1.0,  // 1% base risk
     
-    // Confluence Risk Adjustments (added to base)
-    CONFLUENCE_RISK: {
-        EXCEPTIONAL: 0.25,   // 1% + 0.25% = 1.25%
-        EXCELLENT: 0.0,      // 1% + 0% = 1.0%
-        'VERY GOOD': -0.25,  // 1% - 0.25% = 0.75%
-        GOOD: -0.5           // 1% - 0.5% = 0.5%
-    },
+    // Confluence scoring rules - factor points, rating bands, size multipliers and the
+    // risk adjustment per rating (added to base). Edits are picked up without a restart.
+    CONFLUENCE_RULES_FILE: process.env.NEXUS_CONFLUENCE_RULES || path.join(__dirname, 'confluence_rules.json'),
     
     // Risk Caps
     MAX_RISK_PERCENT: 2.0,
@@ -103,7 +134,29 @@ const CONFIG = {
     
     // Trading Settings
     LEVERAGE: 5,
-    MARGIN_TYPE: 'ISOLATED'  // or 'CROSSED'
+    MARGIN_TYPE: 'ISOLATED',  // or 'CROSSED'
+    
+    // Market Data Source
+    // 'binance' = live WebSocket + REST backfill
+    // 'replay'  = recorded klines from local CSV/JSONL files (see nexus_replay_source.js)
+    MARKET_DATA: {
+        SOURCE: process.env.NEXUS_MARKET_DATA || 'binance',
+        REPLAY_FILES: (process.env.NEXUS_REPLAY_FILES || '').split(',').map(f => f.trim()).filter(Boolean),
+        REPLAY_SPEED: process.env.NEXUS_REPLAY_SPEED !== undefined ? parseFloat(process.env.NEXUS_REPLAY_SPEED) : 1,
+        REPLAY_START: process.env.NEXUS_REPLAY_START ? Date.parse(process.env.NEXUS_REPLAY_START) : null,
+        REPLAY_END: process.env.NEXUS_REPLAY_END ? Date.parse(process.env.NEXUS_REPLAY_END) : null,
+        REPLAY_DATA_FILE: '/opt/nexus/data/trades_replay.json'  // Keep replayed trades out of live history
+    },
+    
+    // On-disk candle history (loaded at startup, gaps repaired over REST after reconnects)
+    CANDLE_STORE: {
+        ENABLED: true,
+        DIR: '/opt/nexus/data/candles',
+        MAX_CANDLES: 1000,           // Per asset/timeframe on disk (memory keeps MAX_CANDLES_STORED)
+        FLUSH_INTERVAL_MS: 60000,
+        MAX_GAP_CANDLES: 1000,       // Larger outages fall back to a full backfill of that series
+        REJECTED_CLOSE_REPAIR_DELAY_MS: 5000  // Wait before fetching a closed candle the tick filter rejected
+    }
 };
 
 // ============================================================================
@@ -169,17 +222,49 @@ async function safeAPICall(apiCall, maxRetries = 3, baseDelay = 2000) {
     return null;
 }
 
-const SYMBOLS = { btc: 'BTCUSDT', eth: 'ETHUSDT' };
+/**
+ * Engine asset key for an exchange symbol (BTCUSDT -> btc, SOLUSDT -> sol)
+ */
+function symbolToAsset(symbol) {
+    return String(symbol).toUpperCase().replace(/(USDT|USDC|BUSD|FDUSD)$/, '').toLowerCase();
+}
+
+/**
+ * Combined-stream URL with every stream type for every configured symbol
+ */
+function buildStreamUrl(baseUrl, streamTypes) {
+    const streams = [];
+    for (const type of streamTypes) {
+        for (const symbol of Object.values(SYMBOLS)) {
+            streams.push(`${symbol.toLowerCase()}@${type}`);
+        }
+    }
+    return baseUrl + streams.join('/');
+}
+
+const SYMBOLS = Object.fromEntries(CONFIG.SYMBOLS.map(symbol => [symbolToAsset(symbol), symbol]));
 const KLINE_INTERVALS = ['1m', '5m', '15m'];
-const WS_URL = 'wss://stream.binance.com:9443/stream?streams=' +
-    'btcusdt@ticker/ethusdt@ticker/' +
-    'btcusdt@kline_1m/ethusdt@kline_1m/' +
-    'btcusdt@kline_5m/ethusdt@kline_5m/' +
-    'btcusdt@kline_15m/ethusdt@kline_15m';
+// Higher timeframes built locally from the 15m stream (target -> source interval)
+const AGGREGATED_INTERVALS = { '1h': '15m', '4h': '15m', '1d': '15m' };
+// Stream URLs are rebuilt from SYMBOLS - the screener can rotate symbols in and out at runtime
+const getSpotStreamUrl = () => buildStreamUrl('wss://stream.binance.com:9443/stream?streams=',
+    ['ticker', ...KLINE_INTERVALS.map(interval => `kline_${interval}`), 'depth@100ms', 'aggTrade']);
 const BINANCE_API_URL = 'https://api.binance.com/api/v3/ticker/price';
 const BINANCE_KLINE_URL = 'https://api.binance.com/api/v3/klines';
+const BINANCE_DEPTH_URL = 'https://api.binance.com/api/v3/depth';
+const COINBASE_PRICE_URL = 'https://api.coinbase.com/v2/exchange-rates';
+// Mark price / funding come from the futures stream - the spot stream above has no equivalent
+const getFuturesStreamUrl = () => buildStreamUrl('wss://fstream.binance.com/stream?streams=', ['markPrice@1s']);
 const MAX_CANDLES_STORED = 300;
 
+// HIGHER TIMEFRAME CONFIGURATION
+const HTF_CONFIG = {
+    BIAS_TIMEFRAMES: ['4h', '1h', '15m'],   // First timeframe with enough candles sets the HTF bias
+    ZONE_TIMEFRAMES: ['1h', '4h'],          // Order blocks / FVGs tracked as HTF zones
+    MIN_BIAS_CANDLES: 50,                   // EMA50 needs 50 closes
+    BACKFILL_DAYS: 60                       // 15m history aggregated at startup (60 daily candles)
+};
+
 const RISK_CONFIGS = {
     conservative: { stopPct: 0.005, target1: 1.5, target2: 2.5, minConfidence: 8 },
     aggressive: { stopPct: 0.003, target1: 1.0, target2: 2.0, minConfidence: 6 }
@@ -201,10 +286,33 @@ let accountState = {
 
 // Position Mode and Symbol Precision Cache
 let positionMode = 'UNKNOWN'; // 'HEDGE' or 'ONE_WAY'
-let symbolPrecision = {
-    'BTCUSDT': { minQty: 0.001, stepSize: 0.001, pricePrecision: 2 },
-    'ETHUSDT': { minQty: 0.01, stepSize: 0.01, pricePrecision: 2 }
-};
+let symbolPrecision = {};
+
+/**
+ * Configured settings for a symbol merged over the defaults
+ * @param {string} symbol - e.g. 'SOLUSDT'
+ * @returns {object} { minQty, stepSize, pricePrecision, minPosition, fallbackPrice }
+ */
+function getSymbolSettings(symbol) {
+    const settings = { ...CONFIG.DEFAULT_SYMBOL_SETTINGS, ...(CONFIG.SYMBOL_SETTINGS[symbol] || {}) };
+    if (!settings.minPosition) {
+        settings.minPosition = symbolPrecision[symbol]?.minQty || settings.minQty;
+    }
+    return settings;
+}
+
+/**
+ * Price rounded to the asset's tick size for logs and display fields
+ * (5 significant digits until exchangeInfo has been loaded)
+ */
+function formatAssetPrice(asset, price) {
+    return formatPrice(price, symbolPrecision[SYMBOLS[asset]]?.tickSize);
+}
+
+function getDefaultPrecision(symbol) {
+    const { minQty, stepSize, pricePrecision } = getSymbolSettings(symbol);
+    return { minQty, stepSize, pricePrecision };
+}
 
 // ORDER BLOCK CONFIGURATION
 const OB_CONFIG = {
@@ -215,10 +323,230 @@ const OB_CONFIG = {
     // Strategy mode
     MODE: 'HYBRID',  // HYBRID | STRICT | MOMENTUM_ONLY
     
+    // Lifecycle registry (see nexus_ob_registry.js)
+    PARTIAL_MITIGATION_PCT: 50,            // Retest this deep into the zone = partially mitigated
+    REGISTRY_RETAIN_MS: 24 * 60 * 60 * 1000, // Mitigated/invalidated OBs stay listed this long
+    REGISTRY_MAX_PER_SERIES: 100,
+    BREAKER_EXTREME_LOOKBACK: 10,          // Candles before an OB whose extreme a breaker must have exceeded
+    
     // Logging
     VERBOSE_LOGGING: true
 };
 
+// FAIR VALUE GAP CONFIGURATION (fill tracking - see nexus_fvg_registry.js)
+const FVG_CONFIG = {
+    CE_LEVEL_PCT: 50,                        // Consequent encroachment - the gap's midpoint
+    REGISTRY_RETAIN_MS: 24 * 60 * 60 * 1000, // Filled/inverted gaps stay listed this long
+    REGISTRY_MAX_PER_SERIES: 100,
+    UNFILLED_BONUS: 10,                      // Quality adjustments by fill state
+    PARTIAL_FILL_PENALTY: 10,
+    CE_TOUCHED_PENALTY: 25
+};
+
+// LIQUIDITY CONFIGURATION
+// Buy-side liquidity rests above swing highs (shorts' stops, breakout buys),
+// sell-side below swing lows. A sweep wicks through a pool and closes back inside.
+const LIQUIDITY_CONFIG = {
+    TIMEFRAME: '5m',
+    SWING_LOOKBACK: 3,            // Candles either side of a swing point
+    EQUAL_TOLERANCE_ATR: 0.1,     // Swings within 0.1 ATR of each other form one pool (equal highs/lows)
+    SWEEP_RECENT_CANDLES: 5       // A sweep older than this no longer counts as a signal
+};
+
+// MARKET STRUCTURE CONFIGURATION (BOS/CHoCH events - see nexus_structure_tracker.js)
+const STRUCTURE_CONFIG = {
+    TIMEFRAMES: ['1m', '5m', '15m', '1h', '4h'],  // Tracked on every scan (those with MIN_CANDLES closed)
+    ENTRY_TIMEFRAME: '5m',            // Structure the setup is built on
+    LTF_TIMEFRAMES: ['1m', '5m'],     // The rest count as higher timeframes for MTF alignment
+    HTF_TIMEFRAMES: ['15m', '1h'],    // A recent CHoCH here counts as an HTF shift
+    CANDLES: 100,
+    MIN_CANDLES: 20,
+    SWING_LOOKBACK: { '1m': 10, '5m': 5, '15m': 3, '1h': 3, '4h': 2, '1d': 2 },
+    RECENT_CANDLES: 10,               // BOS/CHoCH older than this no longer counts as "detected"
+    REQUIRE_BODY_CLOSE: true,         // Wicks through a swing are recorded but don't break it
+    MAX_EVENTS: 200
+};
+
+// ZONE MAP CONFIGURATION (see nexus_zone_map.js)
+// OBs/FVGs detected on each entry timeframe, merged with the HTF zones into one map per asset
+const ZONE_MAP_CONFIG = {
+    TIMEFRAMES: ['1m', '5m', '15m'],   // Entry-capable zones; 1h/4h come from HTF_CONFIG.ZONE_TIMEFRAMES
+    CANDLES: 100,
+    MIN_CANDLES: 20,
+    WEIGHTS: { '1m': 0.6, '5m': 0.8, '15m': 1.0, '1h': 1.2, '4h': 1.4 },  // Lowest to highest timeframe
+    NEST_BONUS: 0.5,                   // Nested zone = max(own, parent) + 0.5 x min(own, parent)
+    NEST_TOLERANCE_PCT: 10             // A child may stick out of its parent by 10% of the parent's size
+};
+
+// SETUP LEVELS CONFIGURATION
+// Stop sits past the level that invalidates the setup (the OB's far edge, else the last
+// swing); T1 is a fixed multiple of that risk; T2 targets the liquidity the setup is drawn to
+const SETUP_LEVELS_CONFIG = {
+    STOP_BUFFER_PCT: 0.001,   // Beyond the invalidation level, so a wick to it doesn't stop out
+    MIN_STOP_PCT: 0.003,      // Tighter structural stops are widened to this
+    MAX_STOP_PCT: 0.03,       // Further-out levels are not used
+    STOP_PCT: 0.01,           // 1% stop loss distance without a usable invalidation level
+    TARGET1_R: 1.5,
+    DEFAULT_TARGET2_R: 3,     // No structural target beyond T1
+    MAX_TARGET2_R: 5          // Structural targets further out are capped here
+};
+
+// DEALING RANGE CONFIGURATION (premium/discount and OTE - see nexus_dealing_range.js)
+// Range = latest swing high/low from analyzeMarketStructure()
+const DEALING_RANGE_CONFIG = {
+    OTE_LOW_PCT: 62,              // OTE retracement band of the last leg
+    OTE_HIGH_PCT: 79,
+    EQUILIBRIUM_BAND_PCT: 5,      // 45-55% of the range counts as equilibrium
+    REJECT_DEPTH_PCT: 75          // Longs above 75% (shorts below 25%) of the range are rejected
+};
+
+// SESSION CONFIGURATION (calendar - see nexus_session_calendar.js; sweeps - see nexus_sessions.js)
+// Hours are local to each market, so opens follow daylight saving. A session runs until
+// its close or the next session's open, whichever comes first.
+const SESSION_CONFIG = {
+    SESSIONS: [
+        { name: 'SYDNEY', timeZone: 'Australia/Sydney', open: '07:00', close: '16:00' },
+        { name: 'ASIA', timeZone: 'Asia/Tokyo', open: '09:00', close: '16:00' },
+        { name: 'LONDON', timeZone: 'Europe/London', open: '07:00', close: '16:30', active: true },
+        { name: 'NEW_YORK', timeZone: 'America/New_York', open: '07:00', close: '17:00', active: true }
+    ],
+    KILLZONES: [
+        { name: 'ASIA_KZ', session: 'ASIA', timeZone: 'Asia/Tokyo', start: '09:00', end: '12:00' },
+        { name: 'LONDON_KZ', session: 'LONDON', timeZone: 'Europe/London', start: '08:00', end: '11:00' },
+        { name: 'NEW_YORK_KZ', session: 'NEW_YORK', timeZone: 'America/New_York', start: '08:00', end: '12:00' }
+    ],
+    WEEKEND_DAYS: [],                 // Local weekdays no session opens on (0 = Sunday) - crypto trades 24/7, [0, 6] = FX hours
+    // Holidays / early closes, date in the session's zone; no session = all sessions
+    // e.g. { date: '2025-12-25', closed: true }, { date: '2025-11-28', session: 'NEW_YORK', close: '13:00' }
+    OVERRIDES: [],
+    ASIAN_SESSION: 'ASIA',            // Its high/low is the Asian range
+    TIMEFRAME: '5m',
+    CANDLES: 150,                     // Covers the longest session plus the running one
+    MAX_SESSIONS: 12,
+    SWEEP_RECENT_MS: 2 * 3600000      // A session sweep older than this no longer counts
+};
+
+// VOLATILITY REGIME CONFIGURATION (see nexus_volatility_regime.js)
+// Regime = percentile of the asset's own true-range ATR% over a rolling week of 15m candles
+const VOLATILITY_REGIME_CONFIG = {
+    TIMEFRAME: '15m',
+    ATR_PERIOD: 14,
+    WINDOW: 672,                      // 7 days of ATR% samples (seeded from the candle store; ~3 days without it)
+    MIN_SAMPLES: 96,                  // 1 day before a regime is reported (NORMAL until then)
+    LOW_PCT: 25,                      // Below the 25th percentile = LOW
+    HIGH_PCT: 75,                     // 75th-95th = HIGH
+    EXTREME_PCT: 95,                  // 95th and up = EXTREME
+    CONFIRM_CANDLES: 3,               // A new regime must hold this many closed candles
+    RECENT_CHANGE_CANDLES: 8,         // A change within the last 2h counts as fresh
+    SIZE_MULTIPLIERS: { LOW: 1.0, NORMAL: 1.0, HIGH: 0.75, EXTREME: 0.5 }  // Wider swings, smaller size
+};
+
+// VOLUME CONFIGURATION
+// Relative volume = candle volume / average volume of the preceding LOOKBACK candles
+const VOLUME_CONFIG = {
+    LOOKBACK: 20,
+    CONFIRM_RATIO: 1.5,   // >= 1.5x average = volume-confirmed move
+    STRONG_RATIO: 2.0,    // >= 2.0x average = institutional participation
+    THIN_RATIO: 0.8,      // < 0.8x average = thin, low-conviction move
+    TAKER_BUY_BULLISH: 0.55,  // Taker-buy share of volume above this = buyers in control
+    TAKER_BUY_BEARISH: 0.45   // Below this = sellers in control
+};
+
+// ORDER BOOK DEPTH CONFIGURATION
+// Local books come from a REST snapshot + the @depth diff stream (see nexus_order_book.js)
+const DEPTH_CONFIG = {
+    SNAPSHOT_LIMIT: 1000,
+    BAND_PCT: 0.5,                // Depth and imbalance measured within +/-0.5% of mid
+    STALE_MS: 10000,              // Book ignored if no diff arrived for this long
+    MAX_SPREAD_BPS: 5,            // Wider spread = don't enter
+    MIN_BAND_DEPTH_USD: 250000,   // Less resting liquidity than this on either side = too thin
+    IMBALANCE_THRESHOLD: 0.3,     // |imbalance| above this = one side clearly heavier
+    MAX_SLIPPAGE_BPS: 10          // Paper fills walking the book further than this are rejected
+};
+
+// MARKET DATA STREAM SUPERVISION (see nexus_stream_supervisor.js)
+const STREAM_CONFIG = {
+    BASE_DELAY_MS: 1000,          // Reconnect backoff: 1s, 2s, 4s ... capped, +/-30% jitter
+    MAX_DELAY_MS: 60000,
+    JITTER: 0.3,
+    FALLBACK_AFTER_ATTEMPTS: 5,   // REST price polling takes over after this many failed reconnects
+    FALLBACK_POLL_MS: 5000,
+    CHECK_INTERVAL_MS: 5000,      // Watchdog period
+    PING_INTERVAL_MS: 30000,
+    PONG_TIMEOUT_MS: 10000,
+    // Max silence per stream before the connection is restarted
+    STALE_AFTER_MS: {
+        '@ticker': 10000,
+        '@kline': 15000,
+        '@depth': 10000,
+        '@aggTrade': 60000,
+        '@markPrice': 10000,
+        default: 30000
+    }
+};
+
+// PRICE CONSENSUS CONFIGURATION (see nexus_price_consensus.js)
+// Signals come from spot, fills happen on futures - trade management pauses when venues disagree
+const CONSENSUS_CONFIG = {
+    VENUES: {
+        binance_spot: { staleMs: 10000 },      // ticker + aggTrade stream
+        binance_futures: { staleMs: 10000 },   // markPrice stream / premiumIndex poll
+        coinbase: { staleMs: 20000 }           // REST poll (USD, stands in for an independent venue)
+    },
+    REQUIRED_VENUES: ['binance_futures'],      // Where we fill - must be fresh and agree
+    MIN_VENUES: 2,
+    DIVERGENCE_BPS: 30,
+    COINBASE_POLL_MS: 5000
+};
+
+// SYMBOL SCREENER CONFIGURATION (see nexus_symbol_screener.js)
+// Ranks USDT perpetuals and rotates the top N into SYMBOLS - live mode only
+const SCREENER_CONFIG = {
+    ENABLED: process.env.NEXUS_SCREENER === 'true',
+    INTERVAL_MS: 60 * 60 * 1000,      // Re-rank hourly
+    TOP_N: parseInt(process.env.NEXUS_SCREENER_TOP_N, 10) || 5,
+    RETAIN_BUFFER: 2,                 // Scanned symbols stay while ranked within TOP_N + this
+    CANDIDATE_POOL: 30,               // Most liquid perps that get ATR klines fetched
+    MIN_QUOTE_VOLUME: 100000000,      // $100M 24h volume
+    MAX_SPREAD_BPS: 5,
+    MIN_ATR_PCT: 0.3,                 // 1h ATR% band
+    MAX_ATR_PCT: 5.0,
+    ATR_INTERVAL: '1h',
+    ATR_PERIOD: 14,
+    WEIGHTS: { liquidity: 0.5, volatility: 0.3, spread: 0.2 },
+    PINNED: (process.env.NEXUS_SCREENER_PINNED || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
+};
+
+// CORRELATION EXPOSURE CONFIGURATION (see nexus_correlation.js)
+// A same-way trade on a highly correlated asset is the same bet twice - block or shrink it
+const CORRELATION_CONFIG = {
+    TIMEFRAME: '15m',
+    LOOKBACK: 96,                     // Returns per pair (24h of 15m candles)
+    MIN_OVERLAP: 48,                  // Shared returns needed before a pair counts
+    REFRESH_MS: 5 * 60 * 1000,        // Market time between matrix rebuilds
+    BLOCK_THRESHOLD: 0.85,            // Overlap at or above this blocks the entry
+    REDUCE_THRESHOLD: 0.6,            // Overlap at or above this scales the size down
+    REDUCE_MULTIPLIER: 0.5            // Per correlated open trade
+};
+
+// BAD TICK FILTER CONFIGURATION (see nexus_tick_filter.js)
+const TICK_FILTER_CONFIG = {
+    WINDOW_SIZE: 50,                  // Max accepted prices in the rolling median
+    WINDOW_MS: 60000,                 // ... and max age (sparse feeds like replayed klines skip the median check)
+    MIN_SAMPLES: 5,
+    MAX_DEVIATION_PCT: 1.5,           // From the rolling median
+    MAX_CONSENSUS_DEVIATION_PCT: 1.0, // From the multi-venue consensus (when trustworthy)
+    CONFIRM_TICKS: 3                  // Ticks at a new level before a quarantined move is accepted
+};
+
+// FUNDING / OPEN INTEREST CONFIGURATION
+// Rates are per 8h funding interval (0.0001 = 0.01%, Binance's neutral rate)
+const FUNDING_CONFIG = {
+    POLL_INTERVAL_MS: 300000,       // premiumIndex + openInterest REST poll (covers futures WS outages)
+    OI_HISTORY_MS: 86400000,        // Open interest samples kept (24h)
+    OI_CHANGE_LOOKBACK_MS: 3600000  // OI / price change measured over the last hour
+};
+
 // ============================================
 // LOGGING
 // ============================================
@@ -661,6 +989,7 @@ async function getSymbolPrecision(symbol) {
                 let minQty = 0.001;
                 let stepSize = 0.001;
                 let pricePrecision = 2;
+                let tickSize = null;
                 
                 // Find LOT_SIZE filter
                 const lotSizeFilter = symbolInfo.filters?.find(f => f.filterType === 'LOT_SIZE');
@@ -672,39 +1001,32 @@ async function getSymbolPrecision(symbol) {
                 // Find PRICE_FILTER for price precision
                 const priceFilter = symbolInfo.filters?.find(f => f.filterType === 'PRICE_FILTER');
                 if (priceFilter && priceFilter.tickSize) {
-                    const tickSize = parseFloat(priceFilter.tickSize);
-                    pricePrecision = Math.abs(Math.log10(tickSize));
+                    tickSize = parseFloat(priceFilter.tickSize);
+                    pricePrecision = tickDecimals(tickSize);
                 }
                 
-                symbolPrecision[symbol] = { minQty, stepSize, pricePrecision };
+                symbolPrecision[symbol] = { minQty, stepSize, pricePrecision, tickSize };
                 
                 logger.info(`[SYMBOL] ${symbol} Precision:`, {
                     minQty: minQty,
                     stepSize: stepSize,
-                    pricePrecision: pricePrecision
+                    pricePrecision: pricePrecision,
+                    tickSize: tickSize
                 });
                 
                 return symbolPrecision[symbol];
             }
         }
         
-        // Fallback to defaults
-        const defaults = symbol === 'BTCUSDT' 
-            ? { minQty: 0.001, stepSize: 0.001, pricePrecision: 2 }
-            : { minQty: 0.01, stepSize: 0.01, pricePrecision: 2 };
-        
-        symbolPrecision[symbol] = defaults;
+        // Fallback to defaults - not cached, so the next call retries exchangeInfo
+        const defaults = getDefaultPrecision(symbol);
         logger.warn(`[SYMBOL] Using default precision for ${symbol}:`, defaults);
         return defaults;
         
     } catch (error) {
         logger.error(`[SYMBOL] Error fetching precision for ${symbol}:`, error.message);
-        // Return defaults
-        const defaults = symbol === 'BTCUSDT' 
-            ? { minQty: 0.001, stepSize: 0.001, pricePrecision: 2 }
-            : { minQty: 0.01, stepSize: 0.01, pricePrecision: 2 };
-        symbolPrecision[symbol] = defaults;
-        return defaults;
+        // Return defaults (not cached)
+        return getDefaultPrecision(symbol);
     }
 }
 
@@ -724,11 +1046,9 @@ function formatQuantity(quantity, symbol) {
         return 0;
     }
     
-    const precision = symbolPrecision[symbol] || (symbol === 'BTCUSDT' 
-        ? { stepSize: 0.001 } 
-        : { stepSize: 0.01 });
+    const precision = symbolPrecision[symbol] || getDefaultPrecision(symbol);
     
-    const stepSize = precision.stepSize || (symbol === 'BTCUSDT' ? 0.001 : 0.01);
+    const stepSize = precision.stepSize || getDefaultPrecision(symbol).stepSize;
     
     // Round to step size
     const steps = Math.floor(numQuantity / stepSize);
@@ -953,7 +1273,7 @@ function calculateRiskAmount(confluenceRating) {
     const baseRisk = CONFIG.RISK_PERCENT_BASE;
     
     // Get risk adjustment for this confluence level
-    const riskAdjustment = CONFIG.CONFLUENCE_RISK[confluenceRating] || 0;
+    const riskAdjustment = confluenceRules.getRating(confluenceRating)?.riskAdjustmentPct || 0;
     
     // Calculate total risk percentage
     let riskPercent = baseRisk + riskAdjustment;
@@ -985,7 +1305,7 @@ function calculatePositionSize(asset, entryPrice, stopPrice, confluenceRating) {
     let positionSize = riskData.riskAmount / stopDistance;
     
     // Apply minimum position sizes
-    const minPosition = asset === 'btc' ? CONFIG.MIN_BTC_POSITION : CONFIG.MIN_ETH_POSITION;
+    const minPosition = getSymbolSettings(SYMBOLS[asset]).minPosition;
     positionSize = Math.max(positionSize, minPosition);
     
     // Calculate notional value and required margin
@@ -1047,12 +1367,93 @@ function canTakeNewTrade() {
     return true;
 }
 
+/**
+ * Rebuild the correlation matrix from candle history (at most every REFRESH_MS of market time)
+ */
+function refreshCorrelations(force = false) {
+    const now = getMarketTime();
+    if (!force && correlationMatrix.updatedAt && now - correlationMatrix.updatedAt < CORRELATION_CONFIG.REFRESH_MS) return;
+    
+    const series = Object.fromEntries(Object.keys(SYMBOLS).map(asset => [
+        asset,
+        (candleHistory[asset]?.[CORRELATION_CONFIG.TIMEFRAME] || []).filter(c => c.closed !== false)
+    ]));
+    correlationMatrix.update(series, now);
+}
+
+/**
+ * Pre-trade check against the other open trades.
+ * Overlap = correlation for same-direction trades, -correlation for opposite ones
+ * (short ETH next to long BTC is the same bet when they move inversely).
+ * @param {string} asset - Asset to enter
+ * @param {string} direction - 'BULLISH' or 'BEARISH'
+ * @returns {object} { action: 'ALLOW'|'REDUCE'|'BLOCK', sizeMultiplier, conflicts }
+ */
+function checkCorrelatedExposure(asset, direction) {
+    refreshCorrelations();
+    
+    let action = 'ALLOW';
+    let sizeMultiplier = 1;
+    const conflicts = [];
+    
+    for (const [other, trade] of Object.entries(activeTrades)) {
+        if (!trade || other === asset) continue;
+        const correlation = correlationMatrix.get(asset, other);
+        if (correlation === null) continue;
+        
+        const otherDirection = trade.direction || (trade.side === 'BUY' ? 'BULLISH' : 'BEARISH');
+        const overlap = otherDirection === direction ? correlation : -correlation;
+        
+        if (overlap >= CORRELATION_CONFIG.BLOCK_THRESHOLD) {
+            action = 'BLOCK';
+            sizeMultiplier = 0;
+        } else if (overlap >= CORRELATION_CONFIG.REDUCE_THRESHOLD) {
+            if (action !== 'BLOCK') action = 'REDUCE';
+            sizeMultiplier *= CORRELATION_CONFIG.REDUCE_MULTIPLIER;
+        } else {
+            continue;
+        }
+        conflicts.push({ asset: other, direction: otherDirection, correlation, overlap });
+    }
+    
+    return { action, sizeMultiplier, conflicts };
+}
+
+/**
+ * Correlation matrix plus how the open trades overlap, for the API
+ */
+function getCorrelationStatus() {
+    refreshCorrelations();
+    const open = Object.entries(activeTrades)
+        .filter(([, trade]) => trade)
+        .map(([asset, trade]) => ({ asset, direction: trade.direction || (trade.side === 'BUY' ? 'BULLISH' : 'BEARISH') }));
+    
+    const openPairs = [];
+    for (let i = 0; i < open.length; i++) {
+        for (let j = i + 1; j < open.length; j++) {
+            const correlation = correlationMatrix.get(open[i].asset, open[j].asset);
+            openPairs.push({
+                assets: [open[i].asset, open[j].asset],
+                directions: [open[i].direction, open[j].direction],
+                correlation,
+                overlap: correlation === null ? null : (open[i].direction === open[j].direction ? correlation : -correlation)
+            });
+        }
+    }
+    
+    return {
+        config: CORRELATION_CONFIG,
+        ...correlationMatrix.getStatus(),
+        openPairs
+    };
+}
+
 async function placeMarketOrder(symbol, side, quantity) {
     // Paper trading mode - simulate order execution
     if (CONFIG.BINANCE.PAPER_TRADING_MODE) {
         try {
             // Get real current price from cache
-            const asset = symbol.includes('BTC') ? 'btc' : symbol.includes('ETH') ? 'eth' : null;
+            const asset = getAssetKey(symbol);
             let currentPrice = currentPrices[asset] || 0;
             
             // If price not in cache, try to get from price history
@@ -1063,12 +1464,34 @@ async function placeMarketOrder(symbol, side, quantity) {
                 }
             }
             
-            // Fallback: if still no price, use a reasonable default (but log warning)
+            // Fallback: if still no price, use the configured default (but log warning)
             if (!currentPrice || currentPrice === 0) {
-                currentPrice = asset === 'btc' ? 90000 : asset === 'eth' ? 3000 : 1;
+                currentPrice = getSymbolSettings(symbol).fallbackPrice;
+                if (!currentPrice) {
+                    logger.error(`[PAPER TRADE] ❌ No current price for ${symbol} and no fallbackPrice configured - order rejected`);
+                    return null;
+                }
                 logger.warn(`[PAPER TRADE] ⚠️  No current price found for ${symbol}, using fallback: $${currentPrice}`);
             }
             
+            // With a live book, fill like a real market order: cross the spread and walk the depth
+            let fill = null;
+            const liquidity = getLiquiditySummary(asset);
+            if (liquidity) {
+                fill = orderBooks[asset].estimateFill(side, parseFloat(quantity));
+                if (fill && !fill.fullyFilled) {
+                    logger.warn(`[PAPER TRADE] ⛔ Book too thin for ${side} ${quantity} ${symbol} - only ${fill.filledQty} available`);
+                    return null;
+                }
+                if (fill && fill.slippageBps > DEPTH_CONFIG.MAX_SLIPPAGE_BPS) {
+                    logger.warn(`[PAPER TRADE] ⛔ Slippage ${fill.slippageBps.toFixed(2)} bps above ${DEPTH_CONFIG.MAX_SLIPPAGE_BPS} bps - order rejected`);
+                    return null;
+                }
+                if (fill) currentPrice = fill.avgPrice;
+            }
+            const spreadBps = liquidity ? liquidity.spreadBps : null;
+            const slippageBps = fill ? fill.slippageBps : null;
+            
             const timestamp = new Date().toISOString();
             const orderId = `PAPER_${Date.now()}`;
             const trade = {
@@ -1080,6 +1503,8 @@ async function placeMarketOrder(symbol, side, quantity) {
                 status: 'FILLED',
                 executedQty: parseFloat(quantity),
                 avgPrice: currentPrice,
+                spreadBps: spreadBps,
+                slippageBps: slippageBps,
                 timestamp: timestamp
             };
             
@@ -1096,7 +1521,7 @@ async function placeMarketOrder(symbol, side, quantity) {
             }
             
             paperTrades.push(trade);
-            logger.info(`[PAPER TRADE] ${side} ${quantity} ${symbol} @ $${currentPrice.toFixed(2)} - Balance: $${paperBalance.toFixed(2)}`);
+            logger.info(`[PAPER TRADE] ${side} ${quantity} ${symbol} @ $${formatPrice(currentPrice, symbolPrecision[symbol]?.tickSize)} - Balance: $${paperBalance.toFixed(2)}`);
             
             return {
                 orderId: orderId,
@@ -1106,7 +1531,9 @@ async function placeMarketOrder(symbol, side, quantity) {
                 status: 'FILLED',
                 executedQty: parseFloat(quantity),
                 avgPrice: currentPrice.toString(),
-                price: currentPrice.toString()
+                price: currentPrice.toString(),
+                spreadBps: spreadBps,
+                slippageBps: slippageBps
             };
         } catch (error) {
             logger.error('[PAPER TRADE ERROR]', error.message);
@@ -1443,8 +1870,7 @@ async function placeMarketOrder(symbol, side, quantity) {
             // Log specific error messages with fixes
             if (responseData.code === -1111) {
                 logger.error(`[ORDER EXECUTION] FIX: Precision error - quantity decimal places incorrect`);
-                logger.error(`[ORDER EXECUTION] FIX: BTCUSDT: Use 3 decimals (0.001, 0.002, etc.)`);
-                logger.error(`[ORDER EXECUTION] FIX: ETHUSDT: Use 2 decimals (0.01, 0.02, etc.)`);
+                logger.error(`[ORDER EXECUTION] FIX: ${symbol}: Quantity must be a multiple of the step size`);
                 logger.error(`[ORDER EXECUTION] FIX: Attempted: ${formattedQuantity}, Min: ${precision.minQty}, Step: ${precision.stepSize}`);
             } else if (responseData.code === -2010) {
                 logger.error(`[ORDER EXECUTION] FIX: Insufficient balance - account may have $0 or not enough margin`);
@@ -1924,28 +2350,112 @@ async function placeTakeProfitOrder(symbol, side, quantity, price) {
 // ============================================
 // STATE MANAGEMENT
 // ============================================
-let priceHistory = { btc: [], eth: [] };
-let candleHistory = {
-    btc: { '1m': [], '5m': [], '15m': [] },
-    eth: { '1m': [], '5m': [], '15m': [] }
-};
-let currentPrices = { btc: 0, eth: 0 };
-let activeTrades = { btc: null, eth: null };
+// Per-asset state - one entry per symbol in the universe (see initAssetState)
+let priceHistory = {};
+let candleHistory = {};
+let currentPrices = {};
+let activeTrades = {};
 let riskMode = 'conservative';
 let marketCondition = 'RANGING';
-let volatilityLevel = 'NORMAL';
-let lastSignalTime = { btc: 0, eth: 0 };
+let lastSignalTime = {};
 
 const tradeDatabase = {
     trades: [],
-    activeTrades: { btc: null, eth: null },
+    activeTrades: {},
     performance: {
         totalTrades: 0, winners: 0, losers: 0, breakevenTrades: 0,
         totalProfit: 0, winRate: 0, profitFactor: 0, avgWin: 0, avgLoss: 0, breakevenRate: 0
     },
     patterns: {}
 };
-let fvgInsufficientLogged = { btc: false, eth: false };
+const tickFilter = new TickFilter({
+    windowSize: TICK_FILTER_CONFIG.WINDOW_SIZE,
+    windowMs: TICK_FILTER_CONFIG.WINDOW_MS,
+    minSamples: TICK_FILTER_CONFIG.MIN_SAMPLES,
+    maxDeviationPct: TICK_FILTER_CONFIG.MAX_DEVIATION_PCT,
+    maxReferenceDeviationPct: TICK_FILTER_CONFIG.MAX_CONSENSUS_DEVIATION_PCT,
+    confirmTicks: TICK_FILTER_CONFIG.CONFIRM_TICKS,
+    logger
+});
+const orderBlockRegistry = new OrderBlockRegistry({
+    partialMitigation: OB_CONFIG.PARTIAL_MITIGATION_PCT / 100,
+    retainMs: OB_CONFIG.REGISTRY_RETAIN_MS,
+    maxPerSeries: OB_CONFIG.REGISTRY_MAX_PER_SERIES,
+    extremeLookback: OB_CONFIG.BREAKER_EXTREME_LOOKBACK,
+    logger
+});
+const fvgRegistry = new FairValueGapRegistry({
+    ceLevel: FVG_CONFIG.CE_LEVEL_PCT / 100,
+    retainMs: FVG_CONFIG.REGISTRY_RETAIN_MS,
+    maxPerSeries: FVG_CONFIG.REGISTRY_MAX_PER_SERIES,
+    logger
+});
+const structureTracker = new StructureTracker({
+    maxEvents: STRUCTURE_CONFIG.MAX_EVENTS,
+    requireBodyClose: STRUCTURE_CONFIG.REQUIRE_BODY_CLOSE,
+    logger
+});
+const sessionCalendar = new SessionCalendar({
+    sessions: SESSION_CONFIG.SESSIONS,
+    killzones: SESSION_CONFIG.KILLZONES,
+    weekendDays: SESSION_CONFIG.WEEKEND_DAYS,
+    overrides: SESSION_CONFIG.OVERRIDES
+});
+const sessionTracker = new SessionTracker({
+    calendar: sessionCalendar,
+    asianSession: SESSION_CONFIG.ASIAN_SESSION,
+    maxSessions: SESSION_CONFIG.MAX_SESSIONS,
+    logger
+});
+const volatilityRegimeModel = new VolatilityRegimeModel({
+    atrPeriod: VOLATILITY_REGIME_CONFIG.ATR_PERIOD,
+    window: VOLATILITY_REGIME_CONFIG.WINDOW,
+    minSamples: VOLATILITY_REGIME_CONFIG.MIN_SAMPLES,
+    percentiles: {
+        low: VOLATILITY_REGIME_CONFIG.LOW_PCT,
+        high: VOLATILITY_REGIME_CONFIG.HIGH_PCT,
+        extreme: VOLATILITY_REGIME_CONFIG.EXTREME_PCT
+    },
+    confirmCandles: VOLATILITY_REGIME_CONFIG.CONFIRM_CANDLES,
+    logger
+});
+const confluenceRules = new ConfluenceRuleSet({
+    file: CONFIG.CONFLUENCE_RULES_FILE,
+    logger
+});
+const zoneMap = new ZoneMap({
+    weights: ZONE_MAP_CONFIG.WEIGHTS,
+    nestBonus: ZONE_MAP_CONFIG.NEST_BONUS,
+    nestTolerance: ZONE_MAP_CONFIG.NEST_TOLERANCE_PCT / 100
+});
+const dealingRangeAnalyzer = new DealingRangeAnalyzer({
+    oteLow: DEALING_RANGE_CONFIG.OTE_LOW_PCT / 100,
+    oteHigh: DEALING_RANGE_CONFIG.OTE_HIGH_PCT / 100,
+    equilibriumBand: DEALING_RANGE_CONFIG.EQUILIBRIUM_BAND_PCT / 100,
+    rejectDepth: DEALING_RANGE_CONFIG.REJECT_DEPTH_PCT / 100
+});
+const correlationMatrix = new CorrelationMatrix({
+    lookback: CORRELATION_CONFIG.LOOKBACK,
+    minOverlap: CORRELATION_CONFIG.MIN_OVERLAP
+});
+
+/**
+ * Create empty state for an asset - missing keys only, so loaded trades survive
+ */
+function initAssetState(asset) {
+    if (!priceHistory[asset]) priceHistory[asset] = [];
+    if (!candleHistory[asset]) {
+        candleHistory[asset] = Object.fromEntries(
+            [...KLINE_INTERVALS, ...Object.keys(AGGREGATED_INTERVALS)].map(interval => [interval, []])
+        );
+    }
+    if (currentPrices[asset] === undefined) currentPrices[asset] = 0;
+    if (activeTrades[asset] === undefined) activeTrades[asset] = null;
+    if (tradeDatabase.activeTrades[asset] === undefined) tradeDatabase.activeTrades[asset] = null;
+    if (lastSignalTime[asset] === undefined) lastSignalTime[asset] = 0;
+}
+
+Object.keys(SYMBOLS).forEach(initAssetState);
 
 // ============================================
 // DATA PERSISTENCE
@@ -1967,7 +2477,15 @@ async function loadTradeData() {
         const data = await fs.readFile(CONFIG.DATA_FILE, 'utf8');
         const parsed = JSON.parse(data);
         Object.assign(tradeDatabase, parsed);
-        activeTrades = parsed.activeTrades || { btc: null, eth: null };
+        activeTrades = parsed.activeTrades || {};
+        Object.keys(SYMBOLS).forEach(initAssetState);
+        
+        // Trades on symbols dropped from the universe are no longer managed
+        for (const [asset, trade] of Object.entries(activeTrades)) {
+            if (trade && !SYMBOLS[asset]) {
+                logger.warn(`[TRADE DATA] Active ${asset.toUpperCase()} trade loaded but ${asset.toUpperCase()} is not in NEXUS_SYMBOLS - it will not be managed`);
+            }
+        }
         
         // Log loaded active trades
         const activeTradeCount = Object.keys(activeTrades).filter(k => activeTrades[k]).length;
@@ -2041,7 +2559,7 @@ async function clearPhantomTrades() {
             
             // Verify on Binance if we have an order ID
             if (trade.entryOrderId && trade.entryOrderId !== 'PENDING' && trade.entryOrderId !== 'N/A') {
-                const symbol = asset === 'btc' ? 'BTCUSDT' : 'ETHUSDT';
+                const symbol = SYMBOLS[asset] || trade.symbol;
                 const verified = await verifyOrderOnBinance(symbol, trade.entryOrderId);
                 if (!verified) {
                     logger.warn(`[PHANTOM TRADE CLEANUP] ❌ Order ${trade.entryOrderId} not found on Binance - marking as phantom`);
@@ -2071,7 +2589,7 @@ async function clearPhantomTrades() {
         const validPositions = [];
         
         for (const position of accountState.openPositions) {
-            const asset = position.asset || (position.symbol === 'BTCUSDT' ? 'btc' : 'eth');
+            const asset = position.asset || symbolToAsset(position.symbol);
             const activeTrade = activeTrades[asset];
             
             if (!activeTrade || !activeTrade.entryOrderId || activeTrade.entryOrderId === 'PENDING') {
@@ -2116,225 +2634,1114 @@ async function saveTradeData() {
 // ============================================
 // PRICE MONITORING (WebSocket)
 // ============================================
-let ws = null;
-let reconnectAttempts = 0;
+let spotStream = null;             // StreamSupervisor for the spot streams
+let futuresStream = null;          // StreamSupervisor for the futures streams
+let fallbackTimer = null;
+let lastFallbackPollAt = null;
+let replaySource = null;
+let orderBooks = {};              // asset -> OrderBook
+let depthSnapshotPending = {};    // asset -> snapshot request in flight
+let futuresState = {};            // asset -> { markPrice, indexPrice, fundingRate, nextFundingTime, updatedAt }
+let openInterestHistory = {};     // asset -> [{ time, openInterest, markPrice }]
+let futuresPollTimer = null;
+let lastTradeTick = {};           // asset -> { price, time } of the last aggTrade seen
+let priceConsensus = null;        // PriceConsensus - live mode only
+let coinbasePollTimer = null;
+let coinbaseUnsupported = new Set(); // Currencies Coinbase has no rate for
+let coinbaseOutage = null;        // First error of the running Coinbase outage - logged once, not per poll
+let symbolScreener = null;        // SymbolScreener - live mode only
+let screenerTimer = null;
+let screenerRunning = false;
+let lastSymbolRotation = null;
+
+/**
+ * Current market time - the replay clock when replaying, wall clock otherwise
+ * @returns {number} Epoch milliseconds
+ */
+function getMarketTime() {
+    return replaySource ? replaySource.getCurrentTime() : Date.now();
+}
 
 function getAssetKey(symbol = '') {
-    const lower = symbol.toLowerCase();
-    if (lower.startsWith('btc')) return 'btc';
-    if (lower.startsWith('eth')) return 'eth';
-    return null;
+    // Exact match only - a prefix check would route e.g. ETHFIUSDT to ETH
+    const asset = symbolToAsset(symbol);
+    return SYMBOLS[asset] === symbol.toUpperCase() ? asset : null;
 }
 
-function connectBinance() {
-    try {
-        ws = new WebSocket(WS_URL);
-        ws.on('open', () => {
-            logger.success('Binance WebSocket connected');
-            reconnectAttempts = 0;
-        });
-        ws.on('message', (data) => {
-            try {
-                const raw = JSON.parse(data.toString());
-                const msg = raw.stream ? raw.data : raw;
-                if (!msg) return;
-
-                if (msg.e === '24hrTicker') {
-                    const asset = getAssetKey(msg.s);
-                    if (asset) updatePrice(asset, msg);
-                } else if (msg.e === 'kline') {
-                    handleKlineUpdate(msg);
-                }
-            } catch (error) {
-                logger.error('WebSocket message error', { error: error.message });
-            }
-        });
-        ws.on('error', (err) => {
-            logger.error('WebSocket error', { error: err.message });
-        });
-        ws.on('close', () => {
-            logger.warn('WebSocket closed - reconnecting');
-            reconnect();
+/**
+ * Route a single stream message to the price/candle handlers.
+ * Shared by the live WebSocket and the replay source so both feed the engine identically.
+ * @param {object} raw - Stream message (combined-stream wrapper or bare event)
+ */
+function dispatchMarketMessage(raw) {
+    const msg = raw && raw.stream ? raw.data : raw;
+    if (!msg) return;
+
+    if (msg.e === '24hrTicker') {
+        const asset = getAssetKey(msg.s);
+        if (asset) updatePrice(asset, msg, 'ticker');
+    } else if (msg.e === 'kline') {
+        handleKlineUpdate(msg);
+    } else if (msg.e === 'depthUpdate') {
+        handleDepthUpdate(msg);
+    } else if (msg.e === 'markPriceUpdate') {
+        handleMarkPriceUpdate(msg);
+    } else if (msg.e === 'aggTrade') {
+        handleAggTrade(msg);
+    }
+}
+
+/**
+ * Manage open trades on every print instead of waiting for the next scan,
+ * so wicks between scans still hit stops/targets at the price that touched them
+ */
+function handleAggTrade(message) {
+    const asset = getAssetKey(message.s);
+    if (!asset) return;
+    
+    const price = parseFloat(message.p);
+    const time = Number(message.T) || Number(message.E) || getMarketTime();
+    if (!validateTick(asset, price, 'aggTrade', time)) return;
+    lastTradeTick[asset] = { price, time };
+    if (priceConsensus) priceConsensus.update('binance_spot', asset, price, time);
+    
+    if (activeTrades[asset]) {
+        updateTradeStatus(asset, { price, time, source: 'aggTrade' }).catch(err => {
+            logger.error('[TRADE STATUS] Tick update failed', { asset, error: err.message });
         });
-    } catch (e) {
-        logger.error('WebSocket connection failed', { error: e.message });
-        startFallback();
     }
 }
 
-function reconnect() {
-    if (reconnectAttempts < 5) {
-        reconnectAttempts++;
-        setTimeout(() => connectBinance(), 3000);
-    } else {
-        startFallback();
+function createStreamSupervisor(name, url, handlers = {}) {
+    return new StreamSupervisor({
+        name,
+        url,
+        onMessage: dispatchMarketMessage,
+        ...handlers,
+        staleAfterMs: STREAM_CONFIG.STALE_AFTER_MS,
+        baseDelayMs: STREAM_CONFIG.BASE_DELAY_MS,
+        maxDelayMs: STREAM_CONFIG.MAX_DELAY_MS,
+        jitter: STREAM_CONFIG.JITTER,
+        fallbackAfterAttempts: STREAM_CONFIG.FALLBACK_AFTER_ATTEMPTS,
+        checkIntervalMs: STREAM_CONFIG.CHECK_INTERVAL_MS,
+        pingIntervalMs: STREAM_CONFIG.PING_INTERVAL_MS,
+        pongTimeoutMs: STREAM_CONFIG.PONG_TIMEOUT_MS,
+        logger
+    });
+}
+
+function connectBinance() {
+    if (!spotStream) {
+        spotStream = createStreamSupervisor('binance-spot', getSpotStreamUrl(), {
+            onOpen: (isReconnect) => {
+                // Diffs missed while disconnected can't be recovered - rebuild books from fresh snapshots
+                Object.values(orderBooks).forEach(book => book.reset());
+                
+                // Anything that closed while we were disconnected is missing - backfill it
+                if (isReconnect) {
+                    repairCandleGaps('reconnect').catch(err => {
+                        logger.error('[CANDLE GAP] Repair after reconnect failed', { error: err.message });
+                    });
+                }
+            },
+            onDown: startFallback,
+            onRecovered: stopFallback
+        });
     }
+    spotStream.start();
 }
 
+/**
+ * REST price polling while the spot stream is down - stopped again as soon as the stream delivers
+ */
 function startFallback() {
-    logger.warn('Using fallback price API');
-    setInterval(async () => {
+    if (fallbackTimer) return;
+    logger.warn('Using fallback price API until the WebSocket recovers');
+    fallbackTimer = setInterval(async () => {
         try {
-            const [btcRes, ethRes] = await Promise.all([
-                axios.get(`${BINANCE_API_URL}?symbol=BTCUSDT`),
-                axios.get(`${BINANCE_API_URL}?symbol=ETHUSDT`)
-            ]);
-            if (btcRes.data) updatePrice('btc', { c: btcRes.data.price, P: 0 });
-            if (ethRes.data) updatePrice('eth', { c: ethRes.data.price, P: 0 });
+            // One request for the whole universe
+            const response = await axios.get(BINANCE_API_URL, {
+                params: { symbols: JSON.stringify(Object.values(SYMBOLS)) }
+            });
+            for (const ticker of response.data || []) {
+                const asset = getAssetKey(ticker.symbol);
+                if (asset) updatePrice(asset, { c: ticker.price, P: 0 }, 'rest_fallback');
+            }
+            lastFallbackPollAt = Date.now();
         } catch (e) {
             logger.error('Fallback price fetch failed', { error: e.message });
         }
-    }, 5000);
+    }, STREAM_CONFIG.FALLBACK_POLL_MS);
 }
 
-function recordPriceSnapshot(asset, previousPrice, newPrice, timestamp = Date.now()) {
-    if (!priceHistory[asset]) priceHistory[asset] = [];
-    const safePrev = (typeof previousPrice === 'number' && previousPrice > 0) ? previousPrice : newPrice;
-    const change = safePrev > 0 ? ((newPrice - safePrev) / safePrev) * 100 : 0;
-    priceHistory[asset].push({ price: newPrice, change, time: timestamp });
-    if (priceHistory[asset].length > 50) priceHistory[asset].shift();
+function stopFallback() {
+    if (!fallbackTimer) return;
+    clearInterval(fallbackTimer);
+    fallbackTimer = null;
+    logger.success('WebSocket recovered - fallback price API stopped');
 }
 
-function updatePrice(asset, data) {
-    const price = parseFloat(data.c || data.lastPrice);
-    if (!Number.isFinite(price) || price <= 0) return;
+/**
+ * Freshness of every market data feed, for /api/health
+ */
+function getMarketDataStatus() {
+    if (replaySource) return replaySource.getStatus();
     
-    const previous = currentPrices[asset] || price;
-    currentPrices[asset] = price;
-    recordPriceSnapshot(asset, previous, price);
+    const now = Date.now();
+    const spot = spotStream ? spotStream.getStatus(now) : null;
+    const futures = futuresStream ? futuresStream.getStatus(now) : null;
+    const staleStreams = [spot, futures]
+        .filter(Boolean)
+        .flatMap(status => Object.entries(status.streams).filter(([, st]) => st.stale).map(([name]) => name));
+    
+    return {
+        source: 'binance',
+        connected: !!spotStream && spotStream.isConnected(),
+        healthy: !!spotStream && spotStream.isConnected() && staleStreams.length === 0,
+        staleStreams,
+        fallback: {
+            active: !!fallbackTimer,
+            lastPollAt: lastFallbackPollAt,
+            ageMs: lastFallbackPollAt ? now - lastFallbackPollAt : null
+        },
+        spot,
+        futures
+    };
 }
 
-function handleKlineUpdate(message) {
+// ============================================
+// ORDER BOOK DEPTH
+// ============================================
+function handleDepthUpdate(message) {
     const asset = getAssetKey(message.s);
-    if (!asset || !message.k) return;
-
-    const k = message.k;
-    const timeframe = k.i || '1m';
-    if (!KLINE_INTERVALS.includes(timeframe)) return;
-
-    const candle = {
-        open: parseFloat(k.o),
-        high: parseFloat(k.h),
-        low: parseFloat(k.l),
-        close: parseFloat(k.c),
-        timestamp: k.T || k.t || Date.now(),
-        closed: k.x === true
-    };
-
-    if (!candleHistory[asset]) {
-        candleHistory[asset] = {};
+    if (!asset) return;
+    
+    if (!orderBooks[asset]) {
+        orderBooks[asset] = new OrderBook({ symbol: message.s, maxLevels: DEPTH_CONFIG.SNAPSHOT_LIMIT, logger });
     }
-    if (!candleHistory[asset][timeframe]) {
-        candleHistory[asset][timeframe] = [];
+    const book = orderBooks[asset];
+    book.handleDiff(message);
+    
+    if (!book.synced) {
+        requestDepthSnapshot(asset, book);
     }
-    const history = candleHistory[asset][timeframe];
-    const lastIndex = history.length - 1;
-    const existing = lastIndex >= 0 ? history[lastIndex] : null;
+}
 
-    if (existing && existing.timestamp === candle.timestamp) {
-        history[lastIndex] = candle;
-    } else if (candle.closed) {
-        history.push(candle);
-    } else if (!existing || existing.closed) {
-        history.push(candle);
-    } else {
-        history[lastIndex] = candle;
+async function requestDepthSnapshot(asset, book) {
+    if (depthSnapshotPending[asset]) return;
+    depthSnapshotPending[asset] = true;
+    
+    try {
+        const response = await safeAPICall(() => axios.get(BINANCE_DEPTH_URL, {
+            params: { symbol: book.symbol, limit: DEPTH_CONFIG.SNAPSHOT_LIMIT },
+            timeout: 10000
+        }));
+        if (response?.data && book.applySnapshot(response.data)) {
+            logger.info(`[ORDER BOOK] ${asset.toUpperCase()} synced at update ${book.lastUpdateId}`, {
+                bids: book.bids.size,
+                asks: book.asks.size,
+                resyncs: book.resyncCount
+            });
+        }
+    } catch (error) {
+        logger.error(`[ORDER BOOK] Snapshot failed for ${asset.toUpperCase()}`, { error: error.message });
+    } finally {
+        depthSnapshotPending[asset] = false;
     }
+}
 
-    if (history.length > MAX_CANDLES_STORED) {
-        const excess = history.length - MAX_CANDLES_STORED;
-        history.splice(0, excess);
-    }
+/**
+ * Spread, depth and imbalance for an asset's book
+ * @returns {object|null} Null when there is no synced, fresh book (e.g. replay or REST fallback)
+ */
+function getLiquiditySummary(asset) {
+    const book = orderBooks[asset];
+    if (!book || !book.synced) return null;
+    if (book.lastEventTime && Date.now() - book.lastEventTime > DEPTH_CONFIG.STALE_MS) return null;
+    return book.getSummary(DEPTH_CONFIG.BAND_PCT);
+}
 
-    if (timeframe === '1m') {
-        currentPrices[asset] = candle.close;
-        
-        if (candle.closed) {
-            const prevClose = history.length > 1 ? history[history.length - 2].close : candle.open;
-            recordPriceSnapshot(asset, prevClose, candle.close, candle.timestamp);
-        }
+// ============================================
+// FUTURES DATA (mark price, funding, open interest)
+// ============================================
+function connectFuturesStreams() {
+    // No fallback hook - the premiumIndex REST poll keeps funding data alive while this is down
+    if (!futuresStream) {
+        futuresStream = createStreamSupervisor('binance-futures', getFuturesStreamUrl());
     }
+    futuresStream.start();
 }
 
-async function backfillCandles() {
-    const tasks = [];
+function handleMarkPriceUpdate(message) {
+    const asset = getAssetKey(message.s);
+    if (!asset) return;
+    
+    const previous = futuresState[asset];
+    const next = {
+        markPrice: parseFloat(message.p),
+        indexPrice: parseFloat(message.i),
+        fundingRate: parseFloat(message.r),
+        nextFundingTime: Number(message.T),
+        updatedAt: Number(message.E) || getMarketTime()
+    };
+    if (!Number.isFinite(next.markPrice) || !Number.isFinite(next.fundingRate)) return;
+    if (priceConsensus) priceConsensus.update('binance_futures', asset, next.markPrice, next.updatedAt);
     
-    for (const [asset, symbol] of Object.entries(SYMBOLS)) {
-        for (const interval of KLINE_INTERVALS) {
-            tasks.push((async () => {
-                try {
-                    const response = await axios.get(BINANCE_KLINE_URL, {
-                        params: {
-                            symbol,
-                            interval,
-                            limit: Math.min(MAX_CANDLES_STORED, 500)
-                        },
-                        timeout: 5000
-                    });
-                    const klines = Array.isArray(response.data) ? response.data : [];
-                    const candles = klines.map(k => ({
-                        open: parseFloat(k[1]),
-                        high: parseFloat(k[2]),
-                        low: parseFloat(k[3]),
-                        close: parseFloat(k[4]),
-                        timestamp: k[6],
-                        closed: true
-                    })).filter(c => Number.isFinite(c.open) && Number.isFinite(c.high) && Number.isFinite(c.low) && Number.isFinite(c.close));
-                    
-                    if (candles.length > 0) {
-                        if (!candleHistory[asset]) {
-                            candleHistory[asset] = {};
-                        }
-                        candleHistory[asset][interval] = candles.slice(-MAX_CANDLES_STORED);
-                        
-                        if (interval === '1m') {
-                            currentPrices[asset] = candles[candles.length - 1].close;
-                            
-                            const recentForHistory = candleHistory[asset][interval].slice(-50);
-                            priceHistory[asset] = [];
-                            for (let i = 0; i < recentForHistory.length; i++) {
-                                const prev = i > 0 ? recentForHistory[i - 1].close : recentForHistory[i].open;
-                                recordPriceSnapshot(asset, prev, recentForHistory[i].close, recentForHistory[i].timestamp);
-                            }
-                        }
-                    }
-                } catch (error) {
-                    logger.error('Failed to backfill candles', { asset, interval, error: error.message });
-                }
-            })());
-        }
+    // nextFundingTime rolls forward right after a print - the rate shown until then is what got charged
+    if (previous && previous.nextFundingTime && next.nextFundingTime > previous.nextFundingTime) {
+        settleFunding(asset, previous.fundingRate, previous.markPrice, previous.nextFundingTime);
     }
     
-    await Promise.all(tasks);
+    futuresState[asset] = next;
 }
 
-// ============================================
+/**
+ * Charge (or pay out) one funding print on the open paper position
+ */
+function settleFunding(asset, fundingRate, markPrice, fundingTime) {
+    const trade = activeTrades[asset];
+    if (!trade || !Number.isFinite(fundingRate) || !(markPrice > 0)) return;
+    
+    // Positions opened after the print don't pay it, and each print is charged once
+    const openedAt = Number(trade.timestamp) || Date.parse(trade.timestamp) || 0;
+    if (openedAt > fundingTime || trade.lastFundingTime >= fundingTime) return;
+    
+    const positionSize = trade.positionSize || parseFloat(trade.quantity) || 0;
+    // Positive rate: longs pay shorts
+    const payment = positionSize * markPrice * fundingRate * (trade.direction === 'BULLISH' ? 1 : -1);
+    
+    trade.fundingPaid = (trade.fundingPaid || 0) + payment;
+    trade.fundingEvents = (trade.fundingEvents || 0) + 1;
+    trade.lastFundingTime = fundingTime;
+    paperBalance -= payment;
+    
+    logger.info(`[FUNDING] ${asset.toUpperCase()} ${trade.direction} ${payment >= 0 ? 'paid' : 'received'} $${Math.abs(payment).toFixed(2)}`, {
+        rate: (fundingRate * 100).toFixed(4) + '%',
+        markPrice: formatAssetPrice(asset, markPrice),
+        totalFunding: trade.fundingPaid.toFixed(2)
+    });
+    
+    saveTradeData().catch(err => logger.error('[FUNDING] Failed to save trade data', { error: err.message }));
+}
+
+/**
+ * Poll premiumIndex and open interest over REST.
+ * Open interest has no public stream, and premiumIndex keeps funding settling if the futures WS is down.
+ */
+async function pollFuturesData() {
+    for (const [asset, symbol] of Object.entries(SYMBOLS)) {
+        try {
+            const premium = await safeAPICall(() => axios.get(`${CONFIG.BINANCE.FUTURES_API}/premiumIndex`, {
+                params: { symbol },
+                timeout: 10000
+            }));
+            if (premium?.data) {
+                handleMarkPriceUpdate({
+                    s: symbol,
+                    E: premium.data.time,
+                    p: premium.data.markPrice,
+                    i: premium.data.indexPrice,
+                    r: premium.data.lastFundingRate,
+                    T: premium.data.nextFundingTime
+                });
+            }
+            
+            const oi = await safeAPICall(() => axios.get(`${CONFIG.BINANCE.FUTURES_API}/openInterest`, {
+                params: { symbol },
+                timeout: 10000
+            }));
+            if (oi?.data) {
+                recordOpenInterest(asset, parseFloat(oi.data.openInterest), Number(oi.data.time) || Date.now());
+            }
+        } catch (error) {
+            logger.warn(`[FUNDING] Futures data poll failed for ${asset.toUpperCase()}`, { error: error.message });
+        }
+    }
+}
+
+function recordOpenInterest(asset, openInterest, time) {
+    if (!Number.isFinite(openInterest)) return;
+    if (!openInterestHistory[asset]) openInterestHistory[asset] = [];
+    
+    const history = openInterestHistory[asset];
+    history.push({ time, openInterest, markPrice: futuresState[asset]?.markPrice || currentPrices[asset] || null });
+    while (history.length > 0 && time - history[0].time > FUNDING_CONFIG.OI_HISTORY_MS) {
+        history.shift();
+    }
+}
+
+function startFuturesDataPolling() {
+    pollFuturesData();
+    futuresPollTimer = setInterval(pollFuturesData, FUNDING_CONFIG.POLL_INTERVAL_MS);
+}
+
+/**
+ * Funding / open interest snapshot for confluence scoring
+ * @returns {object|null} Null until mark price data has arrived
+ */
+function getFundingSummary(asset) {
+    const state = futuresState[asset];
+    if (!state) return null;
+    
+    const now = getMarketTime();
+    const history = openInterestHistory[asset] || [];
+    const latest = history[history.length - 1] || null;
+    const baseline = history.find(h => latest && latest.time - h.time <= FUNDING_CONFIG.OI_CHANGE_LOOKBACK_MS) || null;
+    
+    const oiChangePct = latest && baseline && baseline !== latest && baseline.openInterest > 0
+        ? ((latest.openInterest - baseline.openInterest) / baseline.openInterest) * 100
+        : null;
+    const priceChangePct = latest && baseline && baseline !== latest && baseline.markPrice > 0 && latest.markPrice > 0
+        ? ((latest.markPrice - baseline.markPrice) / baseline.markPrice) * 100
+        : null;
+    
+    return {
+        markPrice: state.markPrice,
+        indexPrice: state.indexPrice,
+        premiumPct: state.indexPrice > 0 ? ((state.markPrice - state.indexPrice) / state.indexPrice) * 100 : null,
+        fundingRate: state.fundingRate,
+        nextFundingTime: state.nextFundingTime,
+        minutesToFunding: state.nextFundingTime ? Math.max(0, (state.nextFundingTime - now) / 60000) : null,
+        openInterest: latest ? latest.openInterest : null,
+        oiChangePct,
+        priceChangePct
+    };
+}
+
+// ============================================
+// PRICE CONSENSUS
+// ============================================
+function startPriceConsensus() {
+    priceConsensus = new PriceConsensus({
+        venues: CONSENSUS_CONFIG.VENUES,
+        requiredVenues: CONSENSUS_CONFIG.REQUIRED_VENUES,
+        minVenues: CONSENSUS_CONFIG.MIN_VENUES,
+        divergenceBps: CONSENSUS_CONFIG.DIVERGENCE_BPS,
+        logger
+    });
+    
+    pollCoinbasePrices();
+    coinbasePollTimer = setInterval(pollCoinbasePrices, CONSENSUS_CONFIG.COINBASE_POLL_MS);
+}
+
+async function pollCoinbasePrices() {
+    const failed = [];
+    await Promise.all(Object.entries(SYMBOLS).map(async ([asset, symbol]) => {
+        const currency = symbol.replace(/USDT$/, '');
+        if (coinbaseUnsupported.has(currency)) return;
+        try {
+            const response = await axios.get(`${COINBASE_PRICE_URL}?currency=${currency}`, { timeout: 5000 });
+            const price = parseFloat(response.data?.data?.rates?.USD);
+            if (priceConsensus) priceConsensus.update('coinbase', asset, price);
+        } catch (error) {
+            // Screened-in symbols may not be listed on Coinbase - stop asking, spot + futures still form a consensus
+            if (error.response?.status === 400 || error.response?.status === 404) {
+                coinbaseUnsupported.add(currency);
+                logger.info(`[CONSENSUS] Coinbase has no ${currency} rate - using Binance venues only for ${asset.toUpperCase()}`);
+                return;
+            }
+            failed.push({ asset, error: error.message });
+        }
+    }));
+    
+    if (failed.length > 0 && !coinbaseOutage) {
+        coinbaseOutage = failed[0].error;
+        logger.warn(`[CONSENSUS] Coinbase price fetch failing for ${failed.map(f => f.asset.toUpperCase()).join(', ')} - retrying every poll`, { error: coinbaseOutage });
+    } else if (failed.length === 0 && coinbaseOutage) {
+        coinbaseOutage = null;
+        logger.info('[CONSENSUS] Coinbase prices recovered');
+    }
+}
+
+/**
+ * Whether prices for an asset can be acted on. Always true without a consensus
+ * (replay), since there is only one venue to trust.
+ */
+function isPriceConsensusTrusted(asset) {
+    if (!priceConsensus) return true;
+    return priceConsensus.getConsensus(asset).trustworthy;
+}
+
+// ============================================
+// SYMBOL SCREENER & ROTATION
+// ============================================
+function startSymbolScreener() {
+    symbolScreener = new SymbolScreener({
+        futuresApi: CONFIG.BINANCE.FUTURES_API,
+        spotPriceUrl: BINANCE_API_URL,
+        fetchJson: (url, params) => safeAPICall(() => axios.get(url, { params, timeout: 10000 })).then(res => res?.data),
+        topN: SCREENER_CONFIG.TOP_N,
+        retainBuffer: SCREENER_CONFIG.RETAIN_BUFFER,
+        candidatePool: SCREENER_CONFIG.CANDIDATE_POOL,
+        minQuoteVolume: SCREENER_CONFIG.MIN_QUOTE_VOLUME,
+        maxSpreadBps: SCREENER_CONFIG.MAX_SPREAD_BPS,
+        minAtrPct: SCREENER_CONFIG.MIN_ATR_PCT,
+        maxAtrPct: SCREENER_CONFIG.MAX_ATR_PCT,
+        atrInterval: SCREENER_CONFIG.ATR_INTERVAL,
+        atrPeriod: SCREENER_CONFIG.ATR_PERIOD,
+        weights: SCREENER_CONFIG.WEIGHTS,
+        logger
+    });
+
+    runSymbolScreener();
+    screenerTimer = setInterval(runSymbolScreener, SCREENER_CONFIG.INTERVAL_MS);
+}
+
+/**
+ * Re-rank and rotate the scan set. Symbols with an open trade are always pinned.
+ */
+async function runSymbolScreener() {
+    if (screenerRunning) return;
+    screenerRunning = true;
+
+    try {
+        await symbolScreener.run();
+        if (!symbolScreener.ranking.some(r => r.eligible)) {
+            logger.warn('[SCREENER] No eligible symbols - keeping the current universe');
+            return;
+        }
+
+        const openTradeSymbols = Object.entries(activeTrades)
+            .filter(([, trade]) => trade)
+            .map(([asset, trade]) => SYMBOLS[asset] || trade.symbol);
+
+        // A skipped symbol frees its slot for the next in the ranking - select again without
+        // it, so no current symbol is dropped for a replacement that never came in
+        const added = [];
+        const skipped = [];
+        let selection;
+        do {
+            selection = symbolScreener.select({
+                current: Object.values(SYMBOLS),
+                pinned: [...SCREENER_CONFIG.PINNED, ...openTradeSymbols],
+                exclude: skipped
+            });
+            for (const symbol of selection.added) {
+                if (await addSymbol(symbol)) added.push(symbol);
+                else skipped.push(symbol);
+            }
+        } while (selection.added.some(symbol => skipped.includes(symbol)));
+
+        if (added.length === 0 && skipped.length === 0 && selection.removed.length === 0) return;
+
+        for (const symbol of selection.removed) {
+            removeSymbol(symbol);
+        }
+
+        // Resubscribe both sockets to the new stream set
+        if (spotStream) spotStream.setUrl(getSpotStreamUrl());
+        if (futuresStream) futuresStream.setUrl(getFuturesStreamUrl());
+
+        lastSymbolRotation = { time: Date.now(), ...selection, added, skipped };
+        logger.success(`[SCREENER] Universe rotated: ${Object.values(SYMBOLS).join(', ')}`, {
+            added,
+            removed: selection.removed,
+            pinned: selection.pinned
+        });
+        pollFuturesData().catch(err => logger.error('[FUNDING] Poll after rotation failed', { error: err.message }));
+    } catch (error) {
+        logger.error('[SCREENER] Screening failed - keeping the current universe', { error: error.message });
+    } finally {
+        screenerRunning = false;
+    }
+}
+
+/**
+ * Bring a symbol into the universe - history is loaded before it is scanned
+ * @returns {boolean} False when the symbol was skipped
+ */
+async function addSymbol(symbol) {
+    const asset = symbolToAsset(symbol);
+    if (SYMBOLS[asset]) return false;
+
+    // Sub-$1 perps (DOGE, XRP, ...) need their real tick size - the 2-decimal default
+    // would put stops and targets on the entry price
+    const precision = await getSymbolPrecision(symbol);
+    if (!precision.tickSize) {
+        logger.warn(`[SCREENER] ${symbol} skipped - no tick size from exchangeInfo`);
+        return false;
+    }
+
+    initAssetState(asset);
+    for (const interval of KLINE_INTERVALS) {
+        await safeAPICall(() => backfillSeries(asset, symbol, interval));
+    }
+    await backfillAggregatedCandles(asset, symbol);
+
+    SYMBOLS[asset] = symbol;
+    logger.info(`[SCREENER] ➕ ${symbol} added to the scan set`);
+    return true;
+}
+
+/**
+ * Drop a symbol from the universe and release its state. Never called for symbols with an open trade.
+ */
+function removeSymbol(symbol) {
+    const asset = symbolToAsset(symbol);
+    if (SYMBOLS[asset] !== symbol || activeTrades[asset]) return;
+
+    delete SYMBOLS[asset];
+    for (const state of [priceHistory, candleHistory, currentPrices, activeTrades, tradeDatabase.activeTrades,
+        lastSignalTime, orderBooks, depthSnapshotPending, futuresState,
+        openInterestHistory, lastTradeTick]) {
+        delete state[asset];
+    }
+    // Modules keep their own per-asset state - a symbol that returns later must not resume from it
+    for (const tracker of [tickFilter, candleStore, priceConsensus, correlationMatrix, orderBlockRegistry,
+        fvgRegistry, structureTracker, sessionTracker, volatilityRegimeModel]) {
+        if (tracker) tracker.reset(asset);
+    }
+    logger.info(`[SCREENER] ➖ ${symbol} removed from the scan set`);
+}
+
+function getScreenerStatus() {
+    return {
+        enabled: !!symbolScreener,
+        symbols: Object.values(SYMBOLS),
+        pinned: SCREENER_CONFIG.PINNED,
+        lastRotation: lastSymbolRotation,
+        ...(symbolScreener ? symbolScreener.getStatus() : {})
+    };
+}
+
+function recordPriceSnapshot(asset, previousPrice, newPrice, timestamp = Date.now()) {
+    if (!priceHistory[asset]) priceHistory[asset] = [];
+    const safePrev = (typeof previousPrice === 'number' && previousPrice > 0) ? previousPrice : newPrice;
+    const change = safePrev > 0 ? ((newPrice - safePrev) / safePrev) * 100 : 0;
+    priceHistory[asset].push({ price: newPrice, change, time: timestamp });
+    if (priceHistory[asset].length > 50) priceHistory[asset].shift();
+}
+
+/**
+ * Consensus price the tick filter compares against, null while it can't be trusted
+ */
+function getTickReference(asset) {
+    if (!priceConsensus) return null;
+    const consensus = priceConsensus.getConsensus(asset);
+    return consensus.trustworthy ? consensus.price : null;
+}
+
+/**
+ * Gate every incoming price through the bad-tick filter
+ * @returns {boolean} True if the price can be used
+ */
+function validateTick(asset, price, source, time = getMarketTime()) {
+    return tickFilter.check(asset, price, { source, time, reference: getTickReference(asset) }).accepted;
+}
+
+function updatePrice(asset, data, source = 'ticker') {
+    const price = parseFloat(data.c || data.lastPrice);
+    if (!validateTick(asset, price, source)) return;
+    
+    const previous = currentPrices[asset] || price;
+    currentPrices[asset] = price;
+    recordPriceSnapshot(asset, previous, price);
+    if (priceConsensus) priceConsensus.update('binance_spot', asset, price);
+}
+
+function handleKlineUpdate(message) {
+    const asset = getAssetKey(message.s);
+    if (!asset || !message.k) return;
+
+    const k = message.k;
+    const timeframe = k.i || '1m';
+    if (!KLINE_INTERVALS.includes(timeframe)) return;
+
+    const candle = {
+        open: parseFloat(k.o),
+        high: parseFloat(k.h),
+        low: parseFloat(k.l),
+        close: parseFloat(k.c),
+        volume: parseFloat(k.v) || 0,
+        quoteVolume: parseFloat(k.q) || 0,
+        trades: parseInt(k.n, 10) || 0,
+        takerBuyVolume: parseFloat(k.V) || 0,
+        timestamp: k.T || k.t || Date.now(),
+        closed: k.x === true
+    };
+
+    // Validate before the candle reaches history, the store or any detector. Only the 1m
+    // close feeds the filter's window; the other timeframes repeat the same price.
+    // Tick time is the event time - k.T is the candle's close time, up to a minute ahead.
+    const tickTime = Number(message.E) || getMarketTime();
+    const validTick = timeframe === '1m'
+        ? validateTick(asset, candle.close, 'kline', tickTime)
+        : tickFilter.isPlausible(asset, candle.close, { time: tickTime, reference: getTickReference(asset) });
+    if (!validTick) {
+        // A dropped close leaves a hole in the series - fetch the exchange's candle for it instead
+        if (candle.closed) scheduleRejectedCloseRepair(asset, timeframe);
+        return;
+    }
+
+    if (!candleHistory[asset]) {
+        candleHistory[asset] = {};
+    }
+    if (!candleHistory[asset][timeframe]) {
+        candleHistory[asset][timeframe] = [];
+    }
+    const history = candleHistory[asset][timeframe];
+    const lastIndex = history.length - 1;
+    const existing = lastIndex >= 0 ? history[lastIndex] : null;
+
+    if (existing && existing.timestamp === candle.timestamp) {
+        history[lastIndex] = candle;
+    } else if (candle.closed) {
+        history.push(candle);
+    } else if (!existing || existing.closed) {
+        history.push(candle);
+    } else {
+        history[lastIndex] = candle;
+    }
+
+    if (history.length > MAX_CANDLES_STORED) {
+        const excess = history.length - MAX_CANDLES_STORED;
+        history.splice(0, excess);
+    }
+    
+    if (candleStore && candle.closed) {
+        candleStore.append(asset, timeframe, candle);
+    }
+
+    if (timeframe === '1m') {
+        currentPrices[asset] = candle.close;
+        
+        if (candle.closed) {
+            const prevClose = history.length > 1 ? history[history.length - 2].close : candle.open;
+            recordPriceSnapshot(asset, prevClose, candle.close, candle.timestamp);
+        }
+    }
+    
+    if (candle.closed && Object.values(AGGREGATED_INTERVALS).includes(timeframe)) {
+        updateAggregatedCandles(asset, candle.timestamp);
+    }
+}
+
+// ============================================
+// HIGHER TIMEFRAME AGGREGATION
+// ============================================
+
+/**
+ * Build higher-timeframe candles from closed lower-timeframe candles.
+ * Buckets align to UTC epoch boundaries, same as Binance (1d = 00:00 UTC).
+ * @param {Array} sourceCandles - Closed candles, oldest first
+ * @param {string} sourceInterval - e.g. '15m'
+ * @param {string} targetInterval - e.g. '4h'
+ * @returns {Array} Aggregated candles (last one has closed: false while its bucket is still open)
+ */
+function aggregateCandles(sourceCandles, sourceInterval, targetInterval) {
+    const sourceMs = INTERVAL_MS[sourceInterval];
+    const targetMs = INTERVAL_MS[targetInterval];
+    if (!sourceMs || !targetMs || !sourceCandles || sourceCandles.length === 0) return [];
+    
+    const expected = targetMs / sourceMs;
+    const buckets = new Map();
+    
+    for (const c of sourceCandles) {
+        if (c.closed === false) continue;
+        const openTime = c.timestamp + 1 - sourceMs;
+        const bucketOpen = Math.floor(openTime / targetMs) * targetMs;
+        
+        let bucket = buckets.get(bucketOpen);
+        if (!bucket) {
+            bucket = {
+                open: c.open,
+                high: c.high,
+                low: c.low,
+                close: c.close,
+                volume: 0,
+                quoteVolume: 0,
+                trades: 0,
+                takerBuyVolume: 0,
+                timestamp: bucketOpen + targetMs - 1,
+                closed: false,
+                sourceCount: 0
+            };
+            buckets.set(bucketOpen, bucket);
+        }
+        
+        bucket.high = Math.max(bucket.high, c.high);
+        bucket.low = Math.min(bucket.low, c.low);
+        bucket.close = c.close;
+        bucket.volume += c.volume || 0;
+        bucket.quoteVolume += c.quoteVolume || 0;
+        bucket.trades += c.trades || 0;
+        bucket.takerBuyVolume += c.takerBuyVolume || 0;
+        bucket.sourceCount++;
+        bucket.closed = c.timestamp >= bucket.timestamp;
+    }
+    
+    return Array.from(buckets.values())
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(b => ({ ...b, complete: b.sourceCount >= expected }));
+}
+
+/**
+ * Rebuild aggregated candles whose buckets are covered by the in-memory source history
+ * @param {string} asset - Asset key
+ * @param {number|null} sinceTimestamp - Only rebuild the bucket holding this source candle and later
+ */
+function updateAggregatedCandles(asset, sinceTimestamp = null) {
+    for (const [targetInterval, sourceInterval] of Object.entries(AGGREGATED_INTERVALS)) {
+        let source = candleHistory[asset]?.[sourceInterval] || [];
+        if (source.length === 0) continue;
+        
+        if (sinceTimestamp !== null) {
+            const targetMs = INTERVAL_MS[targetInterval];
+            const bucketOpen = Math.floor((sinceTimestamp + 1 - INTERVAL_MS[sourceInterval]) / targetMs) * targetMs;
+            source = source.filter(c => c.timestamp >= bucketOpen);
+        }
+        
+        const existing = candleHistory[asset][targetInterval] || [];
+        const existingByTime = new Map(existing.map(c => [c.timestamp, c]));
+        
+        // The oldest bucket is often cut off by the source history window -
+        // never let a partial rebuild replace a candle built from more data
+        const aggregated = aggregateCandles(source, sourceInterval, targetInterval).filter(c => {
+            const current = existingByTime.get(c.timestamp);
+            return !current || (current.sourceCount || Infinity) <= c.sourceCount || current.closed === false;
+        });
+        if (aggregated.length === 0) continue;
+        
+        candleHistory[asset][targetInterval] = mergeCandles(existing, aggregated, MAX_CANDLES_STORED);
+        if (candleStore) candleStore.merge(asset, targetInterval, aggregated);
+    }
+}
+
+/**
+ * Seed 1h/4h/1d history by aggregating a deep 15m download
+ */
+async function backfillAggregatedCandles(asset, symbol) {
+    const sources = [...new Set(Object.values(AGGREGATED_INTERVALS))];
+    
+    for (const sourceInterval of sources) {
+        const sourceMs = INTERVAL_MS[sourceInterval];
+        const endTime = Date.now();
+        let startTime = endTime - HTF_CONFIG.BACKFILL_DAYS * INTERVAL_MS['1d'];
+        // Start on a day boundary so the first daily candle is complete
+        startTime = Math.floor(startTime / INTERVAL_MS['1d']) * INTERVAL_MS['1d'];
+        
+        let sourceCandles = [];
+        try {
+            while (startTime < endTime) {
+                const batch = await safeAPICall(() => fetchKlines(symbol, sourceInterval, { startTime, limit: 1000 }));
+                if (!batch || batch.length === 0) break;
+                sourceCandles = sourceCandles.concat(batch);
+                if (batch.length < 1000) break;
+                startTime = batch[batch.length - 1].timestamp + 1;
+            }
+        } catch (error) {
+            logger.error(`[HTF] Failed to backfill ${sourceInterval} history for ${asset.toUpperCase()}`, { error: error.message });
+            continue;
+        }
+        
+        for (const [targetInterval, src] of Object.entries(AGGREGATED_INTERVALS)) {
+            if (src !== sourceInterval) continue;
+            const aggregated = aggregateCandles(sourceCandles, sourceInterval, targetInterval);
+            candleHistory[asset][targetInterval] = mergeCandles(candleHistory[asset][targetInterval] || [], aggregated, MAX_CANDLES_STORED);
+            if (candleStore) candleStore.merge(asset, targetInterval, aggregated);
+        }
+        
+        logger.info(`[HTF] ${asset.toUpperCase()} aggregated ${sourceCandles.length} ${sourceInterval} candles`, Object.fromEntries(
+            Object.keys(AGGREGATED_INTERVALS).map(tf => [tf, candleHistory[asset][tf]?.length || 0])
+        ));
+    }
+}
+
+/**
+ * Bring 1h/4h/1d series up to date: refresh from 15m history, and fall back
+ * to a deep backfill when the series is too short or has holes the 15m window can't cover
+ */
+async function initializeAggregatedCandles() {
+    const now = Date.now();
+    
+    for (const [asset, symbol] of Object.entries(SYMBOLS)) {
+        if (!candleHistory[asset]) candleHistory[asset] = {};
+        
+        for (const tf of Object.keys(AGGREGATED_INTERVALS)) {
+            const stored = candleStore ? candleStore.get(asset, tf) : [];
+            candleHistory[asset][tf] = stored.slice(-MAX_CANDLES_STORED);
+        }
+        updateAggregatedCandles(asset);
+        
+        const needsBackfill = Object.keys(AGGREGATED_INTERVALS).some(tf => {
+            const series = candleHistory[asset][tf];
+            const minCandles = Math.min(HTF_CONFIG.MIN_BIAS_CANDLES, Math.floor(HTF_CONFIG.BACKFILL_DAYS * INTERVAL_MS['1d'] / INTERVAL_MS[tf]));
+            return series.length < minCandles || findCandleGaps(series, INTERVAL_MS[tf], now).length > 0;
+        });
+        
+        if (needsBackfill) {
+            await backfillAggregatedCandles(asset, symbol);
+        }
+    }
+}
+
+function parseRestKline(k) {
+    return {
+        open: parseFloat(k[1]),
+        high: parseFloat(k[2]),
+        low: parseFloat(k[3]),
+        close: parseFloat(k[4]),
+        volume: parseFloat(k[5]) || 0,
+        quoteVolume: parseFloat(k[7]) || 0,
+        trades: parseInt(k[8], 10) || 0,
+        takerBuyVolume: parseFloat(k[9]) || 0,
+        timestamp: k[6],
+        closed: true
+    };
+}
+
+/**
+ * Fetch closed klines over REST
+ * @param {string} symbol - e.g. 'BTCUSDT'
+ * @param {string} interval - e.g. '1m'
+ * @param {object} range - { startTime, endTime, limit } (open-time bounds, as Binance expects)
+ * @returns {Promise<Array>} Candles, oldest first
+ */
+async function fetchKlines(symbol, interval, range = {}) {
+    const params = { symbol, interval, limit: range.limit || Math.min(MAX_CANDLES_STORED, 500) };
+    if (range.startTime) params.startTime = range.startTime;
+    if (range.endTime) params.endTime = range.endTime;
+    
+    const response = await axios.get(BINANCE_KLINE_URL, { params, timeout: 5000 });
+    const klines = Array.isArray(response.data) ? response.data : [];
+    const now = Date.now();
+    return klines
+        .map(parseRestKline)
+        .filter(c => Number.isFinite(c.open) && Number.isFinite(c.high) && Number.isFinite(c.low) && Number.isFinite(c.close))
+        // The newest kline is usually still forming
+        .filter(c => c.timestamp < now);
+}
+
+/**
+ * Rebuild the short price snapshot history from 1m candles
+ */
+function seedPriceHistory(asset) {
+    const candles = candleHistory[asset]?.['1m'] || [];
+    if (candles.length === 0) return;
+    
+    currentPrices[asset] = candles[candles.length - 1].close;
+    
+    const recentForHistory = candles.slice(-50);
+    priceHistory[asset] = [];
+    for (let i = 0; i < recentForHistory.length; i++) {
+        const prev = i > 0 ? recentForHistory[i - 1].close : recentForHistory[i].open;
+        recordPriceSnapshot(asset, prev, recentForHistory[i].close, recentForHistory[i].timestamp);
+    }
+}
+
+async function backfillSeries(asset, symbol, interval) {
+    try {
+        const candles = await fetchKlines(symbol, interval);
+        
+        if (candles.length > 0) {
+            if (!candleHistory[asset]) {
+                candleHistory[asset] = {};
+            }
+            candleHistory[asset][interval] = candles.slice(-MAX_CANDLES_STORED);
+            if (candleStore) {
+                // Stored candles that don't reach the downloaded window (an outage longer than
+                // one download) would stay a hole in the series - start over from the download
+                const merged = mergeCandles(candleStore.get(asset, interval), candles, candleStore.maxCandles);
+                if (findCandleGaps(merged, INTERVAL_MS[interval]).length > 0) {
+                    candleStore.replace(asset, interval, candles);
+                } else {
+                    candleStore.merge(asset, interval, candles);
+                }
+            }
+            
+            if (interval === '1m') {
+                seedPriceHistory(asset);
+            }
+        }
+    } catch (error) {
+        logger.error('Failed to backfill candles', { asset, interval, error: error.message });
+    }
+}
+
+async function backfillCandles() {
+    const tasks = [];
+    
+    for (const [asset, symbol] of Object.entries(SYMBOLS)) {
+        for (const interval of KLINE_INTERVALS) {
+            tasks.push(backfillSeries(asset, symbol, interval));
+        }
+    }
+    
+    await Promise.all(tasks);
+}
+
+// ============================================
+// CANDLE STORE & GAP REPAIR
+// ============================================
+let candleStore = null;
+let rejectedCloseRepairTimer = null;
+const candleGapStats = {
+    lastCheck: null,
+    lastReason: null,
+    gapsFound: 0,
+    candlesRepaired: 0,
+    failedRepairs: 0,
+    rejectedCloses: 0
+};
+
+/**
+ * Load candle history from disk, then fill whatever is missing up to now.
+ * Series with nothing on disk get a normal full backfill.
+ */
+async function initializeCandleHistory() {
+    if (!CONFIG.CANDLE_STORE.ENABLED) {
+        await backfillCandles();
+        await initializeAggregatedCandles();
+        return;
+    }
+    
+    candleStore = new CandleStore({
+        dir: CONFIG.CANDLE_STORE.DIR,
+        maxCandles: CONFIG.CANDLE_STORE.MAX_CANDLES,
+        logger
+    });
+    await candleStore.loadAll(Object.keys(SYMBOLS), [...KLINE_INTERVALS, ...Object.keys(AGGREGATED_INTERVALS)]);
+    
+    const tasks = [];
+    for (const [asset, symbol] of Object.entries(SYMBOLS)) {
+        if (!candleHistory[asset]) candleHistory[asset] = {};
+        
+        for (const interval of KLINE_INTERVALS) {
+            const stored = candleStore.get(asset, interval);
+            if (stored.length === 0) {
+                tasks.push(backfillSeries(asset, symbol, interval));
+            } else {
+                candleHistory[asset][interval] = stored.slice(-MAX_CANDLES_STORED);
+            }
+        }
+        seedPriceHistory(asset);
+    }
+    await Promise.all(tasks);
+    
+    const loaded = Object.keys(SYMBOLS).map(asset =>
+        `${asset.toUpperCase()} ${KLINE_INTERVALS.map(tf => `${tf}:${candleStore.get(asset, tf).length}`).join(' ')}`
+    );
+    logger.info('[CANDLE STORE] Candle history loaded from disk', { series: loaded });
+    
+    await repairCandleGaps('startup');
+    await initializeAggregatedCandles();
+    await candleStore.flush();
+    
+    setInterval(() => {
+        candleStore.flush().catch(err => logger.error('[CANDLE STORE] Flush failed', { error: err.message }));
+    }, CONFIG.CANDLE_STORE.FLUSH_INTERVAL_MS);
+}
+
+/**
+ * Detect missing candle intervals in memory and backfill only those ranges over REST
+ * @param {string} reason - Why the check runs (startup, reconnect, ...)
+ * @returns {Promise<number>} Candles repaired
+ */
+async function repairCandleGaps(reason = 'manual') {
+    const now = Date.now();
+    let repaired = 0;
+    let gapsFound = 0;
+    
+    for (const [asset, symbol] of Object.entries(SYMBOLS)) {
+        for (const interval of KLINE_INTERVALS) {
+            const intervalMs = INTERVAL_MS[interval];
+            const history = candleHistory[asset]?.[interval] || [];
+            if (history.length === 0) continue;
+            
+            const gaps = findCandleGaps(history, intervalMs, now);
+            if (gaps.length === 0) continue;
+            gapsFound += gaps.length;
+            
+            const totalMissing = gaps.reduce((sum, g) => sum + g.missing, 0);
+            if (totalMissing > CONFIG.CANDLE_STORE.MAX_GAP_CANDLES) {
+                logger.warn(`[CANDLE GAP] ${asset.toUpperCase()} ${interval}: ${totalMissing} candles missing - full backfill instead`);
+                await backfillSeries(asset, symbol, interval);
+                continue;
+            }
+            
+            let fetched = [];
+            for (const gap of gaps) {
+                try {
+                    let startTime = gap.startTime;
+                    // Binance returns at most 1000 klines per request - page through long gaps
+                    while (true) {
+                        const batch = await safeAPICall(() => fetchKlines(symbol, interval, {
+                            startTime,
+                            endTime: gap.endTime,
+                            limit: 1000
+                        }));
+                        if (!batch || batch.length === 0) break;
+                        fetched = fetched.concat(batch);
+                        if (batch.length < 1000) break;
+                        startTime = batch[batch.length - 1].timestamp + 1;
+                    }
+                } catch (error) {
+                    candleGapStats.failedRepairs++;
+                    logger.error(`[CANDLE GAP] Backfill failed for ${asset.toUpperCase()} ${interval}`, { gap, error: error.message });
+                }
+            }
+            
+            if (fetched.length > 0) {
+                candleHistory[asset][interval] = mergeCandles(candleHistory[asset][interval], fetched, MAX_CANDLES_STORED);
+                if (candleStore) candleStore.merge(asset, interval, fetched);
+                repaired += fetched.length;
+                if (interval === '1m') seedPriceHistory(asset);
+                if (Object.values(AGGREGATED_INTERVALS).includes(interval)) updateAggregatedCandles(asset);
+            }
+            
+            logger.info(`[CANDLE GAP] ${asset.toUpperCase()} ${interval}: ${gaps.length} gap(s), ${totalMissing} missing, ${fetched.length} repaired`);
+        }
+    }
+    
+    candleGapStats.lastCheck = now;
+    candleGapStats.lastReason = reason;
+    candleGapStats.gapsFound += gapsFound;
+    candleGapStats.candlesRepaired += repaired;
+    
+    if (gapsFound > 0) {
+        logger.success(`[CANDLE GAP] ✅ Gap repair (${reason}) complete - ${repaired} candles backfilled`);
+    }
+    return repaired;
+}
+
+/**
+ * Record a closed candle the tick filter rejected and backfill its slot over REST.
+ * Timeframes closing on the same print share one repair run. Replay has no REST
+ * source, so the gap is only counted there.
+ */
+function scheduleRejectedCloseRepair(asset, timeframe) {
+    candleGapStats.rejectedCloses++;
+    logger.warn(`[CANDLE GAP] ${asset.toUpperCase()} ${timeframe} close rejected by the tick filter - candle left out of history`);
+    
+    if (replaySource || rejectedCloseRepairTimer) return;
+    rejectedCloseRepairTimer = setTimeout(() => {
+        rejectedCloseRepairTimer = null;
+        repairCandleGaps('rejected-close').catch(err => {
+            logger.error('[CANDLE GAP] Repair after rejected close failed', { error: err.message });
+        });
+    }, CONFIG.CANDLE_STORE.REJECTED_CLOSE_REPAIR_DELAY_MS);
+}
+
+// ============================================
 // MARKET ANALYSIS
 // ============================================
 function detectMarketCondition() {
-    ['btc', 'eth'].forEach(asset => {
+    Object.keys(SYMBOLS).forEach(asset => {
         if (priceHistory[asset] && priceHistory[asset].length >= 5) {
             const recent = priceHistory[asset].slice(-5);
             const trend = recent[recent.length - 1].price - recent[0].price;
-            const avgChange = recent.reduce((sum, p) => sum + Math.abs(p.change || 0), 0) / recent.length;
             
             if (trend > currentPrices[asset] * 0.02) marketCondition = 'TRENDING_UP';
             else if (trend < -currentPrices[asset] * 0.02) marketCondition = 'TRENDING_DOWN';
             else marketCondition = 'RANGING';
-            
-            if (avgChange > 2.0) volatilityLevel = 'EXTREME';
-            else if (avgChange > 1.5) volatilityLevel = 'HIGH';
-            else if (avgChange > 0.8) volatilityLevel = 'NORMAL';
-            else volatilityLevel = 'LOW';
         }
     });
 }
 
 function detectVolatility() {
-    const currentVol = Math.max(
-        Math.abs(priceHistory.btc.slice(-1)[0]?.change || 0),
-        Math.abs(priceHistory.eth.slice(-1)[0]?.change || 0)
-    );
+    const currentVol = Math.max(0, ...Object.keys(SYMBOLS).map(asset =>
+        Math.abs(priceHistory[asset]?.slice(-1)[0]?.change || 0)
+    ));
     return currentVol;
 }
 
@@ -2347,36 +3754,36 @@ function calculateMomentum(asset) {
     return Math.max(-2, Math.min(2, avgChange / 2));
 }
 
-function detectSessionBias(currentTime) {
-    const date = new Date(currentTime);
-    const hour = date.getUTCHours();
-    let sessionName = 'CLOSED', confidenceBoost = 0;
-    if (hour >= 21 || hour < 6) { sessionName = 'TOKYO'; confidenceBoost = 18; }
-    else if (hour >= 7 && hour < 16) { sessionName = 'LONDON'; confidenceBoost = 5; }
-    else if (hour >= 12 && hour < 21) { sessionName = 'NEW_YORK'; confidenceBoost = 5; }
-    else if (hour >= 22 || hour < 7) { sessionName = 'SYDNEY'; confidenceBoost = 2; }
-    return { sessionName, confidenceBoost };
+/**
+ * Session labels for the replay clock plus the asset's session levels
+ * @param {string} asset - Asset key
+ * @returns {object} getSession() result + { asianRange, previous, latestSweep }
+ */
+function getSessionContext(asset) {
+    sessionTracker.update(asset, getRecentCandles(asset, SESSION_CONFIG.CANDLES, SESSION_CONFIG.TIMEFRAME) || []);
+    const now = getMarketTime();
+    const snapshot = sessionTracker.getSnapshot(asset);
+    return {
+        ...sessionCalendar.getSession(now),
+        asianRange: snapshot.asianRange,
+        previous: snapshot.previous,
+        latestSweep: sessionTracker.getLatestSweep(asset, now - SESSION_CONFIG.SWEEP_RECENT_MS)
+    };
 }
 
-function detectVolatilityLevel(priceHistoryData, lookbackPeriod = 20) {
-    if (!priceHistoryData || priceHistoryData.length < lookbackPeriod) {
-        return { volatilityLevel: 'NORMAL', atr: 0, confidenceBoost: 2 };
-    }
-    let sum = 0;
-    for (let i = 1; i < Math.min(lookbackPeriod, priceHistoryData.length); i++) {
-        const currentPrice = priceHistoryData[i].price;
-        const prevPrice = priceHistoryData[i - 1].price;
-        const change = Math.abs(currentPrice - prevPrice);
-        sum += change;
-    }
-    const atr = sum / (Math.min(lookbackPeriod, priceHistoryData.length) - 1);
-    const currentPrice = priceHistoryData[priceHistoryData.length - 1].price;
-    const atrPerc = 100 * (atr / currentPrice);
-    let level = 'NORMAL', confidenceBoost = 2;
-    if (atrPerc > 1.2) { level = 'EXTREME'; confidenceBoost = 10; }
-    else if (atrPerc > 0.8) { level = 'HIGH'; confidenceBoost = 6; }
-    else if (atrPerc < 0.4) { level = 'LOW'; confidenceBoost = -5; }
-    return { volatilityLevel: level, atr, confidenceBoost };
+/**
+ * Volatility regime of one asset from its own ATR% history
+ * @param {string} asset - Asset key
+ * @returns {object} VolatilityRegimeModel.get() + volatilityLevel (= regime)
+ */
+function getVolatilityRegime(asset) {
+    // Memory only keeps MAX_CANDLES_STORED (~3 days of 15m) - the store's CANDLE_STORE.MAX_CANDLES
+    // cover the full window from startup. The model skips candles it has already seen.
+    const timeframe = VOLATILITY_REGIME_CONFIG.TIMEFRAME;
+    if (candleStore) volatilityRegimeModel.update(asset, candleStore.get(asset, timeframe));
+    volatilityRegimeModel.update(asset, getRecentCandles(asset, MAX_CANDLES_STORED, timeframe) || []);
+    const regime = volatilityRegimeModel.get(asset, VOLATILITY_REGIME_CONFIG.RECENT_CHANGE_CANDLES);
+    return { ...regime, volatilityLevel: regime.regime };
 }
 
 function detectTrendCondition(priceHistoryData, trendLookback = 50) {
@@ -2423,6 +3830,65 @@ function calculateATR(candles, period = 14) {
     return recentTRs.reduce((sum, tr) => sum + tr, 0) / period;
 }
 
+/**
+ * Relative volume of one candle against the average of the candles before it
+ * @param {Array} candles - Candle array
+ * @param {number} index - Index of the candle to measure
+ * @param {number} lookback - Number of preceding candles to average
+ * @returns {number|null} Ratio (1.0 = average), or null when volume data is missing
+ */
+function calculateRelativeVolume(candles, index, lookback = VOLUME_CONFIG.LOOKBACK) {
+    if (!candles || index < 1 || !candles[index]) return null;
+    
+    const volume = candles[index].volume;
+    if (!Number.isFinite(volume) || volume <= 0) return null;
+    
+    const prior = candles
+        .slice(Math.max(0, index - lookback), index)
+        .map(c => c.volume)
+        .filter(v => Number.isFinite(v) && v > 0);
+    
+    if (prior.length < Math.min(5, lookback)) return null;
+    
+    const avgVolume = prior.reduce((sum, v) => sum + v, 0) / prior.length;
+    return avgVolume > 0 ? volume / avgVolume : null;
+}
+
+/**
+ * Summarize recent volume: relative volume of the last closed candle and taker-buy pressure
+ * @param {Array} candles - Candle array (most recent last)
+ * @param {number} flowLookback - Candles used for taker-buy pressure
+ * @returns {object|null} Volume summary, or null when candles carry no volume
+ */
+function analyzeVolume(candles, flowLookback = 5) {
+    if (!candles || candles.length < 2) return null;
+    
+    let lastClosed = candles.length - 1;
+    if (candles[lastClosed].closed === false) lastClosed--;
+    if (lastClosed < 1) return null;
+    
+    const relativeVolume = calculateRelativeVolume(candles, lastClosed);
+    
+    const flowCandles = candles.slice(Math.max(0, lastClosed - flowLookback + 1), lastClosed + 1);
+    const totalVolume = flowCandles.reduce((sum, c) => sum + (c.volume || 0), 0);
+    const takerBuyVolume = flowCandles.reduce((sum, c) => sum + (c.takerBuyVolume || 0), 0);
+    const takerBuyRatio = totalVolume > 0 ? takerBuyVolume / totalVolume : null;
+    
+    if (relativeVolume === null && takerBuyRatio === null) return null;
+    
+    let pressure = 'balanced';
+    if (takerBuyRatio !== null && takerBuyRatio >= VOLUME_CONFIG.TAKER_BUY_BULLISH) pressure = 'bullish';
+    else if (takerBuyRatio !== null && takerBuyRatio <= VOLUME_CONFIG.TAKER_BUY_BEARISH) pressure = 'bearish';
+    
+    return {
+        relativeVolume: relativeVolume,
+        takerBuyRatio: takerBuyRatio,
+        pressure: pressure,
+        volume: candles[lastClosed].volume,
+        trades: candles[lastClosed].trades || 0
+    };
+}
+
 function calculateEMA(prices, period) {
     if (!Array.isArray(prices) || prices.length < period) {
         return null;
@@ -2439,18 +3905,24 @@ function calculateEMA(prices, period) {
 }
 
 function getHigherTimeframeBias(asset) {
-    const htfCandles = getRecentCandles(asset, 50, '15m');
+    // Highest timeframe with enough history wins; 15m is only the fallback while HTF history builds
+    const timeframe = HTF_CONFIG.BIAS_TIMEFRAMES.find(tf =>
+        (candleHistory[asset]?.[tf] || []).filter(c => c.closed !== false).length >= HTF_CONFIG.MIN_BIAS_CANDLES
+    ) || HTF_CONFIG.BIAS_TIMEFRAMES[HTF_CONFIG.BIAS_TIMEFRAMES.length - 1];
+    
+    const htfCandles = (getRecentCandles(asset, 100, timeframe) || []).filter(c => c.closed !== false);
     
-    if (!htfCandles || htfCandles.length < 20) {
-        return { bias: 'neutral', strength: 0, confidence: 'low' };
+    if (htfCandles.length < 20) {
+        return { bias: 'neutral', strength: 0, confidence: 'low', timeframe, structure: null };
     }
     
     const closes = htfCandles.map(c => c.close);
-    const ema20 = calculateEMA(closes, 20);
-    const ema50 = calculateEMA(closes, 50);
+    const ema20 = calculateEMA(closes.slice(-50), 20);
+    const ema50 = calculateEMA(closes.slice(-50), 50);
+    const structure = analyzeMarketStructure(htfCandles, timeframe);
     
     if (ema20 === null || ema50 === null) {
-        return { bias: 'neutral', strength: 0, confidence: 'low' };
+        return { bias: 'neutral', strength: 0, confidence: 'low', timeframe, structure: structure.trend };
     }
     
     let bias = 'neutral';
@@ -2467,68 +3939,91 @@ function getHigherTimeframeBias(asset) {
         confidence = strength > 0.5 ? 'high' : 'medium';
     }
     
-    return { bias, strength, confidence };
+    // EMAs lag - if HTF swing structure disagrees, don't call it a high-confidence trend
+    if (bias !== 'neutral' && structure.trend !== 'neutral' && structure.trend !== bias) {
+        confidence = 'low';
+    }
+    
+    return { bias, strength, confidence, timeframe, structure: structure.trend };
 }
 
-function detectFVGOnHigherTimeframe(asset) {
-    const fvgCandles = getRecentCandles(asset, 60, '5m');
+/**
+ * Order blocks (incl. breaker / mitigation blocks) and FVGs on one timeframe, as zones
+ * @returns {Array} [{ kind: 'OB'|'FVG', timeframe, type, top, bottom, qualityScore, status, source }]
+ */
+function detectTimeframeZones(asset, tf, count = 100) {
+    const candles = (getRecentCandles(asset, count, tf) || []).filter(c => c.closed !== false);
+    if (candles.length < 20) return [];
     
-    // Check if we have enough candles
-    if (!fvgCandles || fvgCandles.length < 20) {
-        if (!fvgInsufficientLogged[asset]) {
-            logger.warn(`[${asset.toUpperCase()}] Insufficient 5m candles for FVG detection`, {
-                available: fvgCandles ? fvgCandles.length : 0,
-                required: 20,
-                note: 'Need at least 20 5m candles (100 minutes) for reliable FVG detection'
-            });
-            fvgInsufficientLogged[asset] = true;
-        }
-        return { bullishFVGs: [], bearishFVGs: [], totalDetected: 0, bestFVG: null };
+    const zones = [];
+    const obResult = detectOrderBlocks(candles, asset, tf);
+    for (const ob of [...obResult.bullishOBs, ...obResult.bearishOBs, ...(obResult.breakerBlocks || [])]) {
+        zones.push({ kind: 'OB', blockType: ob.blockType, timeframe: tf, type: ob.type, top: ob.high, bottom: ob.low, qualityScore: ob.qualityScore, status: ob.freshnessStatus, source: ob });
     }
     
-    // Reset the insufficient flag once we have enough candles
-    if (fvgInsufficientLogged[asset]) {
-        logger.info(`[${asset.toUpperCase()}] Sufficient 5m candles now available`, {
-            count: fvgCandles.length
-        });
-        fvgInsufficientLogged[asset] = false;
+    const fvgResult = detectFairValueGaps(candles, asset, tf);
+    for (const fvg of [...(fvgResult?.bullishFVGs || []), ...(fvgResult?.bearishFVGs || [])]) {
+        zones.push({ kind: 'FVG', timeframe: tf, type: fvg.type, top: fvg.top, bottom: fvg.bottom, qualityScore: fvg.qualityScore, status: fvg.fillStatus, fillPct: fvg.fillPct, source: fvg });
+    }
+    return zones;
+}
+
+/**
+ * One zone map per asset: entry-timeframe OBs/FVGs plus the HTF zones, timeframe-weighted and nested.
+ * Each detected OB/FVG gets zoneScore, nestedIn and timeframe written onto it.
+ * @param {string} asset - Asset key
+ * @param {number} currentPrice - Current market price
+ * @param {object} [htfZones] - From detectHigherTimeframeZones(), reused instead of detecting 1h/4h again
+ * @returns {object} { zones, bullish, bearish, containing, obResult, fvgResult }
+ */
+function buildZoneMap(asset, currentPrice, htfZones) {
+    const zones = [...(htfZones?.zones || [])];
+    for (const tf of ZONE_MAP_CONFIG.TIMEFRAMES) {
+        zones.push(...detectTimeframeZones(asset, tf, ZONE_MAP_CONFIG.CANDLES));
     }
     
-    // Use the most recent 50 candles for FVG detection
-    const recentCandles = fvgCandles.slice(-50);
-    const fvgResult = detectFairValueGaps(recentCandles, asset);
+    const map = zoneMap.build(zones, currentPrice);
+    for (const zone of map.zones) {
+        zone.source.zoneScore = zone.score;
+        zone.source.nestedIn = zone.nestedIn;
+        zone.source.timeframe = zone.timeframe;
+    }
     
-    // Calculate total detected FVGs
-    const totalDetected = (fvgResult?.bullishFVGs?.length || 0) + (fvgResult?.bearishFVGs?.length || 0);
+    // Shaped like detectOrderBlocks / detectFairValueGaps output for getBestOrderBlock / getBestFairValueGap
+    const entryZones = map.zones.filter(z => ZONE_MAP_CONFIG.TIMEFRAMES.includes(z.timeframe));
+    const obs = entryZones.filter(z => z.kind === 'OB').map(z => z.source);
+    const fvgs = entryZones.filter(z => z.kind === 'FVG').map(z => z.source);
+    return {
+        ...map,
+        obResult: {
+            bullishOBs: obs.filter(ob => ob.blockType === 'order_block' && ob.type === 'bullish'),
+            bearishOBs: obs.filter(ob => ob.blockType === 'order_block' && ob.type === 'bearish'),
+            breakerBlocks: obs.filter(ob => ob.blockType !== 'order_block')
+        },
+        fvgResult: {
+            bullishFVGs: fvgs.filter(fvg => fvg.type === 'bullish'),
+            bearishFVGs: fvgs.filter(fvg => fvg.type === 'bearish'),
+            totalDetected: fvgs.length
+        }
+    };
+}
+
+/**
+ * Order blocks and FVGs on the real higher timeframes (1h/4h)
+ * @returns {object} { zones: [...], containing: [...] } - containing = zones price is inside now
+ */
+function detectHigherTimeframeZones(asset, currentPrice) {
+    const zones = [];
     
-    // If FVGs were detected, find the best one and log
-    if (totalDetected > 0) {
-        const currentPrice = currentPrices[asset] || recentCandles[recentCandles.length - 1]?.close || 0;
-        const bestFVG = getBestFairValueGap(fvgResult, currentPrice);
-        
-        logger.info(`[${asset.toUpperCase()}] FVG detected on 5m`, {
-            bullish: fvgResult.bullishFVGs?.length || 0,
-            bearish: fvgResult.bearishFVGs?.length || 0,
-            bestQuality: bestFVG?.qualityScore || null,
-            bestType: bestFVG?.type || null,
-            bestTop: bestFVG?.top || null,
-            bestBottom: bestFVG?.bottom || null
-        });
-        
-        return { 
-            ...fvgResult, 
-            totalDetected, 
-            bestFVG 
-        };
+    for (const tf of HTF_CONFIG.ZONE_TIMEFRAMES) {
+        zones.push(...detectTimeframeZones(asset, tf));
     }
     
-    // No FVGs detected - return empty result
-    return { 
-        bullishFVGs: [], 
-        bearishFVGs: [], 
-        totalDetected: 0, 
-        bestFVG: null 
-    };
+    const containing = currentPrice
+        ? zones.filter(z => currentPrice >= z.bottom && currentPrice <= z.top)
+        : [];
+    
+    return { zones, containing };
 }
 
 function findSwingHighs(candles, lookback = 5) {
@@ -2602,7 +4097,118 @@ function findSwingLows(candles, lookback = 5) {
         }
     }
     
-    return swingLows;
+    return swingLows;
+}
+
+/**
+ * Group swing points that sit within tolerance of each other into liquidity pools
+ * @param {Array} swings - From findSwingHighs / findSwingLows
+ * @param {string} side - 'buy' (above highs) | 'sell' (below lows)
+ * @param {number} tolerance - Max price distance between swings of one pool
+ * @returns {Array} Pools { side, type, price, touches, firstIndex, lastIndex, timestamp }
+ */
+function clusterLiquidityPools(swings, side, tolerance) {
+    const pools = [];
+    
+    for (const swing of swings) {
+        const pool = pools.find(p => Math.abs(p.price - swing.price) <= tolerance);
+        if (pool) {
+            pool.touches++;
+            // The pool's stops sit beyond its most extreme swing
+            pool.price = side === 'buy' ? Math.max(pool.price, swing.price) : Math.min(pool.price, swing.price);
+            pool.lastIndex = swing.index;
+            pool.timestamp = swing.timestamp;
+        } else {
+            pools.push({
+                side,
+                price: swing.price,
+                touches: 1,
+                firstIndex: swing.index,
+                lastIndex: swing.index,
+                timestamp: swing.timestamp
+            });
+        }
+    }
+    
+    for (const pool of pools) {
+        pool.type = pool.touches >= 2
+            ? (side === 'buy' ? 'equal_highs' : 'equal_lows')
+            : (side === 'buy' ? 'swing_high' : 'swing_low');
+    }
+    return pools;
+}
+
+/**
+ * Find resting buy-side / sell-side liquidity and the sweeps that took it
+ * @param {Array} candles - Closed candles, oldest first
+ * @param {number} currentPrice - Current market price
+ * @returns {object} { buySide, sellSide, sweeps, latestSweep, nearestBuySide, nearestSellSide }
+ */
+function detectLiquidityPools(candles, currentPrice) {
+    const empty = { buySide: [], sellSide: [], sweeps: [], latestSweep: null, nearestBuySide: null, nearestSellSide: null };
+    const closedCandles = (candles || []).filter(c => c.closed !== false);
+    if (closedCandles.length < 20) return empty;
+    
+    const atr = calculateATR(closedCandles, 14);
+    if (!atr) return empty;
+    
+    const tolerance = atr * LIQUIDITY_CONFIG.EQUAL_TOLERANCE_ATR;
+    const lookback = LIQUIDITY_CONFIG.SWING_LOOKBACK;
+    const pools = [
+        ...clusterLiquidityPools(findSwingHighs(closedCandles, lookback), 'buy', tolerance),
+        ...clusterLiquidityPools(findSwingLows(closedCandles, lookback), 'sell', tolerance)
+    ];
+    
+    const sweeps = [];
+    const lastIndex = closedCandles.length - 1;
+    for (const pool of pools) {
+        pool.status = 'resting';
+        
+        // Walk forward from the swing's confirmation - the first candle through the level decides
+        for (let i = pool.lastIndex + lookback + 1; i <= lastIndex; i++) {
+            const c = closedCandles[i];
+            const through = pool.side === 'buy' ? c.high > pool.price : c.low < pool.price;
+            if (!through) continue;
+            
+            const closedBack = pool.side === 'buy' ? c.close < pool.price : c.close > pool.price;
+            pool.status = closedBack ? 'swept' : 'taken';
+            pool.resolvedAt = c.timestamp;
+            
+            if (closedBack) {
+                sweeps.push({
+                    side: pool.side,
+                    // Taking buy-side stops and failing is bearish, and vice versa
+                    direction: pool.side === 'buy' ? 'bearish' : 'bullish',
+                    poolType: pool.type,
+                    price: pool.price,
+                    extreme: pool.side === 'buy' ? c.high : c.low,
+                    close: c.close,
+                    touches: pool.touches,
+                    timestamp: c.timestamp,
+                    candlesAgo: lastIndex - i
+                });
+            }
+            break;
+        }
+    }
+    
+    sweeps.sort((a, b) => a.timestamp - b.timestamp);
+    const recent = sweeps.filter(s => s.candlesAgo <= LIQUIDITY_CONFIG.SWEEP_RECENT_CANDLES);
+    
+    const price = currentPrice || closedCandles[lastIndex].close;
+    const buySide = pools.filter(p => p.side === 'buy' && p.status === 'resting' && p.price > price)
+        .sort((a, b) => a.price - b.price);
+    const sellSide = pools.filter(p => p.side === 'sell' && p.status === 'resting' && p.price < price)
+        .sort((a, b) => b.price - a.price);
+    
+    return {
+        buySide,
+        sellSide,
+        sweeps,
+        latestSweep: recent.length > 0 ? recent[recent.length - 1] : null,
+        nearestBuySide: buySide[0] || null,
+        nearestSellSide: sellSide[0] || null
+    };
 }
 
 function detectOrderBlocks(candles, asset, currentTimeframe = '5m') {
@@ -2630,6 +4236,17 @@ function detectOrderBlocks(candles, asset, currentTimeframe = '5m') {
         
         if (displacementSize < displacementThreshold) continue;
         
+        // Average relative volume across the displacement leg (null if no volume data)
+        const displacementVolumes = [];
+        for (let j = i + 1; j <= displacementEnd; j++) {
+            const rv = calculateRelativeVolume(candles, j);
+            if (rv !== null) displacementVolumes.push(rv);
+        }
+        const displacementVolumeRatio = displacementVolumes.length > 0
+            ? displacementVolumes.reduce((sum, rv) => sum + rv, 0) / displacementVolumes.length
+            : null;
+        const volumeConfirmed = displacementVolumeRatio !== null && displacementVolumeRatio >= VOLUME_CONFIG.CONFIRM_RATIO;
+        
         const startPrice = candles[i].close;
         const endPrice = candles[displacementEnd].close;
         const isBullishDisplacement = endPrice > startPrice;
@@ -2652,19 +4269,19 @@ function detectOrderBlocks(candles, asset, currentTimeframe = '5m') {
             
             if (oppositeCandle) {
                 const ob = {
-                    id: `bull_ob_${Date.now()}_${i}`,
                     type: 'bullish',
                     high: oppositeCandle.high,
                     low: oppositeCandle.low,
                     timestamp: oppositeCandle.timestamp || Date.now(),
                     candleIndex: oppositeCandle.index,
                     displacementSize: displacementSize,
+                    displacementVolumeRatio: displacementVolumeRatio,
+                    volumeConfirmed: volumeConfirmed,
+                    blockType: 'order_block',
                     freshnessStatus: 'fresh',
                     valid: true,
                     testedCount: 0
                 };
-                // Calculate quality score after object is created
-                ob.qualityScore = calculateOBQuality(ob, candles, atr, currentTimeframe);
                 bullishOBs.push(ob);
             }
         } else {
@@ -2683,40 +4300,106 @@ function detectOrderBlocks(candles, asset, currentTimeframe = '5m') {
             
             if (oppositeCandle) {
                 const ob = {
-                    id: `bear_ob_${Date.now()}_${i}`,
                     type: 'bearish',
                     high: oppositeCandle.high,
                     low: oppositeCandle.low,
                     timestamp: oppositeCandle.timestamp || Date.now(),
                     candleIndex: oppositeCandle.index,
                     displacementSize: displacementSize,
+                    displacementVolumeRatio: displacementVolumeRatio,
+                    volumeConfirmed: volumeConfirmed,
+                    blockType: 'order_block',
                     freshnessStatus: 'fresh',
                     valid: true,
                     testedCount: 0
                 };
-                // Calculate quality score after object is created
-                ob.qualityScore = calculateOBQuality(ob, candles, atr, currentTimeframe);
                 bearishOBs.push(ob);
             }
         }
     }
     
+    // Stable IDs and real lifecycle (retests, mitigation, invalidation) come from the registry
+    if (asset) {
+        orderBlockRegistry.sync(asset, currentTimeframe, [...bullishOBs, ...bearishOBs], candles);
+    }
+    for (const ob of [...bullishOBs, ...bearishOBs]) {
+        ob.qualityScore = calculateOBQuality(ob, candles, atr, currentTimeframe);
+    }
+    
+    // Mitigated / invalidated zones have no orders left to react from
+    bullishOBs = bullishOBs.filter(ob => ob.valid);
+    bearishOBs = bearishOBs.filter(ob => ob.valid);
+    
+    // Failed OBs live on as polarity-flipped breaker / mitigation blocks
+    const breakerBlocks = !asset ? [] : orderBlockRegistry.getFlipped(asset, currentTimeframe).map(entry => {
+        const block = {
+            id: entry.id,
+            type: entry.type,
+            blockType: entry.kind,
+            high: entry.high,
+            low: entry.low,
+            timestamp: entry.timestamp,
+            originTimestamp: entry.originTimestamp,
+            breakDisplacement: entry.breakDisplacement,
+            freshnessStatus: entry.status,
+            testedCount: entry.testedCount,
+            mitigationPct: entry.penetration * 100,
+            valid: true
+        };
+        block.qualityScore = calculateBreakerQuality(block, atr);
+        return block;
+    });
+    
     return {
         bullishOBs: bullishOBs,
         bearishOBs: bearishOBs,
+        breakerBlocks: breakerBlocks,
         totalDetected: bullishOBs.length + bearishOBs.length
     };
 }
 
+/**
+ * Quality of a breaker / mitigation block (0-100).
+ * A breaker took liquidity before failing, so trapped traders defend it harder
+ * than a mitigation block that never made a new extreme.
+ */
+function calculateBreakerQuality(block, atr) {
+    let score = block.blockType === 'breaker' ? 30 : 15;
+    
+    if (block.freshnessStatus === 'fresh') {
+        score += 25;
+    } else if (block.freshnessStatus === 'tested' && block.testedCount === 1) {
+        score += 10;
+    }
+    
+    // How decisively the original block was broken
+    const breakRatio = atr > 0 ? block.breakDisplacement / atr : 0;
+    if (breakRatio > 1.5) {
+        score += 25;
+    } else if (breakRatio > 0.75) {
+        score += 15;
+    } else {
+        score += 5;
+    }
+    
+    if (sessionCalendar.getSession(block.timestamp).inKillzone) {
+        score += 20;
+    } else {
+        score += 5;
+    }
+    
+    return Math.max(0, Math.min(score, 100));
+}
+
 function calculateOBQuality(ob, candles, atr, timeframe) {
     let score = 0;
     
     if (ob.freshnessStatus === 'fresh') {
         score += 30;
-    } else if (ob.testedCount === 1) {
+    } else if (ob.freshnessStatus === 'tested' && ob.testedCount === 1) {
         score += 15;
     } else {
-        score += 5;
+        score += 5;  // Retested repeatedly or partially mitigated - fewer orders left
     }
     
     const avgCandleRange = atr;
@@ -2732,17 +4415,27 @@ function calculateOBQuality(ob, candles, atr, timeframe) {
         score += 10;
     }
     
-    const hour = new Date(ob.timestamp).getUTCHours();
-    if ((hour >= 13 && hour <= 16) || (hour >= 0 && hour <= 2) || (hour >= 8 && hour <= 10)) {
+    if (sessionCalendar.getSession(ob.timestamp).inKillzone) {
         score += 30;
     } else {
         score += 10;
     }
     
-    return Math.min(score, 100);
+    // Volume behind the displacement separates real moves from thin wicks
+    if (ob.displacementVolumeRatio !== null && ob.displacementVolumeRatio !== undefined) {
+        if (ob.displacementVolumeRatio >= VOLUME_CONFIG.STRONG_RATIO) {
+            score += 15;
+        } else if (ob.displacementVolumeRatio >= VOLUME_CONFIG.CONFIRM_RATIO) {
+            score += 10;
+        } else if (ob.displacementVolumeRatio < VOLUME_CONFIG.THIN_RATIO) {
+            score -= 20;
+        }
+    }
+    
+    return Math.max(0, Math.min(score, 100));
 }
 
-function detectFairValueGaps(candles, asset) {
+function detectFairValueGaps(candles, asset, timeframe = '5m') {
     if (!candles || candles.length < 10) {
         return { bullishFVGs: [], bearishFVGs: [] };
     }
@@ -2771,16 +4464,20 @@ function detectFairValueGaps(candles, asset) {
                     const isMiddleBullish = candle2.close > candle2.open;
                     
                     if (isMiddleBullish) {
+                        const middleVolumeRatio = calculateRelativeVolume(candles, i);
                         const fvg = {
-                            id: `bull_fvg_${Date.now()}_${i}`,
                             type: 'bullish',
                             top: candle3.low,
                             bottom: candle1.high,
                             size: gapSize,
                             middleCandleIndex: i,
                             timestamp: candle2.timestamp || Date.now(),
-                            qualityScore: calculateFVGQuality({ size: gapSize, timestamp: candle2.timestamp || Date.now() }, candle2, atr),
+                            formedAt: candle3.timestamp || Date.now(),
+                            middleVolumeRatio: middleVolumeRatio,
+                            volumeConfirmed: middleVolumeRatio !== null && middleVolumeRatio >= VOLUME_CONFIG.CONFIRM_RATIO,
                             fillStatus: 'unfilled',
+                            fillPct: 0,
+                            ceTouched: false,
                             testCount: 0,
                             valid: true
                         };
@@ -2801,16 +4498,20 @@ function detectFairValueGaps(candles, asset) {
                     const isMiddleBearish = candle2.close < candle2.open;
                     
                     if (isMiddleBearish) {
+                        const middleVolumeRatio = calculateRelativeVolume(candles, i);
                         const fvg = {
-                            id: `bear_fvg_${Date.now()}_${i}`,
                             type: 'bearish',
                             top: candle1.low,
                             bottom: candle3.high,
                             size: gapSize,
                             middleCandleIndex: i,
                             timestamp: candle2.timestamp || Date.now(),
-                            qualityScore: calculateFVGQuality({ size: gapSize, timestamp: candle2.timestamp || Date.now() }, candle2, atr),
+                            formedAt: candle3.timestamp || Date.now(),
+                            middleVolumeRatio: middleVolumeRatio,
+                            volumeConfirmed: middleVolumeRatio !== null && middleVolumeRatio >= VOLUME_CONFIG.CONFIRM_RATIO,
                             fillStatus: 'unfilled',
+                            fillPct: 0,
+                            ceTouched: false,
                             testCount: 0,
                             valid: true
                         };
@@ -2821,6 +4522,18 @@ function detectFairValueGaps(candles, asset) {
         }
     }
     
+    // Stable IDs and fill state (partial fill, CE touch, full fill, inversion) come from the registry
+    if (asset) {
+        fvgRegistry.sync(asset, timeframe, [...bullishFVGs, ...bearishFVGs], candles);
+    }
+    for (const fvg of [...bullishFVGs, ...bearishFVGs]) {
+        fvg.qualityScore = calculateFVGQuality(fvg, candles[fvg.middleCandleIndex], atr);
+    }
+    
+    // Filled / inverted gaps have no imbalance left to trade into
+    bullishFVGs = bullishFVGs.filter(fvg => fvg.valid);
+    bearishFVGs = bearishFVGs.filter(fvg => fvg.valid);
+    
     return {
         bullishFVGs: bullishFVGs,
         bearishFVGs: bearishFVGs,
@@ -2855,17 +4568,43 @@ function calculateFVGQuality(fvg, middleCandle, atr) {
         score += 10;
     }
     
-    const hour = new Date(fvg.timestamp).getUTCHours();
-    if ((hour >= 13 && hour <= 16) || (hour >= 0 && hour <= 2) || (hour >= 8 && hour <= 10)) {
+    if (sessionCalendar.getSession(fvg.timestamp).inKillzone) {
         score += 20;
     } else {
         score += 5;
     }
     
-    return Math.min(score, 100);
+    // The gap-creating candle should carry above-average volume
+    if (fvg.middleVolumeRatio !== null && fvg.middleVolumeRatio !== undefined) {
+        if (fvg.middleVolumeRatio >= VOLUME_CONFIG.STRONG_RATIO) {
+            score += 15;
+        } else if (fvg.middleVolumeRatio >= VOLUME_CONFIG.CONFIRM_RATIO) {
+            score += 10;
+        } else if (fvg.middleVolumeRatio < VOLUME_CONFIG.THIN_RATIO) {
+            score -= 20;
+        }
+    }
+    
+    // Untouched gaps hold the full imbalance; past the CE most of it has been used up
+    if (fvg.fillStatus === 'unfilled') {
+        score += FVG_CONFIG.UNFILLED_BONUS;
+    } else if (fvg.ceTouched) {
+        score -= FVG_CONFIG.CE_TOUCHED_PENALTY;
+    } else if (fvg.fillStatus === 'partially_filled') {
+        score -= FVG_CONFIG.PARTIAL_FILL_PENALTY;
+    }
+    
+    return Math.max(0, Math.min(score, 100));
 }
 
-function analyzeMarketStructure(candles, currentTimeframe = '5m') {
+/**
+ * Swing-based trend plus BOS/CHoCH for one candle window
+ * @param {Array} candles - Candles, oldest first
+ * @param {string} currentTimeframe - Timeframe of the candles (sets the swing lookback)
+ * @param {string} [asset] - When set, BOS/CHoCH come from the structure tracker's events;
+ *                           otherwise from where price sits against the last swings
+ */
+function analyzeMarketStructure(candles, currentTimeframe = '5m', asset = null) {
     if (!candles || candles.length < 20) {
         return {
             trend: 'neutral',
@@ -2877,26 +4616,32 @@ function analyzeMarketStructure(candles, currentTimeframe = '5m') {
         };
     }
     
-    const lookbackMap = {
-        '1m': 10,
-        '5m': 5,
-        '15m': 3,
-        '1h': 3,
-        '4h': 2
-    };
-    const lookback = lookbackMap[currentTimeframe] || 5;
+    const lookback = STRUCTURE_CONFIG.SWING_LOOKBACK[currentTimeframe] || 5;
     
     const swingHighs = findSwingHighs(candles, lookback);
     const swingLows = findSwingLows(candles, lookback);
     
+    let tracked = null;
+    if (asset) {
+        structureTracker.update(asset, currentTimeframe, candles, swingHighs, swingLows, lookback);
+        const recent = { withinCandles: STRUCTURE_CONFIG.RECENT_CANDLES };
+        tracked = {
+            recentBos: structureTracker.getLatest(asset, currentTimeframe, { ...recent, type: 'BOS' }),
+            recentChoch: structureTracker.getLatest(asset, currentTimeframe, { ...recent, type: 'CHoCH' }),
+            lastEvent: structureTracker.getLatest(asset, currentTimeframe),
+            structureTrend: structureTracker.getTrend(asset, currentTimeframe)
+        };
+    }
+    
     if (swingHighs.length < 2 || swingLows.length < 2) {
         return {
             trend: 'neutral',
             strength: 0,
             recentSwingHigh: swingHighs[swingHighs.length - 1] || null,
             recentSwingLow: swingLows[swingLows.length - 1] || null,
-            bosDetected: false,
-            chochDetected: false
+            bosDetected: !!tracked?.recentBos,
+            chochDetected: !!tracked?.recentChoch,
+            ...tracked
         };
     }
     
@@ -2960,6 +4705,13 @@ function analyzeMarketStructure(candles, currentTimeframe = '5m') {
         chochDetected = true;
     }
     
+    // Tracked series: only a body-close break within the last few candles counts
+    if (tracked) {
+        bosDetected = !!tracked.recentBos;
+        bosType = tracked.recentBos ? `${tracked.recentBos.direction}_bos` : null;
+        chochDetected = !!tracked.recentChoch;
+    }
+    
     return {
         trend: trend,
         strength: Math.round(strength),
@@ -2971,145 +4723,242 @@ function analyzeMarketStructure(candles, currentTimeframe = '5m') {
         higherHighs: higherHighs,
         higherLows: higherLows,
         lowerHighs: lowerHighs,
-        lowerLows: lowerLows
+        lowerLows: lowerLows,
+        ...tracked
     };
 }
 
-function calculateConfluenceScore(setupData) {
-    let score = 0;
-    let maxScore = 18;
-    let factors = [];
-    
-    if (setupData.orderBlock) {
-        if (setupData.orderBlock.qualityScore >= 70) {
-            score += 3;
-            factors.push('High Quality OB');
-        } else if (setupData.orderBlock.qualityScore >= 50) {
-            score += 2;
-            factors.push('OB Present');
-        } else {
-            score += 1;
-            factors.push('Weak OB');
-        }
+/**
+ * Run structure tracking on every configured timeframe
+ * @param {string} asset - Asset key
+ * @returns {object} { timeframe: analyzeMarketStructure result }
+ */
+function trackMarketStructure(asset) {
+    const byTimeframe = {};
+    for (const tf of STRUCTURE_CONFIG.TIMEFRAMES) {
+        const candles = getRecentCandles(asset, STRUCTURE_CONFIG.CANDLES, tf) || [];
+        if (candles.filter(c => c.closed !== false).length < STRUCTURE_CONFIG.MIN_CANDLES) continue;
+        byTimeframe[tf] = analyzeMarketStructure(candles, tf, asset);
+    }
+    return byTimeframe;
+}
+
+/**
+ * How the structure on each tracked timeframe lines up with a setup direction
+ * @param {object} structureByTimeframe - From trackMarketStructure()
+ * @param {string} direction - 'bullish' | 'bearish'
+ * @returns {object} { aligned: 'perfect'|'partial'|'htf_only'|'conflicting'|'none', trends, agreeing, opposing }
+ */
+function calculateMtfAlignment(structureByTimeframe, direction) {
+    const opposite = direction === 'bullish' ? 'bearish' : 'bullish';
+    const trends = {};
+    for (const [tf, ms] of Object.entries(structureByTimeframe || {})) {
+        // The tracker's trend follows confirmed breaks; fall back to HH/HL counting before the first one
+        trends[tf] = ms.structureTrend && ms.structureTrend !== 'neutral' ? ms.structureTrend : ms.trend;
+    }
+    
+    const timeframes = Object.keys(trends);
+    const agreeing = timeframes.filter(tf => trends[tf] === direction);
+    const opposing = timeframes.filter(tf => trends[tf] === opposite);
+    const ltfAgree = agreeing.filter(tf => STRUCTURE_CONFIG.LTF_TIMEFRAMES.includes(tf)).length;
+    const htfAgree = agreeing.length - ltfAgree;
+    const htfOppose = opposing.filter(tf => !STRUCTURE_CONFIG.LTF_TIMEFRAMES.includes(tf)).length;
+    
+    let aligned = 'none';
+    if (timeframes.length >= 3 && agreeing.length === timeframes.length) {
+        aligned = 'perfect';
+    } else if (ltfAgree > 0 && htfAgree > 0 && agreeing.length > opposing.length) {
+        aligned = 'partial';
+    } else if (htfAgree > 0 && htfOppose === 0 && ltfAgree === 0) {
+        aligned = 'htf_only';
+    } else if (opposing.length > agreeing.length) {
+        aligned = 'conflicting';
+    }
+    
+    return { aligned, trends, agreeing, opposing };
+}
+
+/**
+ * Stop and targets for a candidate setup, and the R:R they give
+ * @param {string} direction - 'BULLISH' | 'BEARISH'
+ * @param {number} entryPrice - Entry price
+ * @param {object} [smcData] - Uses orderBlock and marketStructure for the stop, liquidityPools
+ *                            and dealingRange for the T2 target
+ * @returns {object} { stopLoss, takeProfit1, takeProfit2, riskReward, stopSource, targetSource }
+ */
+function buildSetupLevels(direction, entryPrice, smcData) {
+    const bullish = direction === 'BULLISH';
+    const sign = bullish ? 1 : -1;
+    
+    // Invalidation: price back through the far edge of the entry OB, else through the last swing
+    const ob = smcData?.orderBlock;
+    const swing = bullish ? smcData?.marketStructure?.recentSwingLow : smcData?.marketStructure?.recentSwingHigh;
+    const invalidations = [
+        { price: ob && ob.type === direction.toLowerCase() ? (bullish ? ob.low : ob.high) : null, source: 'order_block' },
+        { price: swing?.price, source: 'swing' }
+    ];
+    const invalidation = invalidations
+        .map(level => ({ ...level, stop: level.price * (1 - sign * SETUP_LEVELS_CONFIG.STOP_BUFFER_PCT) }))
+        .find(level => level.price > 0 && sign * (entryPrice - level.stop) > 0 &&
+            Math.abs(entryPrice - level.stop) <= entryPrice * SETUP_LEVELS_CONFIG.MAX_STOP_PCT);
+    
+    const risk = invalidation
+        ? Math.max(Math.abs(entryPrice - invalidation.stop), entryPrice * SETUP_LEVELS_CONFIG.MIN_STOP_PCT)
+        : entryPrice * SETUP_LEVELS_CONFIG.STOP_PCT;
+    const stopSource = invalidation ? invalidation.source : 'default';
+    
+    const stopLoss = entryPrice - sign * risk;
+    const takeProfit1 = entryPrice + sign * risk * SETUP_LEVELS_CONFIG.TARGET1_R;
+    
+    // Draw on liquidity: the nearest opposing pool, else the far end of the dealing range
+    const pool = bullish ? smcData?.liquidityPools?.nearestBuySide : smcData?.liquidityPools?.nearestSellSide;
+    const rangeEnd = bullish ? smcData?.dealingRange?.high : smcData?.dealingRange?.low;
+    const candidates = [
+        { price: pool?.price, source: pool ? `${pool.side}_side_${pool.type}` : null },
+        { price: rangeEnd, source: 'dealing_range' }
+    ];
+    const structural = candidates.find(t => Number.isFinite(t.price) && sign * (t.price - takeProfit1) > 0);
+    
+    let takeProfit2 = entryPrice + sign * risk * SETUP_LEVELS_CONFIG.DEFAULT_TARGET2_R;
+    let targetSource = 'default';
+    if (structural) {
+        const maxTarget = entryPrice + sign * risk * SETUP_LEVELS_CONFIG.MAX_TARGET2_R;
+        takeProfit2 = sign * (structural.price - maxTarget) > 0 ? maxTarget : structural.price;
+        targetSource = structural.source;
     }
     
-    if (setupData.fvg) {
-        if (setupData.fvg.qualityScore >= 60) {
-            score += 3;
-            factors.push('Quality FVG');
-        } else if (setupData.fvg.qualityScore >= 40) {
-            score += 2;
-            factors.push('FVG Present');
-        } else {
-            score += 1;
-            factors.push('Weak FVG');
-        }
-    }
+    return {
+        stopLoss,
+        takeProfit1,
+        takeProfit2,
+        riskReward: Math.abs(takeProfit2 - entryPrice) / risk,
+        stopSource,
+        targetSource
+    };
+}
+
+/**
+ * Most recent CHoCH on the higher structure timeframes within the recent window
+ */
+function getRecentHtfChoch(asset) {
+    const events = STRUCTURE_CONFIG.HTF_TIMEFRAMES
+        .map(tf => structureTracker.getLatest(asset, tf, { type: 'CHoCH', withinCandles: STRUCTURE_CONFIG.RECENT_CANDLES }))
+        .filter(Boolean)
+        .sort((a, b) => b.timestamp - a.timestamp);
+    return events[0] || null;
+}
+
+/**
+ * Reduce a setup to the flat facts the confluence rules are written against.
+ * Directional facts are relative to the setup: 'with' or 'against' it.
+ */
+function buildConfluenceFacts(setupData) {
+    const direction = setupData.setupDirection;
+    const relative = d => (d === direction ? 'with' : 'against');
+    const facts = { direction };
+    
+    if (setupData.orderBlock) facts.obQuality = setupData.orderBlock.qualityScore;
+    if (setupData.fvg) facts.fvgQuality = setupData.fvg.qualityScore;
+    // Refined entry zone sitting inside a same-direction zone of a higher timeframe
+    facts.nestedZone = setupData.orderBlock?.nestedIn?.length > 0 || setupData.fvg?.nestedIn?.length > 0;
     
     if (setupData.marketStructure) {
-        if (setupData.marketStructure.bosDetected) {
-            score += 1;
-            factors.push('BoS Detected');
+        // Tracked events carry a direction - a break against the setup is no support for it
+        const ms = setupData.marketStructure;
+        if (ms.bosDetected) facts.bos = ms.recentBos ? relative(ms.recentBos.direction) : 'with';
+        if (ms.chochDetected) facts.choch = ms.recentChoch ? relative(ms.recentChoch.direction) : 'with';
+    }
+    if (setupData.htfChoch) facts.htfChoch = relative(setupData.htfChoch.direction);
+    
+    if (setupData.dealingRange) {
+        const rangeCheck = dealingRangeAnalyzer.evaluate(setupData.dealingRange, direction);
+        if (rangeCheck.inOte) facts.dealingRange = 'ote';
+        else if (rangeCheck.action !== 'ALLOW') facts.dealingRange = 'wrong';
+        else facts.dealingRange = setupData.dealingRange.zone === 'equilibrium' ? 'equilibrium' : 'aligned';
+    }
+    
+    const sweep = setupData.liquidityPools?.latestSweep;
+    if (sweep) {
+        facts.liquiditySweep = relative(sweep.direction);
+        facts.liquiditySweepSide = sweep.side === 'buy' ? 'Buy' : 'Sell';
+        facts.liquiditySweepLevels = sweep.side === 'buy' ? 'Highs' : 'Lows';
+        facts.liquiditySweepTouches = sweep.touches;
+    }
+    
+    if (setupData.htfZones && setupData.htfZones.containing.length > 0) {
+        const aligned = setupData.htfZones.containing.filter(z => z.type === direction);
+        facts.insideHtfOb = aligned.some(z => z.kind === 'OB');
+        facts.insideHtfFvg = aligned.some(z => z.kind === 'FVG');
+    }
+    
+    if (setupData.higherTimeframeBias && setupData.higherTimeframeBias.bias !== 'neutral') {
+        facts.htfBias = relative(setupData.higherTimeframeBias.bias);
+        facts.htfBiasConfidence = setupData.higherTimeframeBias.confidence;
+    }
+    
+    const session = setupData.session || sessionCalendar.getSession(getMarketTime());
+    facts.session = session.name;
+    facts.killzone = session.inKillzone;
+    facts.activeSession = session.active;
+    if (session.latestSweep) {
+        facts.sessionSweep = relative(session.latestSweep.direction);
+        facts.sessionSweepReference = session.latestSweep.reference === 'asian_range' ? 'Asian Range' : 'Session';
+        facts.sessionSweepSide = session.latestSweep.side === 'high' ? 'High' : 'Low';
+    }
+    
+    if (setupData.volatility?.ready) {
+        facts.volatilityRegime = setupData.volatility.regime;
+        facts.volatilityPercentile = setupData.volatility.percentile;
+        if (setupData.volatility.lastChange) {
+            facts.volatilityChange = setupData.volatility.lastChange.direction;
+            facts.volatilityChangeTo = setupData.volatility.lastChange.to;
         }
-        if (setupData.marketStructure.chochDetected) {
-            score += 1;
-            factors.push('CHoCH Detected');
+    }
+    
+    if (setupData.mtfAlignment) facts.mtfAlignment = setupData.mtfAlignment.aligned;
+    
+    if (setupData.volume) {
+        facts.relativeVolume = setupData.volume.relativeVolume;
+        if (setupData.volume.pressure !== 'balanced') facts.takerFlow = relative(setupData.volume.pressure);
+    }
+    
+    // Funding: positive = the setup's side pays
+    if (setupData.funding && Number.isFinite(setupData.funding.fundingRate)) {
+        const f = setupData.funding;
+        facts.fundingRateForSide = direction === 'bullish' ? f.fundingRate : -f.fundingRate;
+        facts.fundingRatePct = (f.fundingRate * 100).toFixed(3);
+        facts.minutesToFunding = f.minutesToFunding;
+        if (f.minutesToFunding !== null) facts.fundingMinutes = Math.round(f.minutesToFunding);
+        if (f.oiChangePct !== null && f.priceChangePct !== null) {
+            facts.oiChangePct = f.oiChangePct;
+            facts.oiPriceMove = relative(f.priceChangePct > 0 ? 'bullish' : f.priceChangePct < 0 ? 'bearish' : null);
         }
     }
+    
+    if (setupData.riskReward) facts.riskReward = setupData.riskReward;
+    
+    return facts;
+}
 
-    if (setupData.higherTimeframeBias && setupData.higherTimeframeBias.bias !== 'neutral') {
-        const biasDirection = setupData.higherTimeframeBias.bias;
-        const matchesBias = biasDirection === setupData.setupDirection;
-        
-        if (matchesBias) {
-            if (setupData.higherTimeframeBias.confidence === 'high') {
-                score += 3;
-                factors.push('HTF Trend Aligned');
-            } else {
-                score += 2;
-                factors.push('HTF Bias Support');
-            }
-        } else {
-            score -= 1;
-            factors.push('Counter HTF Bias');
-        }
-    }
-    
-    const hour = new Date().getUTCHours();
-    if ((hour >= 13 && hour <= 16) || (hour >= 0 && hour <= 2) || (hour >= 8 && hour <= 10)) {
-        score += 2;
-        factors.push('Prime Volatility Window');
-    } else if ((hour >= 11 && hour <= 13) || (hour >= 17 && hour <= 20)) {
-        score += 1;
-        factors.push('Active Period');
-    }
-    
-    if (setupData.mtfAlignment) {
-        if (setupData.mtfAlignment.aligned === 'perfect') {
-            score += 3;
-            factors.push('MTF Perfect Alignment');
-        } else if (setupData.mtfAlignment.aligned === 'partial') {
-            score += 2;
-            factors.push('MTF Partial');
-        } else if (setupData.mtfAlignment.aligned === 'htf_only') {
-            score += 1;
-            factors.push('HTF Aligned');
-        }
-    }
-    
-    if (setupData.riskReward) {
-        if (setupData.riskReward >= 4.0) {
-            score += 2;
-            factors.push('4:1+ R:R');
-        } else if (setupData.riskReward >= 3.0) {
-            score += 1;
-            factors.push('3:1 R:R');
-        }
-    }
-    
-    if (score < 0) {
-        score = 0;
-    }
-    
-    let quality = '';
-    let positionSizeMultiplier = 0;
-    let tradeable = false;
-    
-    if (score >= 12) {
-        quality = 'EXCEPTIONAL';
-        positionSizeMultiplier = 1.25;
-        tradeable = true;
-    } else if (score >= 10) {
-        quality = 'EXCELLENT';
-        positionSizeMultiplier = 1.0;
-        tradeable = true;
-    } else if (score >= 8) {
-        quality = 'VERY GOOD';
-        positionSizeMultiplier = 0.75;
-        tradeable = true;
-    } else if (score >= 6) {
-        quality = 'GOOD';
-        positionSizeMultiplier = 0.5;
-        tradeable = true;
-    } else if (score >= 4) {
-        quality = 'ACCEPTABLE';
-        positionSizeMultiplier = 0.25;
-        tradeable = true;
-    } else {
-        quality = 'INSUFFICIENT';
-        positionSizeMultiplier = 0;
-        tradeable = false;
-    }
+/**
+ * Score a setup against the confluence rules (CONFIG.CONFLUENCE_RULES_FILE)
+ */
+function calculateConfluenceScore(setupData) {
+    const facts = buildConfluenceFacts(setupData);
+    const result = confluenceRules.evaluate(facts);
     
     return {
-        totalScore: score,
-        maxScore: maxScore,
-        percentage: Math.round((score / maxScore) * 100),
-        qualityRating: quality,
-        factorsPresent: factors,
-        positionSizeMultiplier: positionSizeMultiplier,
-        tradeable: tradeable,
-        timestamp: Date.now()
+        totalScore: result.score,
+        maxScore: result.maxScore,
+        percentage: Math.round((result.score / result.maxScore) * 100),
+        qualityRating: result.rating,
+        factorsPresent: result.factors,
+        breakdown: result.breakdown,
+        positionSizeMultiplier: result.sizeMultiplier,
+        tradeable: result.tradeable,
+        blockReason: result.blockReason,
+        facts,
+        timestamp: getMarketTime()
     };
 }
 
@@ -3127,17 +4976,19 @@ function getRecentCandles(asset, count, timeframe = '1m') {
 }
 
 function getBestOrderBlock(obResult, currentPrice) {
-    if (!obResult || (!obResult.bullishOBs.length && !obResult.bearishOBs.length)) {
+    const breakers = obResult?.breakerBlocks || [];
+    if (!obResult || (!obResult.bullishOBs.length && !obResult.bearishOBs.length && !breakers.length)) {
         return null;
     }
     
-    let allOBs = [...obResult.bullishOBs, ...obResult.bearishOBs];
+    let allOBs = [...obResult.bullishOBs, ...obResult.bearishOBs, ...breakers];
     
+    // Zone-map score (timeframe-weighted, nesting) when available, raw quality otherwise
     allOBs.sort((a, b) => {
         const aDistance = Math.abs(currentPrice - ((a.high + a.low) / 2));
         const bDistance = Math.abs(currentPrice - ((b.high + b.low) / 2));
-        const aScore = a.qualityScore - (aDistance / currentPrice) * 100;
-        const bScore = b.qualityScore - (bDistance / currentPrice) * 100;
+        const aScore = (a.zoneScore ?? a.qualityScore) - (aDistance / currentPrice) * 100;
+        const bScore = (b.zoneScore ?? b.qualityScore) - (bDistance / currentPrice) * 100;
         return bScore - aScore;
     });
     
@@ -3149,13 +5000,17 @@ function getBestFairValueGap(fvgResult, currentPrice) {
         return null;
     }
     
-    let allFVGs = [...fvgResult.bullishFVGs, ...fvgResult.bearishFVGs];
+    let allFVGs = [...fvgResult.bullishFVGs, ...fvgResult.bearishFVGs].filter(fvg => fvg.valid !== false);
+    
+    // Only fall back to a partially filled gap when no untouched one is left
+    const untouched = allFVGs.filter(fvg => fvg.fillStatus === 'unfilled');
+    if (untouched.length > 0) allFVGs = untouched;
     
     allFVGs.sort((a, b) => {
         const aDistance = Math.abs(currentPrice - ((a.top + a.bottom) / 2));
         const bDistance = Math.abs(currentPrice - ((b.top + b.bottom) / 2));
-        const aScore = a.qualityScore - (aDistance / currentPrice) * 100;
-        const bScore = b.qualityScore - (bDistance / currentPrice) * 100;
+        const aScore = (a.zoneScore ?? a.qualityScore) - (aDistance / currentPrice) * 100;
+        const bScore = (b.zoneScore ?? b.qualityScore) - (bDistance / currentPrice) * 100;
         return bScore - aScore;
     });
     
@@ -3229,12 +5084,35 @@ function calculateOBDistance(currentPrice, obData) {
  * Determine if trade should be taken based on OB proximity (HYBRID MODE)
  * @param {object} obData - Order block data from detection
  * @param {number} currentPrice - Current market price
- * @param {string} asset - Asset name ('btc' or 'eth')
+ * @param {string} asset - Asset key (e.g. 'btc')
  * @returns {object} Entry decision with reason
  */
 function evaluateOBEntry(obData, currentPrice, asset) {
     const assetUpper = asset.toUpperCase();
     
+    // CASE 0: Book can't absorb an entry cleanly - wait for liquidity whatever the OB says
+    const liquidity = getLiquiditySummary(asset);
+    if (liquidity && liquidity.spreadBps > DEPTH_CONFIG.MAX_SPREAD_BPS) {
+        return {
+            shouldEnter: false,
+            entryType: 'WAITING_LIQUIDITY',
+            reason: `Spread ${liquidity.spreadBps.toFixed(2)} bps wider than ${DEPTH_CONFIG.MAX_SPREAD_BPS} bps`,
+            waitForPullback: false,
+            quality: 'PENDING',
+            liquidity
+        };
+    }
+    if (liquidity && Math.min(liquidity.bidDepth, liquidity.askDepth) < DEPTH_CONFIG.MIN_BAND_DEPTH_USD) {
+        return {
+            shouldEnter: false,
+            entryType: 'WAITING_LIQUIDITY',
+            reason: `Thin book - $${Math.round(Math.min(liquidity.bidDepth, liquidity.askDepth)).toLocaleString()} within ${DEPTH_CONFIG.BAND_PCT}% of mid`,
+            waitForPullback: false,
+            quality: 'PENDING',
+            liquidity
+        };
+    }
+    
     // CASE 1: No OB detected - standard confluence entry
     if (!obData || !obData.high || !obData.low) {
         if (OB_CONFIG.VERBOSE_LOGGING) {
@@ -3268,25 +5146,45 @@ function evaluateOBEntry(obData, currentPrice, asset) {
     // Log distance info
     if (OB_CONFIG.VERBOSE_LOGGING) {
         logger.info(`[${assetUpper}] OB Distance Analysis:`, {
-            currentPrice: currentPrice.toFixed(2),
-            obRange: `${obData.low.toFixed(2)}-${obData.high.toFixed(2)}`,
+            currentPrice: formatAssetPrice(asset, currentPrice),
+            obRange: `${formatAssetPrice(asset, obData.low)}-${formatAssetPrice(asset, obData.high)}`,
             location: distance.location,
-            distanceDollar: distance.distanceDollar.toFixed(2),
+            distanceDollar: formatAssetPrice(asset, distance.distanceDollar),
             distancePercent: distance.distancePercent.toFixed(4) + '%',
-            closeThreshold: closeThreshold.toFixed(2) + ` (${OB_CONFIG.CLOSE_TOLERANCE_PCT}%)`,
-            farThreshold: farThreshold.toFixed(2) + ` (${OB_CONFIG.FAR_TOLERANCE_PCT}%)`
+            closeThreshold: formatAssetPrice(asset, closeThreshold) + ` (${OB_CONFIG.CLOSE_TOLERANCE_PCT}%)`,
+            farThreshold: formatAssetPrice(asset, farThreshold) + ` (${OB_CONFIG.FAR_TOLERANCE_PCT}%)`
         });
     }
     
     // CASE 3: Price INSIDE or VERY CLOSE to OB (within 0.10%)
     if (distance.distanceDollar <= closeThreshold) {
-        logger.info(`[${assetUpper}] ✅ Price within OB zone - HIGH QUALITY ENTRY`);
+        // Only an untouched OB still holds all its resting orders; a mitigation block never took liquidity
+        let quality = (!obData.freshnessStatus || obData.freshnessStatus === 'fresh') && obData.blockType !== 'mitigation' ? 'HIGH' : 'MODERATE';
+        let bookNote = '';
+        const kindNote = obData.blockType && obData.blockType !== 'order_block' ? ` - ${obData.type} ${obData.blockType} block` : '';
+        const statusNote = kindNote + (obData.freshnessStatus && obData.freshnessStatus !== 'fresh'
+            ? ` - ${obData.freshnessStatus.replace('_', ' ')} (tested ${obData.testedCount}x)`
+            : '');
+        
+        // Resting orders leaning against the OB mean the zone is likely to get run through
+        if (liquidity) {
+            const bookBias = liquidity.imbalance * (obData.type === 'bearish' ? -1 : 1);
+            if (bookBias <= -DEPTH_CONFIG.IMBALANCE_THRESHOLD) {
+                quality = 'MODERATE';
+                bookNote = ` - book leaning against OB (imbalance ${liquidity.imbalance.toFixed(2)})`;
+            } else if (bookBias >= DEPTH_CONFIG.IMBALANCE_THRESHOLD) {
+                bookNote = ` - book supports OB (imbalance ${liquidity.imbalance.toFixed(2)})`;
+            }
+        }
+        
+        logger.info(`[${assetUpper}] ✅ Price within OB zone - ${quality} QUALITY ENTRY${statusNote}${bookNote}`);
         return {
             shouldEnter: true,
             entryType: 'OB_ENTRY',
-            reason: `Price ${distance.location} OB zone (${distance.distancePercent.toFixed(3)}% away)`,
+            reason: `Price ${distance.location} OB zone (${distance.distancePercent.toFixed(3)}% away)${statusNote}${bookNote}`,
             waitForPullback: false,
-            quality: 'HIGH'
+            quality,
+            liquidity
         };
     }
     
@@ -3335,7 +5233,7 @@ function calculateSetupLevels(asset, price, direction, config) {
 }
 
 function getPatternProbability(setup) {
-    const patternKey = `${setup.direction}_${setup.confidence}_${marketCondition}_${volatilityLevel}`;
+    const patternKey = `${setup.direction}_${setup.confidence}_${marketCondition}_${setup.volatilityLevel || 'NORMAL'}`;
     const pattern = tradeDatabase.patterns[patternKey];
     if (!pattern || (pattern.wins + pattern.losses + pattern.breakevenTrades) < 3) return 50;
     const total = pattern.wins + pattern.losses + pattern.breakevenTrades;
@@ -3343,7 +5241,7 @@ function getPatternProbability(setup) {
 }
 
 async function scanForSignals(asset, currentPrice) {
-    const timeSinceLastSignal = Date.now() - lastSignalTime[asset];
+    const timeSinceLastSignal = getMarketTime() - lastSignalTime[asset];
     if (timeSinceLastSignal < 60000) return;
     
     // Diagnostic logging for candle availability
@@ -3365,8 +5263,9 @@ async function scanForSignals(asset, currentPrice) {
     let smcData = null;
     if (recent1mCandles && recent1mCandles.length >= 20) {
         try {
-            const obResult = detectOrderBlocks(recent1mCandles, asset, '5m');
-            const bestOB = getBestOrderBlock(obResult, currentPrice);
+            const htfZones = detectHigherTimeframeZones(asset, currentPrice);
+            const zones = buildZoneMap(asset, currentPrice, htfZones);
+            const bestOB = getBestOrderBlock(zones.obResult, currentPrice);
             
             // ========== HYBRID OB ENTRY EVALUATION ==========
             const obDecision = evaluateOBEntry(bestOB, currentPrice, asset);
@@ -3380,37 +5279,73 @@ async function scanForSignals(asset, currentPrice) {
             // Log entry type
             logger.info(`[${asset.toUpperCase()}] Entry Type: ${obDecision.entryType} | ${obDecision.reason}`);
             
-            // Call FVG detection
-            const fvgDetection = detectFVGOnHigherTimeframe(asset);
+            const fvgDetection = zones.fvgResult;
+            const bestFVG = getBestFairValueGap(fvgDetection, currentPrice);
+            fvgDetection.bestFVG = bestFVG;
             
-            // Only log if there's an issue or FVG detected (to reduce log spam)
-            if (!fvgDetection) {
-                logger.warn(`[${asset.toUpperCase()}] FVG detection returned null/undefined`);
-            } else if (fvgDetection.totalDetected > 0) {
-                logger.info(`[${asset.toUpperCase()}] FVG detected on 5m`, {
+            // Only log when FVGs were detected (to reduce log spam)
+            if (fvgDetection.totalDetected > 0) {
+                logger.info(`[${asset.toUpperCase()}] FVG detected on ${ZONE_MAP_CONFIG.TIMEFRAMES.join('/')}`, {
                     totalDetected: fvgDetection.totalDetected,
-                    bullish: fvgDetection.bullishFVGs?.length || 0,
-                    bearish: fvgDetection.bearishFVGs?.length || 0,
-                    bestQuality: fvgDetection.bestFVG?.qualityScore || 'N/A'
+                    bullish: fvgDetection.bullishFVGs.length,
+                    bearish: fvgDetection.bearishFVGs.length,
+                    bestTimeframe: bestFVG?.timeframe || 'N/A',
+                    bestQuality: bestFVG?.qualityScore || 'N/A',
+                    bestFillStatus: bestFVG?.fillStatus || 'N/A'
                 });
             }
             
-            const bestFVG = fvgDetection ? (fvgDetection.bestFVG || getBestFairValueGap(fvgDetection, currentPrice)) : null;
-            
             const higherTimeframeBias = getHigherTimeframeBias(asset);
-            const marketStructure = analyzeMarketStructure(recent1mCandles, '5m');
-            const session = detectSessionBias(Date.now());
-            const volatility = detectVolatilityLevel(priceHistory[asset], 20);
+            const structureByTimeframe = trackMarketStructure(asset);
+            // Neutral placeholder while the entry timeframe is still filling up
+            const marketStructure = structureByTimeframe[STRUCTURE_CONFIG.ENTRY_TIMEFRAME] ||
+                analyzeMarketStructure([], STRUCTURE_CONFIG.ENTRY_TIMEFRAME);
+            const htfChoch = getRecentHtfChoch(asset);
+            const dealingRange = dealingRangeAnalyzer.analyze(marketStructure.recentSwingHigh, marketStructure.recentSwingLow, currentPrice);
+            const session = getSessionContext(asset);
+            const volatility = getVolatilityRegime(asset);
             const trend = detectTrendCondition(priceHistory[asset], 50);
+            const volume = analyzeVolume(recent1mCandles);
+            const funding = getFundingSummary(asset);
+            const liquidityPools = detectLiquidityPools(
+                getRecentCandles(asset, 60, LIQUIDITY_CONFIG.TIMEFRAME),
+                currentPrice
+            );
+            const setupDirection = calculateMomentum(asset) > 0 ? 'bullish' : 'bearish';
+            const mtfAlignment = calculateMtfAlignment(structureByTimeframe, setupDirection);
+            const candidateLevels = buildSetupLevels(setupDirection.toUpperCase(), currentPrice, {
+                orderBlock: bestOB,
+                marketStructure,
+                liquidityPools,
+                dealingRange
+            });
+            
+            if (liquidityPools.latestSweep) {
+                const sweep = liquidityPools.latestSweep;
+                logger.info(`[${asset.toUpperCase()}] ${sweep.side === 'buy' ? 'Buy' : 'Sell'}-side liquidity swept at ${formatAssetPrice(asset, sweep.price)}`, {
+                    poolType: sweep.poolType,
+                    extreme: sweep.extreme,
+                    close: sweep.close,
+                    candlesAgo: sweep.candlesAgo
+                });
+            }
             
             const setupData = {
                 orderBlock: bestOB,
                 fvg: bestFVG,
                 marketStructure: marketStructure,
-                setupDirection: calculateMomentum(asset) > 0 ? 'bullish' : 'bearish',
-                mtfAlignment: { aligned: 'htf_only' },
-                riskReward: 3.0,
+                setupDirection: setupDirection,
+                mtfAlignment: mtfAlignment,
+                riskReward: candidateLevels.riskReward,
                 higherTimeframeBias: higherTimeframeBias,
+                htfZones: htfZones,
+                volume: volume,
+                funding: funding,
+                liquidityPools: liquidityPools,
+                dealingRange: dealingRange,
+                htfChoch: htfChoch,
+                session: session,
+                volatility: volatility,
                 obEntryType: obDecision.entryType,  // NEW: Track entry type
                 obEntryQuality: obDecision.quality   // NEW: Track entry quality
             };
@@ -3421,12 +5356,21 @@ async function scanForSignals(asset, currentPrice) {
                 session: session,
                 volatility: volatility,
                 trend: trend,
+                volume: volume,
+                funding: funding,
                 marketStructure: marketStructure,
                 orderBlock: bestOB,
                 fvg: bestFVG,
                 confluence: confluenceResult,
                 fvgDetection,
                 higherTimeframeBias: higherTimeframeBias,
+                htfZones: htfZones,
+                zoneMap: { zones: zones.zones.length, containing: zones.containing.length },
+                liquidity: obDecision.liquidity || getLiquiditySummary(asset),
+                liquidityPools: liquidityPools,
+                dealingRange: dealingRange,
+                htfChoch: htfChoch,
+                mtfAlignment: mtfAlignment,
                 obEntryType: obDecision.entryType,  // NEW: Track entry type
                 obEntryQuality: obDecision.quality   // NEW: Track entry quality
             };
@@ -3455,7 +5399,7 @@ async function scanForSignals(asset, currentPrice) {
                 smcData
             );
             
-            lastSignalTime[asset] = Date.now();
+            lastSignalTime[asset] = getMarketTime();
         }
     }
 }
@@ -3480,7 +5424,8 @@ function determineTradeDirection(smcData, momentum, currentPrice) {
         marketStructure: null,      // BULLISH, BEARISH, or null
         htfBias: null,              // BULLISH, BEARISH, or null
         momentum: null,             // BULLISH, BEARISH, or null
-        orderBlock: null            // BULLISH, BEARISH, or null
+        orderBlock: null,           // BULLISH, BEARISH, or null
+        liquiditySweep: null        // BULLISH, BEARISH, or null
     };
     
     const reasoning = [];
@@ -3492,17 +5437,16 @@ function determineTradeDirection(smcData, momentum, currentPrice) {
     if (smcData?.marketStructure) {
         const ms = smcData.marketStructure;
         
-        // BoS (Break of Structure) detection
-        if (ms.bosDetected && ms.trend === 'bullish') {
-            signals.marketStructure = 'BULLISH';
-            bullishVotes++;
-            totalSignals++;
-            reasoning.push('Market Structure: BoS detected with bullish trend');
-        } else if (ms.chochDetected && ms.trend === 'bearish') {
-            signals.marketStructure = 'BEARISH';
-            bearishVotes++;
+        // Most recent confirmed BOS/CHoCH - the latest break sets the direction
+        const breaks = [ms.recentBos, ms.recentChoch].filter(Boolean).sort((a, b) => b.timestamp - a.timestamp);
+        const lastBreak = breaks[0];
+        
+        if (lastBreak) {
+            signals.marketStructure = lastBreak.direction === 'bullish' ? 'BULLISH' : 'BEARISH';
+            if (lastBreak.direction === 'bullish') bullishVotes++;
+            else bearishVotes++;
             totalSignals++;
-            reasoning.push('Market Structure: CHoCH detected with bearish trend');
+            reasoning.push(`Market Structure: ${lastBreak.direction} ${lastBreak.type} - ${lastBreak.timeframe} close through ${formatPrice(lastBreak.level)}`);
         }
         // Higher Highs + Higher Lows = Bullish
         else if (ms.higherHighs >= 1 && ms.higherLows >= 1) {
@@ -3532,22 +5476,22 @@ function determineTradeDirection(smcData, momentum, currentPrice) {
             signals.htfBias = 'BULLISH';
             bullishVotes++;
             totalSignals++;
-            reasoning.push(`HTF Bias: Bullish (EMA20 > EMA50, strength: ${htf.strength.toFixed(2)}%, confidence: high)`);
+            reasoning.push(`HTF Bias (${htf.timeframe || '15m'}): Bullish (EMA20 > EMA50, strength: ${htf.strength.toFixed(2)}%, confidence: high)`);
         } else if (htf.bias === 'bullish' && htf.confidence === 'medium') {
             signals.htfBias = 'BULLISH';
             bullishVotes += 0.75; // Reduced weight for medium confidence
             totalSignals += 0.75;
-            reasoning.push(`HTF Bias: Bullish (EMA20 > EMA50, strength: ${htf.strength.toFixed(2)}%, confidence: medium - reduced weight)`);
+            reasoning.push(`HTF Bias (${htf.timeframe || '15m'}): Bullish (EMA20 > EMA50, strength: ${htf.strength.toFixed(2)}%, confidence: medium - reduced weight)`);
         } else if (htf.bias === 'bearish' && htf.confidence === 'high') {
             signals.htfBias = 'BEARISH';
             bearishVotes++;
             totalSignals++;
-            reasoning.push(`HTF Bias: Bearish (EMA20 < EMA50, strength: ${htf.strength.toFixed(2)}%, confidence: high)`);
+            reasoning.push(`HTF Bias (${htf.timeframe || '15m'}): Bearish (EMA20 < EMA50, strength: ${htf.strength.toFixed(2)}%, confidence: high)`);
         } else if (htf.bias === 'bearish' && htf.confidence === 'medium') {
             signals.htfBias = 'BEARISH';
             bearishVotes += 0.75; // Reduced weight for medium confidence
             totalSignals += 0.75;
-            reasoning.push(`HTF Bias: Bearish (EMA20 < EMA50, strength: ${htf.strength.toFixed(2)}%, confidence: medium - reduced weight)`);
+            reasoning.push(`HTF Bias (${htf.timeframe || '15m'}): Bearish (EMA20 < EMA50, strength: ${htf.strength.toFixed(2)}%, confidence: medium - reduced weight)`);
         } else if (htf.bias === 'neutral') {
             reasoning.push('HTF Bias: Neutral (EMA20 ≈ EMA50) - no vote');
         } else {
@@ -3600,6 +5544,25 @@ function determineTradeDirection(smcData, momentum, currentPrice) {
         reasoning.push('Order Block: Not available');
     }
     
+    // ========== SIGNAL 5: Liquidity Sweep ==========
+    const sweep = smcData?.liquidityPools?.latestSweep;
+    if (sweep) {
+        const poolName = sweep.poolType.replace('_', ' ');
+        if (sweep.direction === 'bullish') {
+            signals.liquiditySweep = 'BULLISH';
+            bullishVotes++;
+            totalSignals++;
+            reasoning.push(`Liquidity Sweep: Sell-side ${poolName} at ${formatPrice(sweep.price)} swept and reclaimed (${sweep.candlesAgo} candles ago)`);
+        } else {
+            signals.liquiditySweep = 'BEARISH';
+            bearishVotes++;
+            totalSignals++;
+            reasoning.push(`Liquidity Sweep: Buy-side ${poolName} at ${formatPrice(sweep.price)} swept and rejected (${sweep.candlesAgo} candles ago)`);
+        }
+    } else {
+        reasoning.push('Liquidity Sweep: None recent');
+    }
+    
     // ========== CALCULATE FINAL DIRECTION ==========
     let direction = 'NEUTRAL';
     let confidence = 0;
@@ -3753,24 +5716,24 @@ async function generateAISetup(asset, price, confidence, momentum, smcData = nul
         
         const signalType = directionResult.direction; // Use explicitly determined direction
         
+        // Premium/discount: the confluence score already penalised the wrong half - reject the deep end
+        const rangeCheck = dealingRangeAnalyzer.evaluate(smcData?.dealingRange || null, signalType.toLowerCase());
+        if (rangeCheck.action === 'REJECT') {
+            logger.warn(`[DEALING RANGE] ⛔ Skipping ${signalType} ${asset.toUpperCase()} - ${rangeCheck.reason}`);
+            return null;
+        }
+        if (rangeCheck.action === 'PENALIZE') {
+            logger.warn(`[DEALING RANGE] ⚠️ ${asset.toUpperCase()} ${rangeCheck.reason}`);
+        }
+        
         // CHANGE 1: Use confluence quality rating for risk calculation
         const riskData = calculateRiskAmount(confluenceResult.qualityRating);
         const riskAmount = riskData.riskAmount;
-        const stopLossPercent = 0.01; // 1% stop loss distance
-        
-        let entryPrice = currentPrice;
-        let stopLoss = 0;
-        let takeProfit1 = 0;
-        let takeProfit2 = 0;
-        if (signalType === 'BULLISH') {
-            stopLoss = entryPrice * (1 - stopLossPercent);
-            takeProfit1 = entryPrice * (1 + (stopLossPercent * 1.5));
-            takeProfit2 = entryPrice * (1 + (stopLossPercent * 3));
-        } else {
-            stopLoss = entryPrice * (1 + stopLossPercent);
-            takeProfit1 = entryPrice * (1 - (stopLossPercent * 1.5));
-            takeProfit2 = entryPrice * (1 - (stopLossPercent * 3));
-        }
+        
+        // Same level logic the scan scored R:R with, now for the final direction
+        const entryPrice = currentPrice;
+        const levels = buildSetupLevels(signalType, entryPrice, smcData);
+        const { stopLoss, takeProfit1, takeProfit2 } = levels;
 
         // Calculate Position Size
         const priceDistance = Math.abs(entryPrice - stopLoss);
@@ -3779,6 +5742,14 @@ async function generateAISetup(asset, price, confidence, momentum, smcData = nul
         // CHANGE 2: Apply confluence multiplier to position size
         positionSize *= confluenceResult.positionSizeMultiplier;
         
+        // Same risk budget, wider swings: scale down as the asset's volatility regime rises
+        const volatilityRegime = smcData?.volatility?.regime || 'NORMAL';
+        const volatilityMultiplier = VOLATILITY_REGIME_CONFIG.SIZE_MULTIPLIERS[volatilityRegime] ?? 1;
+        if (volatilityMultiplier !== 1) {
+            positionSize *= volatilityMultiplier;
+            logger.info(`[VOL REGIME] ${asset.toUpperCase()} ${volatilityRegime} volatility - position size x${volatilityMultiplier}`);
+        }
+        
         // EDGE CASE: If confluence is high but direction confidence is weak, reduce position size
         if (confluenceResult.totalScore >= 10 && directionResult.confidence < 0.75) {
             const reductionFactor = 0.5;
@@ -3786,6 +5757,21 @@ async function generateAISetup(asset, price, confidence, momentum, smcData = nul
             logger.warn(`[AI SETUP] ⚠️ High confluence (${confluenceResult.totalScore}) but weak direction confidence (${(directionResult.confidence * 100).toFixed(1)}%) - Reducing position size by 50%`);
         }
         
+        // Correlated exposure: don't double up on what is effectively the same position
+        const exposure = checkCorrelatedExposure(asset, signalType);
+        if (exposure.action === 'BLOCK') {
+            logger.warn(`[CORRELATION] ⛔ Skipping ${signalType} ${asset.toUpperCase()} - same bet as an open trade`, {
+                conflicts: exposure.conflicts.map(c => `${c.direction} ${c.asset.toUpperCase()} (corr ${c.correlation.toFixed(2)})`)
+            });
+            return null;
+        }
+        if (exposure.action === 'REDUCE') {
+            positionSize *= exposure.sizeMultiplier;
+            logger.warn(`[CORRELATION] ⚠️ Correlated with open trades - position size x${exposure.sizeMultiplier}`, {
+                conflicts: exposure.conflicts.map(c => `${c.direction} ${c.asset.toUpperCase()} (corr ${c.correlation.toFixed(2)})`)
+            });
+        }
+        
         positionSize = positionSize.toFixed(4);
 
         // ========== VALIDATE DIRECTION ALIGNMENT ==========
@@ -3813,39 +5799,48 @@ async function generateAISetup(asset, price, confidence, momentum, smcData = nul
         // Log successful validation
         logger.info(`[AI SETUP] ✅ Direction validation PASSED for ${asset.toUpperCase()}:`, {
             direction: signalType,
-            entry: entryPrice.toFixed(2),
-            stop: stopLoss.toFixed(2),
-            target1: takeProfit1.toFixed(2),
-            target2: takeProfit2.toFixed(2),
+            entry: formatAssetPrice(asset, entryPrice),
+            stop: formatAssetPrice(asset, stopLoss),
+            target1: formatAssetPrice(asset, takeProfit1),
+            target2: formatAssetPrice(asset, takeProfit2),
             directionConfidence: `${(directionResult.confidence * 100).toFixed(1)}%`,
             confluenceQuality: confluenceResult.qualityRating
         });
 
         const entryPriceNum = parseFloat(entryPrice);
         const setup = {
-            symbol: asset === 'btc' ? 'BTCUSDT' : 'ETHUSDT',
+            symbol: SYMBOLS[asset],
             side: signalType === 'BULLISH' ? 'BUY' : 'SELL',
-            entryPrice: entryPrice.toFixed(2),
+            entryPrice: formatAssetPrice(asset, entryPrice),
             entry: {
                 min: entryPriceNum * 0.9995,  // Small range around entry
                 max: entryPriceNum * 1.0005
             },
-            stop: parseFloat(stopLoss.toFixed(2)),
-            t1: parseFloat(takeProfit1.toFixed(2)),
-            t2: parseFloat(takeProfit2.toFixed(2)),
-            stopLoss: stopLoss.toFixed(2),
-            takeProfit1: takeProfit1.toFixed(2),
-            takeProfit2: takeProfit2.toFixed(2),
+            // Exits trigger on these - unrounded, a 2-decimal stop on a sub-$1 asset sits on the entry
+            stop: stopLoss,
+            t1: takeProfit1,
+            t2: takeProfit2,
+            stopLoss: formatAssetPrice(asset, stopLoss),
+            takeProfit1: formatAssetPrice(asset, takeProfit1),
+            takeProfit2: formatAssetPrice(asset, takeProfit2),
             quantity: positionSize,
             risk: riskAmount.toFixed(2),
             confluenceScore: smcData ? (smcData.confluence?.totalScore || confidence) : confidence,
             smcData: smcData,
             direction: signalType,
             status: 'ACTIVE',
-            timestamp: Date.now(),
+            timestamp: getMarketTime(),
             asset: asset,
             reachedTarget1: false,
-            reachedTarget2: false
+            reachedTarget2: false,
+            correlationAction: exposure.action,
+            correlationMultiplier: exposure.sizeMultiplier,
+            correlationConflicts: exposure.conflicts,
+            volatilitySizeMultiplier: volatilityMultiplier,
+            rangeCheck: rangeCheck,
+            riskReward: levels.riskReward,
+            stopSource: levels.stopSource,
+            targetSource: levels.targetSource
         };
 
         // Execute the trade using placeMarketOrder
@@ -3857,10 +5852,10 @@ async function generateAISetup(asset, price, confidence, momentum, smcData = nul
         logger.info(`[AI SETUP] 🎯 FINAL TRADE DECISION for ${asset.toUpperCase()}:`, {
             direction: signalType,
             side: entrySide,
-            entryPrice: entryPrice.toFixed(2),
-            stopLoss: stopLoss.toFixed(2),
-            target1: takeProfit1.toFixed(2),
-            target2: takeProfit2.toFixed(2),
+            entryPrice: formatAssetPrice(asset, entryPrice),
+            stopLoss: formatAssetPrice(asset, stopLoss),
+            target1: formatAssetPrice(asset, takeProfit1),
+            target2: formatAssetPrice(asset, takeProfit2),
             quantity: quantity,
             riskAmount: riskAmount.toFixed(2),
             directionConfidence: `${(directionResult.confidence * 100).toFixed(1)}%`,
@@ -3876,7 +5871,7 @@ async function generateAISetup(asset, price, confidence, momentum, smcData = nul
             decision: 'GO - All validations passed'
         });
         
-        logger.info(`[AI SETUP] Executing trade: ${entrySide} ${quantity} ${symbol} @ $${entryPrice.toFixed(2)}`);
+        logger.info(`[AI SETUP] Executing trade: ${entrySide} ${quantity} ${symbol} @ $${formatAssetPrice(asset, entryPrice)}`);
         
         const entryOrder = await placeMarketOrder(symbol, entrySide, quantity);
         
@@ -3884,6 +5879,8 @@ async function generateAISetup(asset, price, confidence, momentum, smcData = nul
             setup.entryOrderId = entryOrder.orderId;
             const actualEntryPrice = parseFloat(entryOrder.avgPrice || entryPrice);
             setup.entryPrice = actualEntryPrice;
+            setup.entrySpreadBps = entryOrder.spreadBps ?? null;
+            setup.entrySlippageBps = entryOrder.slippageBps ?? null;
             // Update entry range with actual executed price
             setup.entry = {
                 min: actualEntryPrice * 0.9995,
@@ -3901,7 +5898,9 @@ async function generateAISetup(asset, price, confidence, momentum, smcData = nul
             const higherTimeframeBias = smcData?.higherTimeframeBias;
             
             // Store Session Active and Higher TF Bias data in setup object
-            setup.sessionActive = session?.sessionName;
+            setup.sessionActive = session?.name;
+            setup.killzone = session?.killzone || null;
+            setup.volatilityLevel = smcData?.volatility?.regime || 'NORMAL';
             setup.higherTFBias = higherTimeframeBias?.bias;
             setup.higherTFStrength = higherTimeframeBias?.strength;
             setup.higherTFConfidence = higherTimeframeBias?.confidence;
@@ -3961,7 +5960,7 @@ function recordTradeOutcome(asset, setup, outcome, profit) {
         if (stopDistance > 0 && setup.riskAmount) {
             positionSize = setup.riskAmount / stopDistance;
         }
-        const minPosition = asset === 'btc' ? CONFIG.MIN_BTC_POSITION : CONFIG.MIN_ETH_POSITION;
+        const minPosition = getSymbolSettings(SYMBOLS[asset]).minPosition;
         positionSize = Math.max(positionSize, minPosition);
     }
     
@@ -4003,11 +6002,22 @@ function recordTradeOutcome(asset, setup, outcome, profit) {
         timestamp: setup.timestamp || Date.now(),
         reachedTarget1: setup.reachedTarget1 || false,
         reachedTarget2: setup.reachedTarget2 || false,
-        sessionActive: setup.smcData?.session?.name || '',
+        sessionActive: setup.sessionActive || setup.smcData?.session?.name || '',
+        killzone: setup.killzone || setup.smcData?.session?.killzone || null,
+        sessionSweep: setup.smcData?.session?.latestSweep
+            ? `${setup.smcData.session.latestSweep.referenceSession}_${setup.smcData.session.latestSweep.side}_${setup.smcData.session.latestSweep.type}`
+            : null,
+        asianRangeHigh: setup.smcData?.session?.asianRange?.high ?? null,
+        asianRangeLow: setup.smcData?.session?.asianRange?.low ?? null,
         higherTFBias: setup.smcData?.higherTimeframeBias?.direction || '',
         higherTFStrength: setup.smcData?.higherTimeframeBias?.strength || 0,
         higherTFConfidence: setup.smcData?.higherTimeframeBias?.confidence || '',
-        volatilityLevel: setup.volatilityLevel || volatilityLevel,
+        volatilityLevel: setup.volatilityLevel || setup.smcData?.volatility?.regime || 'NORMAL',
+        volatilityPercentile: setup.smcData?.volatility?.percentile ?? null,
+        atrPercent: setup.smcData?.volatility?.atrPct ?? null,
+        volatilityRegimeChange: setup.smcData?.volatility?.lastChange
+            ? `${setup.smcData.volatility.lastChange.from}_to_${setup.smcData.volatility.lastChange.to}`
+            : null,
         marketCondition: setup.marketCondition || marketCondition,
         confluenceScore: setup.confluenceScore || 0,
         confluenceRating: setup.confluenceRating || 'UNKNOWN',
@@ -4020,8 +6030,12 @@ function recordTradeOutcome(asset, setup, outcome, profit) {
         fvgBottom: setup.smcData?.fvg?.bottom || null,
         fvgQuality: setup.smcData?.fvg?.qualityScore >= 60 ? 'HIGH' : 
                    setup.smcData?.fvg?.qualityScore >= 40 ? 'MEDIUM' : 'LOW',
+        fvgFillStatus: setup.smcData?.fvg?.fillStatus || null,
+        fvgFillPct: setup.smcData?.fvg?.fillPct ?? null,
+        fvgCeTouched: setup.smcData?.fvg?.ceTouched ?? null,
         confluenceFactors: setup.smcData?.confluence?.factorsPresent || [],
         confluenceCount: setup.smcData?.confluence?.factorsPresent?.length || 0,
+        confluenceBreakdown: setup.smcData?.confluence?.breakdown || [],
         signalQuality: setup.confluenceRating || 'UNKNOWN',
         obEntryType: setup.obEntryType || 'MOMENTUM',  // NEW: OB Entry Type
         obEntryQuality: setup.smcData?.obEntryQuality || 'MODERATE',  // NEW: OB Entry Quality
@@ -4029,7 +6043,50 @@ function recordTradeOutcome(asset, setup, outcome, profit) {
             (calculateOBDistance(setup.entryPrice, setup.smcData.orderBlock)?.distancePercent?.toFixed(4) || 'N/A') : 'N/A',  // NEW: OB Distance %
         bosDetected: setup.smcData?.marketStructure?.bosDetected || false,
         chochDetected: setup.smcData?.marketStructure?.chochDetected || false,
+        structureEvent: setup.smcData?.marketStructure?.lastEvent
+            ? `${setup.smcData.marketStructure.lastEvent.direction}_${setup.smcData.marketStructure.lastEvent.type}`
+            : null,
+        htfChoch: setup.smcData?.htfChoch ? `${setup.smcData.htfChoch.timeframe}_${setup.smcData.htfChoch.direction}` : null,
         marketStructureTrend: setup.smcData?.marketStructure?.trend || 'UNKNOWN',
+        relativeVolume: setup.smcData?.volume?.relativeVolume ?? null,
+        takerBuyRatio: setup.smcData?.volume?.takerBuyRatio ?? null,
+        obVolumeConfirmed: setup.smcData?.orderBlock?.volumeConfirmed || false,
+        obStatus: setup.smcData?.orderBlock?.freshnessStatus || null,
+        obBlockType: setup.smcData?.orderBlock?.blockType || null,
+        obTimeframe: setup.smcData?.orderBlock?.timeframe || null,
+        obZoneScore: setup.smcData?.orderBlock?.zoneScore ?? null,
+        obNestedIn: setup.smcData?.orderBlock?.nestedIn || [],
+        fvgTimeframe: setup.smcData?.fvg?.timeframe || null,
+        obTestedCount: setup.smcData?.orderBlock?.testedCount ?? null,
+        liquiditySweep: setup.smcData?.liquidityPools?.latestSweep
+            ? `${setup.smcData.liquidityPools.latestSweep.side}_side_${setup.smcData.liquidityPools.latestSweep.poolType}`
+            : null,
+        nearestBuySideLiquidity: setup.smcData?.liquidityPools?.nearestBuySide?.price ?? null,
+        nearestSellSideLiquidity: setup.smcData?.liquidityPools?.nearestSellSide?.price ?? null,
+        riskReward: setup.riskReward ?? null,
+        stopSource: setup.stopSource || null,
+        targetSource: setup.targetSource || null,
+        mtfAlignment: setup.smcData?.mtfAlignment?.aligned || null,
+        mtfTrends: setup.smcData?.mtfAlignment?.trends || null,
+        rangeZone: setup.smcData?.dealingRange?.zone || null,
+        rangePositionPct: setup.smcData?.dealingRange?.positionPct ?? null,
+        rangeInOte: setup.rangeCheck?.inOte ?? false,
+        rangeAction: setup.rangeCheck?.action || null,
+        dealingRangeHigh: setup.smcData?.dealingRange?.high ?? null,
+        dealingRangeLow: setup.smcData?.dealingRange?.low ?? null,
+        entrySpreadBps: setup.entrySpreadBps ?? null,
+        entrySlippageBps: setup.entrySlippageBps ?? null,
+        entryFundingRate: setup.smcData?.funding?.fundingRate ?? null,
+        fundingPaid: setup.fundingPaid || 0,
+        fundingEvents: setup.fundingEvents || 0,
+        correlationMultiplier: setup.correlationMultiplier ?? 1,
+        volatilitySizeMultiplier: setup.volatilitySizeMultiplier ?? 1,
+        correlationConflicts: setup.correlationConflicts || [],
+        t1HitPrice: setup.t1HitPrice ?? null,
+        t1HitTime: setup.t1HitTime ?? null,
+        exitPrice: setup.exitPrice ?? null,
+        exitTime: setup.exitTime ?? null,
+        exitSource: setup.exitSource || null,
     };
     
     tradeDatabase.trades.push(trade);
@@ -4070,7 +6127,7 @@ function recordTradeOutcome(asset, setup, outcome, profit) {
 }
 
 function updatePatternWeights(setup, outcome) {
-    const patternKey = `${setup?.direction || 'UNKNOWN'}_${setup?.confluenceScore || 'UNKNOWN'}_${marketCondition}_${volatilityLevel}`;
+    const patternKey = `${setup?.direction || 'UNKNOWN'}_${setup?.confluenceScore || 'UNKNOWN'}_${marketCondition}_${setup?.volatilityLevel || 'NORMAL'}`;
     if (!tradeDatabase.patterns[patternKey]) {
         tradeDatabase.patterns[patternKey] = { wins: 0, losses: 0, breakevenTrades: 0, weight: 1.0 };
     }
@@ -4087,12 +6144,23 @@ function updatePatternWeights(setup, outcome) {
     }
 }
 
-async function updateTradeStatus(asset) {
+/**
+ * Check an open trade against stop / T1 / T2
+ * @param {string} asset - Asset key
+ * @param {object} [tick] - { price, time, source } of the print that triggered the check;
+ *                          defaults to the cached ticker price (periodic scan)
+ */
+async function updateTradeStatus(asset, tick = null) {
     const trade = activeTrades[asset];
     if (!trade) return;
-    const currentPrice = currentPrices[asset];
+    const currentPrice = tick ? tick.price : currentPrices[asset];
     if (!currentPrice || currentPrice <= 0) return;
     
+    // A spot print the futures venue doesn't agree with could fire a stop we'd never get filled at
+    if (!isPriceConsensusTrusted(asset)) return;
+    const triggerTime = tick ? tick.time : getMarketTime();
+    const triggerSource = tick ? tick.source : 'scan';
+    
     // Handle both old format (entry.min/max) and new format (entryPrice)
     let entryAvg;
     if (trade.entry && trade.entry !== null && typeof trade.entry === 'object' && trade.entry.min != null && trade.entry.max != null) {
@@ -4110,12 +6178,15 @@ async function updateTradeStatus(asset) {
         trade.reachedTarget1 = true;
         trade.originalStop = trade.stop;
         trade.stop = entryAvg;
-        logger.info(`🎯 TARGET 1 HIT`, { asset: asset.toUpperCase(), newStop: entryAvg.toFixed(2) });
+        trade.t1HitPrice = currentPrice;
+        trade.t1HitTime = triggerTime;
+        logger.info(`🎯 TARGET 1 HIT`, { asset: asset.toUpperCase(), price: formatAssetPrice(asset, currentPrice), newStop: formatAssetPrice(asset, entryAvg), source: triggerSource });
     }
     else if (trade.reachedTarget1 && !trade.reachedTarget2 &&
             ((trade.direction === 'BULLISH' && currentPrice >= trade.t2) ||
              (trade.direction === 'BEARISH' && currentPrice <= trade.t2))) {
         const profit = Math.abs(trade.t2 - entryAvg);
+        setExitTrigger(trade, currentPrice, triggerTime, triggerSource);
         trade.status = 'TARGET2_HIT';
         trade.outcome = 'WIN';
         trade.profit = profit;
@@ -4129,11 +6200,12 @@ async function updateTradeStatus(asset) {
         activeTrades[asset] = null;
         tradeDatabase.activeTrades[asset] = null;
         await saveTradeData();
-        logger.success(`🚀 TARGET 2 HIT - FULL WIN!`, { asset: asset.toUpperCase(), profit: profit.toFixed(2) });
+        logger.success(`🚀 TARGET 2 HIT - FULL WIN!`, { asset: asset.toUpperCase(), price: formatAssetPrice(asset, currentPrice), profit: profit.toFixed(2), source: triggerSource });
     }
     else if (trade.reachedTarget1 && !trade.reachedTarget2 &&
             ((trade.direction === 'BULLISH' && currentPrice <= trade.stop) ||
              (trade.direction === 'BEARISH' && currentPrice >= trade.stop))) {
+        setExitTrigger(trade, currentPrice, triggerTime, triggerSource);
         trade.status = 'BREAKEVEN';
         trade.outcome = 'BREAKEVEN';
         trade.profit = 0;
@@ -4142,12 +6214,13 @@ async function updateTradeStatus(asset) {
         activeTrades[asset] = null;
         tradeDatabase.activeTrades[asset] = null;
         await saveTradeData();
-        logger.info(`🔄 BREAKEVEN`, { asset: asset.toUpperCase() });
+        logger.info(`🔄 BREAKEVEN`, { asset: asset.toUpperCase(), price: formatAssetPrice(asset, currentPrice), source: triggerSource });
     }
     else if (!trade.reachedTarget1 &&
             ((trade.direction === 'BULLISH' && currentPrice <= (trade.originalStop || trade.stop)) ||
              (trade.direction === 'BEARISH' && currentPrice >= (trade.originalStop || trade.stop)))) {
         const loss = Math.abs(currentPrice - entryAvg);
+        setExitTrigger(trade, currentPrice, triggerTime, triggerSource);
         trade.status = 'STOPPED';
         trade.outcome = 'LOSS';
         trade.profit = -loss;
@@ -4161,15 +6234,21 @@ async function updateTradeStatus(asset) {
         activeTrades[asset] = null;
         tradeDatabase.activeTrades[asset] = null;
         await saveTradeData();
-        logger.warn(`❌ STOP LOSS HIT`, { asset: asset.toUpperCase(), loss: loss.toFixed(2) });
+        logger.warn(`❌ STOP LOSS HIT`, { asset: asset.toUpperCase(), price: formatAssetPrice(asset, currentPrice), loss: loss.toFixed(2), source: triggerSource });
     }
 }
 
+function setExitTrigger(trade, price, time, source) {
+    trade.exitPrice = price;
+    trade.exitTime = time;
+    trade.exitSource = source;
+}
+
 function adaptiveScan() {
     detectMarketCondition();
     detectVolatility();
     
-    ['btc', 'eth'].forEach(async (asset) => {
+    return Promise.all(Object.keys(SYMBOLS).map(async (asset) => {
         if (currentPrices[asset] > 0) {
             try {
                 // Always check exits first
@@ -4178,11 +6257,52 @@ function adaptiveScan() {
                 logger.warn('[ADAPTIVE SCAN] Error updating trade status:', error.message);
             }
             
-            // Then check for new signals
-            if (!activeTrades[asset]) {
-                await scanForSignals(asset, currentPrices[asset]);
+            // Then check for new signals (the screener may rotate the asset out mid-scan)
+            if (!activeTrades[asset] && SYMBOLS[asset] && isPriceConsensusTrusted(asset)) {
+                try {
+                    await scanForSignals(asset, currentPrices[asset]);
+                } catch (error) {
+                    logger.warn('[ADAPTIVE SCAN] Error scanning for signals:', error.message);
+                }
             }
         }
+    }));
+}
+
+/**
+ * Replay recorded market data through the live handlers instead of Binance.
+ * Scans are driven by the replay clock so signal throttling and session
+ * timing behave as they did on the recorded day, whatever the replay speed.
+ */
+async function startReplay() {
+    const md = CONFIG.MARKET_DATA;
+    replaySource = new ReplayMarketDataSource({
+        files: md.REPLAY_FILES,
+        speed: md.REPLAY_SPEED,
+        startTime: md.REPLAY_START,
+        endTime: md.REPLAY_END,
+        logger
+    });
+    
+    const eventCount = await replaySource.load();
+    if (eventCount === 0) {
+        logger.error('[REPLAY] ❌ No replayable events found in configured files');
+        return;
+    }
+    
+    let lastScanTime = 0;
+    await replaySource.start(dispatchMarketMessage, async (marketTime) => {
+        if (marketTime - lastScanTime >= CONFIG.SCAN_INTERVAL_MS) {
+            lastScanTime = marketTime;
+            await adaptiveScan();
+        }
+    });
+    
+    await saveTradeData();
+    logger.success('[REPLAY] Results', {
+        trades: tradeDatabase.trades.length,
+        performance: tradeDatabase.performance,
+        paperBalance: paperBalance.toFixed(2)
     });
 }
 
@@ -4201,6 +6321,7 @@ app.get('/api/data', async (req, res) => {
             ...tradeDatabase,
             activeTrades: activeTrades,
             currentPrices: currentPrices,
+            liquidity: Object.fromEntries(Object.keys(SYMBOLS).map(asset => [asset, getLiquiditySummary(asset)])),
             timestamp: Date.now(),
             accountBalance: {
                 current: paperBalance,
@@ -4225,6 +6346,7 @@ app.post('/api/data', async (req, res) => {
         
         Object.assign(tradeDatabase, data);
         if (data.activeTrades) activeTrades = data.activeTrades;
+        Object.keys(SYMBOLS).forEach(initAssetState);
         
         await saveTradeData();
         res.json({ success: true, message: 'Data saved successfully' });
@@ -4238,14 +6360,118 @@ app.get('/api/health', (req, res) => {
     const activeTradeCount = Object.values(activeTrades).filter(t => t !== null && t !== undefined).length;
     res.json({
         status: 'online',
+        symbols: Object.values(SYMBOLS),
         activeTrades: activeTradeCount,
         trades: tradeDatabase.trades.length,
         performance: tradeDatabase.performance,
+        marketData: getMarketDataStatus(),
+        candleGaps: candleGapStats,
+        lastTradeTick: lastTradeTick,
+        tickFilter: tickFilter.getStats().assets,
+        priceConsensus: priceConsensus
+            ? Object.fromEntries(Object.keys(SYMBOLS).map(asset => [asset, priceConsensus.getConsensus(asset)]))
+            : null,
+        futures: Object.fromEntries(Object.keys(SYMBOLS).map(asset => [asset, getFundingSummary(asset)])),
+        orderBooks: Object.fromEntries(Object.entries(orderBooks).map(([asset, book]) => [asset, {
+            synced: book.synced,
+            lastUpdateId: book.lastUpdateId,
+            lastEventTime: book.lastEventTime,
+            resyncs: book.resyncCount
+        }])),
         uptime: process.uptime(),
         timestamp: Date.now()
     });
 });
 
+app.get('/api/tick-filter', (req, res) => {
+    res.json({
+        config: TICK_FILTER_CONFIG,
+        ...tickFilter.getStats(),
+        timestamp: Date.now()
+    });
+});
+
+// Order block lifecycle per asset/timeframe (fresh, tested, mitigated, invalidated) and the breaker / mitigation blocks they flipped into
+app.get('/api/order-blocks', (req, res) => {
+    res.json({
+        ...orderBlockRegistry.getStatus(),
+        timestamp: Date.now()
+    });
+});
+
+// Fair value gap fill state per asset/timeframe (unfilled, partially filled, filled, inverted)
+app.get('/api/fvgs', (req, res) => {
+    res.json({
+        ...fvgRegistry.getStatus(),
+        timestamp: Date.now()
+    });
+});
+
+// BOS/CHoCH event history and current structure trend per asset/timeframe
+app.get('/api/structure', (req, res) => {
+    res.json({
+        ...structureTracker.getStatus(),
+        recentCandles: STRUCTURE_CONFIG.RECENT_CANDLES,
+        timestamp: Date.now()
+    });
+});
+
+// Active confluence rules (factors, points, rating bands) and the last reload error, if any
+app.get('/api/confluence-rules', (req, res) => {
+    res.json({
+        ...confluenceRules.getStatus(),
+        timestamp: Date.now()
+    });
+});
+
+// Per-asset volatility regime, ATR percentile and recent regime changes
+app.get('/api/volatility', (req, res) => {
+    res.json({
+        ...volatilityRegimeModel.getStatus(),
+        timeframe: VOLATILITY_REGIME_CONFIG.TIMEFRAME,
+        timestamp: Date.now()
+    });
+});
+
+// Current session/killzone, session ranges and sweeps of previous session extremes per asset
+app.get('/api/sessions', (req, res) => {
+    res.json({
+        calendar: sessionCalendar.getStatus(getMarketTime()),
+        ...sessionTracker.getStatus(),
+        timeframe: SESSION_CONFIG.TIMEFRAME,
+        timestamp: Date.now()
+    });
+});
+
+// Resting buy-side / sell-side liquidity and recent sweeps per asset
+app.get('/api/liquidity-pools', (req, res) => {
+    res.json({
+        timeframe: LIQUIDITY_CONFIG.TIMEFRAME,
+        assets: Object.fromEntries(Object.keys(SYMBOLS).map(asset => [
+            asset,
+            detectLiquidityPools(getRecentCandles(asset, 60, LIQUIDITY_CONFIG.TIMEFRAME), currentPrices[asset])
+        ])),
+        timestamp: Date.now()
+    });
+});
+
+// Rolling correlation matrix and the overlap between open trades
+app.get('/api/correlation', (req, res) => {
+    res.json({
+        ...getCorrelationStatus(),
+        timestamp: Date.now()
+    });
+});
+
+// Screener ranking with the reasons behind each score, plus the current scan set
+app.get('/api/screener', (req, res) => {
+    res.json({
+        config: SCREENER_CONFIG,
+        ...getScreenerStatus(),
+        timestamp: Date.now()
+    });
+});
+
 app.get('/api/patterns', (req, res) => {
     try {
         const patterns = {};
@@ -4372,6 +6598,12 @@ app.get('/api/trades/csv', async (req, res) => {
 // MAIN EXECUTION
 // ============================================
 async function main() {
+    const isReplay = CONFIG.MARKET_DATA.SOURCE === 'replay';
+    if (isReplay) {
+        CONFIG.DATA_FILE = CONFIG.MARKET_DATA.REPLAY_DATA_FILE;
+        logger.info(`[INIT] 📼 REPLAY MODE - market data from ${CONFIG.MARKET_DATA.REPLAY_FILES.length} file(s), trades saved to ${CONFIG.DATA_FILE}`);
+    }
+    
     await ensureDataDir();
     await loadTradeData();
     
@@ -4405,7 +6637,9 @@ async function main() {
     logger.info('[INIT] Cleaning up phantom/stale trades...');
     await clearPhantomTrades();
     
-    await backfillCandles();
+    if (!isReplay) {
+        await initializeCandleHistory();
+    }
     
     // Initialize account
     logger.info('[INIT] Fetching initial account balance...');
@@ -4426,10 +6660,11 @@ async function main() {
     logger.info('[INIT] Verifying API permissions...');
     await verifyAPIPermissions();
     
-    // Pre-fetch symbol precision for BTC and ETH
+    // Pre-fetch symbol precision for every configured symbol
     logger.info('[INIT] Fetching symbol precision rules...');
-    await getSymbolPrecision('BTCUSDT');
-    await getSymbolPrecision('ETHUSDT');
+    for (const symbol of Object.values(SYMBOLS)) {
+        await getSymbolPrecision(symbol);
+    }
     
     // Update account balance every 30 seconds
     setInterval(updateAccountEquity, 30000);
@@ -4440,30 +6675,47 @@ async function main() {
         logger.success(`✅ API Server started on port ${CONFIG.API_PORT}`);
     });
     
-    // Connect WebSocket
-    connectBinance();
-    
-    // Start trading loop
-    setInterval(() => {
+    if (isReplay) {
+        // Replay drives its own scan loop from the recorded clock
+        startReplay().catch(err => {
+            logger.error('[REPLAY] ❌ Replay failed', { error: err.message });
+        });
+    } else {
+        // Connect WebSocket
+        connectBinance();
+        connectFuturesStreams();
+        startFuturesDataPolling();
+        startPriceConsensus();
+        if (SCREENER_CONFIG.ENABLED) startSymbolScreener();
+        
+        // Start trading loop
+        setInterval(() => {
+            adaptiveScan();
+        }, CONFIG.SCAN_INTERVAL_MS);
+        
+        // Initial scan
         adaptiveScan();
-    }, CONFIG.SCAN_INTERVAL_MS);
-    
-    // Initial scan
-    adaptiveScan();
+    }
     
     logger.success('✅ NEXUS Trading Engine started - Running 24/7');
     
     // Graceful shutdown
     process.on('SIGTERM', async () => {
         logger.info('SIGTERM received - shutting down gracefully');
-        if (ws) ws.close();
+        if (spotStream) spotStream.stop();
+        if (futuresStream) futuresStream.stop();
+        if (replaySource) replaySource.stop();
+        if (candleStore) await candleStore.flush();
         await saveTradeData();
         process.exit(0);
     });
     
     process.on('SIGINT', async () => {
         logger.info('SIGINT received - shutting down gracefully');
-        if (ws) ws.close();
+        if (spotStream) spotStream.stop();
+        if (futuresStream) futuresStream.stop();
+        if (replaySource) replaySource.stop();
+        if (candleStore) await candleStore.flush();
         await saveTradeData();
         process.exit(0);
     });
@@ -0,0 +1,85 @@
+/**
+ * NEXUS 4.0 - MULTI-TIMEFRAME ZONE MAP
+ *
+ * Merges order blocks and FVGs detected on every timeframe into one map per
+ * asset. Each zone's quality is weighted by its timeframe (a 4h OB outweighs a
+ * 1m OB of the same raw quality), then nesting is applied: a zone sitting
+ * inside a same-direction zone of a higher timeframe is a refined entry backed
+ * by the larger zone, so it scores
+ *
+ *   max(own, parent) + nestBonus * min(own, parent)
+ *
+ * for the best parent on each higher timeframe - always more than either zone alone.
+ */
+
+// ============================================
+// ZONE MAP
+// ============================================
+class ZoneMap {
+    /**
+     * @param {object} options
+     * @param {object} options.weights - Quality multiplier per timeframe, e.g. { '1m': 0.6, '15m': 1.0 }
+     * @param {number} [options.nestBonus=0.5] - Share of the weaker zone's score added when nested
+     * @param {number} [options.nestTolerance=0.1] - Parent size fraction a child may stick out and still count as inside
+     */
+    constructor(options = {}) {
+        this.weights = options.weights || {};
+        this.nestBonus = options.nestBonus !== undefined ? options.nestBonus : 0.5;
+        this.nestTolerance = options.nestTolerance !== undefined ? options.nestTolerance : 0.1;
+
+        this.timeframeRank = Object.fromEntries(Object.keys(this.weights).map((tf, i) => [tf, i]));
+    }
+
+    /**
+     * @param {Array} zones - [{ kind, timeframe, type, top, bottom, qualityScore, source }]
+     * @param {number} [currentPrice] - Fills `containing`
+     * @returns {object} { zones (best first), bullish, bearish, containing }
+     */
+    build(zones, currentPrice) {
+        const entries = zones
+            .filter(z => z.top > z.bottom && this.timeframeRank[z.timeframe] !== undefined)
+            .map(z => ({
+                ...z,
+                weight: this.weights[z.timeframe],
+                weightedQuality: (z.qualityScore || 0) * this.weights[z.timeframe],
+                nestedIn: [],
+                contains: []
+            }));
+
+        for (const child of entries) {
+            child.score = child.weightedQuality;
+            // Best containing zone per higher timeframe - overlapping zones on one timeframe don't stack
+            const bestByTimeframe = {};
+            for (const parent of entries) {
+                if (parent === child || parent.type !== child.type) continue;
+                if (this.timeframeRank[parent.timeframe] <= this.timeframeRank[child.timeframe]) continue;
+                if (!this.isInside(child, parent)) continue;
+                const best = bestByTimeframe[parent.timeframe];
+                if (!best || parent.weightedQuality > best.weightedQuality) bestByTimeframe[parent.timeframe] = parent;
+            }
+            const parents = Object.values(bestByTimeframe).sort((a, b) => b.weightedQuality - a.weightedQuality);
+
+            for (const parent of parents) {
+                child.score = Math.max(child.score, parent.weightedQuality) +
+                    this.nestBonus * Math.min(child.score, parent.weightedQuality);
+                child.nestedIn.push(`${parent.timeframe} ${parent.kind}`);
+                parent.contains.push(`${child.timeframe} ${child.kind}`);
+            }
+        }
+
+        entries.sort((a, b) => b.score - a.score);
+        return {
+            zones: entries,
+            bullish: entries.filter(z => z.type === 'bullish'),
+            bearish: entries.filter(z => z.type === 'bearish'),
+            containing: currentPrice ? entries.filter(z => currentPrice >= z.bottom && currentPrice <= z.top) : []
+        };
+    }
+
+    isInside(child, parent) {
+        const tolerance = (parent.top - parent.bottom) * this.nestTolerance;
+        return child.top <= parent.top + tolerance && child.bottom >= parent.bottom - tolerance;
+    }
+}
+
+module.exports = { ZoneMap };
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfluenceRuleSet } = require('../nexus_confluence_rules');
+
+const silent = { info() {}, warn() {}, error() {} };
+
+function baseRules() {
+    return {
+        factors: [
+            {
+                id: 'order_block',
+                when: { fact: 'obQuality', exists: true },
+                options: [
+                    { when: { fact: 'obQuality', min: 70 }, points: 3, label: 'High Quality OB' },
+                    { points: 1, label: 'Weak OB' }
+                ]
+            }
+        ],
+        ratings: [
+            { min: 3, rating: 'GOOD', sizeMultiplier: 1, riskAdjustmentPct: 0 },
+            { rating: 'INSUFFICIENT', sizeMultiplier: 0 }
+        ]
+    };
+}
+
+let mtime = Date.now() / 1000;
+
+function writeRules(file, rules) {
+    fs.writeFileSync(file, typeof rules === 'string' ? rules : JSON.stringify(rules));
+    // Each edit gets a new modification time, however fast the test runs
+    mtime += 10;
+    fs.utimesSync(file, mtime, mtime);
+}
+
+function setup() {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-rules-')), 'rules.json');
+    writeRules(file, baseRules());
+    return { file, ruleSet: new ConfluenceRuleSet({ file, checkIntervalMs: 0, logger: silent }) };
+}
+
+// [edit, expected rejection]
+const rejectedEdits = {
+    'malformed JSON': ['{ "factors": [', /JSON/],
+    '"in" that is not an array': [rules => { rules.factors[0].when = { fact: 'obQuality', in: 'high' }; }, /"in" on "obQuality" must be an array/],
+    'string "min"': [rules => { rules.factors[0].options[0].when = { fact: 'obQuality', min: '70' }; }, /"min" on "obQuality" must be a number/],
+    'non-numeric "max"': [rules => { rules.factors[0].options[0].when = { fact: 'obQuality', max: null }; }, /"max" on "obQuality" must be a number/],
+    'string "below"': [rules => { rules.factors[0].options[0].when = { fact: 'obQuality', below: 'low' }; }, /"below" on "obQuality" must be a number/],
+    'non-boolean "exists"': [rules => { rules.factors[0].when = { fact: 'obQuality', exists: 'yes' }; }, /"exists" on "obQuality" must be true or false/],
+    'unknown operator': [rules => { rules.factors[0].when = { fact: 'obQuality', greaterThan: 50 }; }, /unknown operator/],
+    'condition that is not an object': [rules => { rules.factors[0].when = { all: ['obQuality'] }; }, /condition must be an object/],
+    'string riskAdjustmentPct': [rules => { rules.ratings[0].riskAdjustmentPct = '0.25'; }, /non-numeric riskAdjustmentPct/],
+    'string minScore': [rules => { rules.minScore = '0'; }, /minScore must be a number/],
+    'option without points': [rules => { rules.factors[0].options[1] = { label: 'Weak OB' }; }, /without numeric points/],
+    'last band with a min': [rules => { rules.ratings[1].min = 0; }, /last rating band must not have a min/]
+};
+
+for (const [name, [edit, reason]] of Object.entries(rejectedEdits)) {
+    test(`an edit with ${name} is rejected and the previous rules stay active`, () => {
+        const { file, ruleSet } = setup();
+        const before = ruleSet.evaluate({ obQuality: 80 });
+
+        let rules = edit;
+        if (typeof edit === 'function') {
+            rules = baseRules();
+            edit(rules);
+        }
+        writeRules(file, rules);
+
+        assert.deepStrictEqual(ruleSet.evaluate({ obQuality: 80 }), before);
+        assert.match(ruleSet.getStatus().lastError, reason);
+    });
+}
+
+test('rules are dry-run on a setup without facts before they go live', () => {
+    const { file, ruleSet } = setup();
+    const rules = baseRules();
+    rules.factors.push({ id: 'broken', options: [{ points: 1 }] });
+
+    // Stand-in for a rule shape validation lets through but scoring trips over
+    const score = ruleSet.score;
+    ruleSet.score = function (candidate, facts) {
+        if (candidate.factors.some(f => f.id === 'broken')) throw new TypeError('boom');
+        return score.call(this, candidate, facts);
+    };
+    writeRules(file, rules);
+
+    assert.strictEqual(ruleSet.evaluate({ obQuality: 80 }).rating, 'GOOD');
+    assert.match(ruleSet.getStatus().lastError, /without facts: boom/);
+});
+
+test('a valid edit replaces the rules and clears the last error', () => {
+    const { file, ruleSet } = setup();
+    writeRules(file, '{');
+    ruleSet.evaluate({});
+    assert.ok(ruleSet.getStatus().lastError);
+
+    const rules = baseRules();
+    rules.factors[0].options[0].points = 5;
+    writeRules(file, rules);
+
+    assert.strictEqual(ruleSet.evaluate({ obQuality: 80 }).score, 5);
+    assert.strictEqual(ruleSet.getStatus().lastError, null);
+});
+
+test('an invalid rule file at startup throws', () => {
+    const { file } = setup();
+    const rules = baseRules();
+    rules.factors[0].when = { fact: 'obQuality', in: 'high' };
+    writeRules(file, rules);
+    assert.throws(() => new ConfluenceRuleSet({ file, logger: silent }), /must be an array/);
+});
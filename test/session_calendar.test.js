@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SessionCalendar } = require('../nexus_session_calendar');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+test('London opens 07:00 local - 07:00 UTC in winter, 06:00 UTC in summer', () => {
+    const calendar = new SessionCalendar();
+
+    // Wednesday 15 January 2025 (GMT) and Wednesday 16 July 2025 (BST)
+    assert.strictEqual(calendar.getSession(Date.UTC(2025, 0, 15, 6, 59)).name, 'ASIA');
+    assert.strictEqual(calendar.getSession(Date.UTC(2025, 0, 15, 7, 0)).name, 'LONDON');
+    assert.strictEqual(calendar.getSession(Date.UTC(2025, 6, 16, 6, 0)).name, 'LONDON');
+    assert.strictEqual(calendar.getSession(Date.UTC(2025, 6, 16, 6, 0)).start, Date.UTC(2025, 6, 16, 6, 0));
+});
+
+test('New York and its killzone follow US daylight saving, not London\'s', () => {
+    const calendar = new SessionCalendar();
+
+    // 10 March 2025: New York is on EDT, London still on GMT
+    const open = calendar.getSession(Date.UTC(2025, 2, 10, 11, 0));
+    assert.strictEqual(open.name, 'NEW_YORK');
+    assert.strictEqual(open.start, Date.UTC(2025, 2, 10, 11, 0));
+    assert.strictEqual(calendar.getSession(Date.UTC(2025, 2, 10, 12, 0)).killzone, 'NEW_YORK_KZ');
+
+    // 5 March 2025: both on standard time
+    assert.strictEqual(calendar.getSession(Date.UTC(2025, 2, 5, 11, 0)).name, 'LONDON');
+    assert.strictEqual(calendar.getSession(Date.UTC(2025, 2, 5, 12, 0)).name, 'NEW_YORK');
+    assert.strictEqual(calendar.getSession(Date.UTC(2025, 2, 5, 12, 0)).killzone, null);
+});
+
+test('weekends stay open by default and close when configured', () => {
+    const saturday = Date.UTC(2025, 0, 18, 10, 0);
+    assert.strictEqual(new SessionCalendar().getSession(saturday).name, 'LONDON');
+    assert.strictEqual(new SessionCalendar({ weekendDays: [0, 6] }).getSession(saturday).name, 'CLOSED');
+});
+
+test('overrides close a single session for a day', () => {
+    const calendar = new SessionCalendar({ overrides: [{ date: '2025-12-25', session: 'LONDON', closed: true }] });
+    assert.strictEqual(calendar.getSession(Date.UTC(2025, 11, 25, 8, 0)).name, 'CLOSED');
+    assert.strictEqual(calendar.getSession(Date.UTC(2025, 11, 24, 8, 0)).name, 'LONDON');
+});
+
+test('lookups alternating between far-apart times reuse their timelines', () => {
+    const calendar = new SessionCalendar();
+    let builds = 0;
+    const build = calendar.buildTimeline.bind(calendar);
+    calendar.buildTimeline = (from, to) => {
+        builds++;
+        return build(from, to);
+    };
+
+    const now = Date.UTC(2025, 6, 16, 12, 0);
+    const past = now - 40 * DAY_MS;
+    for (let i = 0; i < 500; i++) {
+        calendar.getSession(i % 2 === 0 ? now : past);
+    }
+    assert.strictEqual(builds, 2);
+
+    // Same answers as a calendar that only ever saw one of the two
+    assert.deepStrictEqual(calendar.getSession(past), new SessionCalendar().getSession(past));
+    assert.deepStrictEqual(calendar.getSession(now), new SessionCalendar().getSession(now));
+});
+
+test('schedule lists the UTC intervals of a window', () => {
+    const calendar = new SessionCalendar();
+    const from = Date.UTC(2025, 6, 16, 0, 0);
+    const schedule = calendar.getSchedule(from, from + DAY_MS);
+    const london = schedule.sessions.find(s => s.name === 'LONDON');
+    assert.strictEqual(london.start, Date.UTC(2025, 6, 16, 6, 0));
+    assert.ok(schedule.killzones.some(k => k.name === 'LONDON_KZ' && k.start === Date.UTC(2025, 6, 16, 7, 0)));
+});